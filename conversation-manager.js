@@ -1,15 +1,75 @@
+import { formatHistory } from './kb/prompt-builder.js';
+import { DEFAULT_CONVERSATION_TTL, createConversationStore } from './conversation-store.js';
+import { extractSlots, mergeSlots, factsFromSlots } from './kb/discovery-slots.js';
+import { INITIAL_STATE, detectIntent, extractContact, nextState } from './kb/dialogue-flow.js';
+
+const DIALOGUE_PATH = 10; // transitions kept for debugging
+
 /**
  * Conversation Memory Manager
- * Stores and retrieves conversation history for each user
- * Can be upgraded to use Redis for production
+ * Stores and retrieves conversation history for each user.
+ * Turns work on an in-memory copy; the store (memory, file or Redis, see conversation-store.js)
+ * keeps conversations across restarts and server instances. load() picks up the stored
+ * conversation at the start of a turn, and every change is written back in the background.
  */
 
 class ConversationManager {
-  constructor() {
-    // In-memory storage: userId -> conversation history
+  /**
+   * @param {object} [options]
+   * @param {string|object} [options.store]  store kind (CONVERSATION_STORE, default memory) or a store instance
+   * @param {number} [options.maxHistory]  exchanges kept (CONVERSATION_MAX_HISTORY, default 10)
+   * @param {number} [options.ttlMs]  idle time before a conversation expires (CONVERSATION_TTL, default 30 minutes)
+   */
+  constructor({
+    store = process.env.CONVERSATION_STORE || 'memory',
+    maxHistory = Number(process.env.CONVERSATION_MAX_HISTORY || 10),
+    ttlMs = Number(process.env.CONVERSATION_TTL || DEFAULT_CONVERSATION_TTL)
+  } = {}) {
+    // Working copies: userId -> conversation history
     this.conversations = new Map();
-    this.MAX_HISTORY = 10; // Keep last 10 exchanges
-    this.CONTEXT_TTL = 30 * 60 * 1000; // 30 minutes
+    this.MAX_HISTORY = maxHistory; // Keep last 10 exchanges
+    this.CONTEXT_TTL = ttlMs; // 30 minutes
+    this.store = typeof store === 'string' ? createConversationStore({ kind: store, ttlMs }) : store;
+    this.writes = new Map(); // userId -> pending store write
+  }
+
+  /**
+   * Refresh the working copy from the store (call at the start of a turn). If the store is
+   * unreachable, the conversation continues from the in-memory copy.
+   */
+  async load(userId) {
+    if (!userId) return;
+    await this.writes.get(userId);
+    try {
+      const stored = await this.store.get(userId);
+      if (stored) {
+        this.conversations.set(userId, {
+          messages: (stored.messages || []).slice(-this.MAX_HISTORY * 2),
+          metadata: stored.metadata || {},
+          lastUpdated: stored.lastUpdated
+        });
+      } else {
+        this.conversations.delete(userId);
+      }
+    } catch (error) {
+      console.warn(`⚠️  [${userId}] Conversation store unavailable, using the in-memory copy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the working copy (or its removal) to the store. Writes for one user stay in order.
+   */
+  persist(userId) {
+    const conversation = this.conversations.get(userId);
+    const snapshot = conversation ? JSON.parse(JSON.stringify(conversation)) : null;
+    const write = (this.writes.get(userId) || Promise.resolve())
+      .then(() => (snapshot ? this.store.set(userId, snapshot) : this.store.delete(userId)))
+      .catch(error => console.warn(`⚠️  [${userId}] Could not save conversation: ${error.message}`))
+      .finally(() => {
+        if (this.writes.get(userId) === write) this.writes.delete(userId);
+      });
+    this.writes.set(userId, write);
+    return write;
   }
 
   /**
@@ -37,10 +97,48 @@ class ConversationManager {
     }
 
     conversation.lastUpdated = Date.now();
+    if (role === 'user') this.fillSlots(userId, content);
+    this.persist(userId);
     
     console.log(`💬 [${userId}] Added ${role} message to history (${conversation.messages.length} total)`);
   }
 
+  /**
+   * Parse one user turn into the conversation's discovery slots (metadata.slots), numbering
+   * turns in metadata.userTurns so each slot can name the turn it came from. A conversation
+   * saved before slots existed is first parsed from its earlier user turns, so their facts
+   * are kept when the new turn is merged.
+   */
+  fillSlots(userId, content) {
+    const conversation = this.conversations.get(userId);
+    if (!conversation.metadata.slots) {
+      // addMessage has already pushed this turn: replay only the ones before it
+      const earlier = conversation.messages.filter(msg => msg.role === 'user');
+      if (earlier[earlier.length - 1]?.content === content) earlier.pop();
+      this.backfillSlots(userId, earlier);
+    }
+    const turn = (conversation.metadata.userTurns || 0) + 1;
+    const previous = conversation.metadata.slots || {};
+    const extraction = extractSlots(content, { previous });
+    const slots = mergeSlots(previous, extraction, { turn, text: content });
+    conversation.metadata = { ...conversation.metadata, slots, userTurns: turn };
+
+    const changed = Object.keys(slots).filter(slot => slots[slot].turn === turn);
+    if (changed.length) {
+      const summary = changed.map(slot => `${slot}=${[].concat(slots[slot].value).join('/')}${slots[slot].corrected ? ' (corrected)' : ''}`);
+      console.log(`🧩 [${userId}] Slots from turn ${turn}: ${summary.join(', ')}`);
+    }
+  }
+
+  /**
+   * Rebuild metadata.slots from scratch by parsing the given user messages in order
+   */
+  backfillSlots(userId, messages) {
+    const conversation = this.conversations.get(userId);
+    conversation.metadata = { ...conversation.metadata, slots: {}, userTurns: 0 };
+    for (const message of messages) this.fillSlots(userId, message.content);
+  }
+
   /**
    * Get conversation history for a user
    */
@@ -55,6 +153,7 @@ class ConversationManager {
     if (Date.now() - conversation.lastUpdated > this.CONTEXT_TTL) {
       console.log(`⏰ [${userId}] Conversation expired, clearing history`);
       this.conversations.delete(userId);
+      this.persist(userId);
       return [];
     }
 
@@ -71,88 +170,48 @@ class ConversationManager {
       return '';
     }
 
-    // Get recent messages
-    const recentMessages = history.slice(-maxMessages);
-    
-    const formatted = recentMessages.map(msg => {
-      const role = msg.role === 'user' ? 'User' : 'You (SDR)';
-      return `${role}: ${msg.content}`;
-    }).join('\n');
+    // Get recent messages (the RAG engine fits raw history to its token budget instead)
+    return formatHistory(history.slice(-maxMessages));
+  }
 
-    return `\n\nPREVIOUS CONVERSATION:\n${formatted}\n\nIMPORTANT: Use the information from the conversation above. DO NOT re-ask questions that were already answered!`;
+  /**
+   * Get per-conversation state (e.g. the last standalone search query)
+   */
+  getMetadata(userId) {
+    return this.conversations.get(userId)?.metadata || {};
   }
 
   /**
-   * Extract discovered facts from conversation
+   * Merge values into per-conversation state
    */
-  extractDiscoveredFacts(userId) {
+  setMetadata(userId, updates) {
+    const conversation = this.conversations.get(userId);
+    if (!conversation) return;
+    conversation.metadata = { ...conversation.metadata, ...updates };
+    this.persist(userId);
+  }
+
+  /**
+   * Discovery slots with confidence and source turn (see kb/discovery-slots.js).
+   * Conversations saved before slots existed are parsed from their history once.
+   */
+  getSlots(userId) {
     const history = this.getHistory(userId);
-    const facts = {
-      role: null,
-      industry: null,
-      users: null,
-      workloads: [],
-      needs: [],
-      drivers: [],
-      virtualization: null,
-      timeline: null,
-      ha: null,
-      location: null
-    };
+    const conversation = this.conversations.get(userId);
+    if (!conversation) return {};
 
-    // Analyze conversation to extract facts
-    const allText = history
-      .filter(msg => msg.role === 'user')
-      .map(msg => msg.content.toLowerCase())
-      .join(' ');
-
-    // Extract role/industry
-    if (allText.includes('cto')) facts.role = 'CTO';
-    if (allText.includes('technical lead')) facts.role = 'Technical Lead';
-    if (allText.includes('bank')) facts.industry = 'banking';
-    if (allText.includes('healthcare')) facts.industry = 'healthcare';
-    if (allText.includes('retail')) facts.industry = 'retail';
-
-    // Extract user scale
-    const userMatch = allText.match(/(\d+)\s*(users|concurrent)/i);
-    if (userMatch) facts.users = parseInt(userMatch[1]);
-    
-    if (allText.includes('million')) {
-      const millionMatch = allText.match(/(\d+)\s*million/i);
-      if (millionMatch) facts.users = parseInt(millionMatch[1]) * 1000000;
+    if (!conversation.metadata.slots) {
+      this.backfillSlots(userId, history.filter(msg => msg.role === 'user'));
+      this.persist(userId);
     }
+    return conversation.metadata.slots;
+  }
 
-    // Extract workloads
-    if (allText.includes('analytics')) facts.workloads.push('analytics');
-    if (allText.includes('virtualization') || allText.includes('vm')) facts.workloads.push('virtualization');
-    if (allText.includes('database')) facts.workloads.push('database');
-    if (allText.includes('ai') || allText.includes('ml')) facts.workloads.push('ai');
-    if (allText.includes('security')) facts.workloads.push('security');
-    if (allText.includes('personalization')) facts.workloads.push('personalization');
-
-    // Extract needs
-    if (allText.includes('performance') || allText.includes('speed')) facts.needs.push('performance');
-    if (allText.includes('scalability') || allText.includes('scale')) facts.needs.push('scalability');
-    if (allText.includes('availability') || allText.includes('ha')) facts.needs.push('high availability');
-    if (allText.includes('security') || allText.includes('secure')) facts.needs.push('security');
-    if (allText.includes('energy') || allText.includes('power')) facts.needs.push('energy efficiency');
-    if (allText.includes('latency')) facts.needs.push('low latency');
-
-    // Extract drivers
-    if (allText.includes('aging') || allText.includes('old')) facts.drivers.push('aging infrastructure');
-    if (allText.includes('expand') || allText.includes('growth')) facts.drivers.push('expansion');
-    if (allText.includes('compliance')) facts.drivers.push('compliance');
-
-    // Extract virtualization
-    if (allText.includes('vmware')) facts.virtualization = 'VMware';
-    if (allText.includes('kvm')) facts.virtualization = 'KVM';
-    if (allText.includes('hyper-v')) facts.virtualization = 'Hyper-V';
-
-    // Extract timeline
-    if (allText.includes('now') || allText.includes('immediate')) facts.timeline = 'immediate';
-    if (allText.includes('q1') || allText.includes('q2')) facts.timeline = allText.match(/q[1-4]/i)?.[0];
-
-    return facts;
+  /**
+   * Extract discovered facts from conversation (the slot values)
+   */
+  extractDiscoveredFacts(userId) {
+    return factsFromSlots(this.getSlots(userId));
   }
 
   /**
@@ -177,6 +236,47 @@ class ConversationManager {
     return ready;
   }
 
+  /**
+   * Where the conversation is in the SDR flow (see kb/dialogue-flow.js)
+   */
+  getDialogue(userId) {
+    return this.getMetadata(userId).dialogue || { state: INITIAL_STATE, returnTo: null, path: [] };
+  }
+
+  /**
+   * Move the dialogue on by the latest user turn (call after addMessage). Contact details in
+   * the turn are kept as the lead. Returns { state, previous, returnTo, reply, intent, reason }.
+   */
+  advanceDialogue(userId, text, { classification = null } = {}) {
+    const metadata = this.getMetadata(userId);
+    const turn = metadata.userTurns || 0;
+    const slots = this.getSlots(userId);
+    const slotsFilled = Object.values(slots).filter(slot => slot.turn === turn).length;
+    const { intent, reason } = detectIntent(text, { classification, slotsFilled });
+
+    if (intent === 'provide_contact') {
+      const contact = extractContact(text);
+      const lead = metadata.lead || {};
+      this.setMetadata(userId, {
+        lead: { email: contact.email || lead.email || null, phone: contact.phone || lead.phone || null, turn }
+      });
+      console.log(`📇 [${userId}] Contact details captured for a callback`);
+    }
+
+    const dialogue = this.getDialogue(userId);
+    const lead = this.getMetadata(userId).lead;
+    const next = nextState(dialogue, {
+      intent,
+      readyToRecommend: this.canRecommend(userId),
+      hasContact: Boolean(lead?.email || lead?.phone)
+    });
+
+    const path = [...(dialogue.path || []), { turn, from: next.previous, to: next.state, intent }].slice(-DIALOGUE_PATH);
+    this.setMetadata(userId, { dialogue: { state: next.state, returnTo: next.returnTo, path } });
+    console.log(`🧭 [${userId}] Dialogue: ${next.previous} → ${next.state} (${intent}: ${reason})`);
+    return { ...next, reason };
+  }
+
   /**
    * Get recommendation prompt based on discovered facts
    */
@@ -188,9 +288,15 @@ class ConversationManager {
     if (facts.role) prompt += `- Role: ${facts.role}\n`;
     if (facts.industry) prompt += `- Industry: ${facts.industry}\n`;
     if (facts.users) prompt += `- Users: ${facts.users}\n`;
+    if (facts.vms) prompt += `- Virtual machines: ${facts.vms}\n`;
+    if (facts.storageTB) prompt += `- Storage: ${facts.storageTB} TB\n`;
+    if (facts.racks) prompt += `- Racks: ${facts.racks}\n`;
+    if (facts.virtualization) prompt += `- Hypervisor: ${facts.virtualization}\n`;
     if (facts.workloads.length) prompt += `- Workloads: ${facts.workloads.join(', ')}\n`;
     if (facts.needs.length) prompt += `- Needs: ${facts.needs.join(', ')}\n`;
     if (facts.drivers.length) prompt += `- Drivers: ${facts.drivers.join(', ')}\n`;
+    if (facts.timeline) prompt += `- Timeline: ${facts.timeline}\n`;
+    if (facts.location) prompt += `- Location: ${facts.location}\n`;
     
     prompt += `\nProvide a SERVER RECOMMENDATION following the master prompt format:\n`;
     prompt += `1. Mini-recap (one sentence)\n`;
@@ -206,20 +312,33 @@ class ConversationManager {
    */
   clearConversation(userId) {
     this.conversations.delete(userId);
+    this.persist(userId);
     console.log(`🧹 [${userId}] Conversation cleared`);
   }
 
   /**
-   * Get all active conversations
+   * Get all active conversations (loaded by this process)
    */
   getActiveConversations() {
     return Array.from(this.conversations.keys());
   }
 
+  /**
+   * All unexpired conversations in the store, including other instances' and earlier runs'
+   */
+  async listConversations() {
+    try {
+      return await this.store.keys();
+    } catch (error) {
+      console.warn(`⚠️  Conversation store unavailable, listing in-memory conversations: ${error.message}`);
+      return this.getActiveConversations();
+    }
+  }
+
   /**
    * Cleanup expired conversations (call periodically)
    */
-  cleanup() {
+  async cleanup() {
     const now = Date.now();
     let cleaned = 0;
     
@@ -229,11 +348,34 @@ class ConversationManager {
         cleaned++;
       }
     }
+
+    try {
+      cleaned = Math.max(cleaned, await this.store.cleanup());
+    } catch (error) {
+      console.warn(`⚠️  Conversation store cleanup failed: ${error.message}`);
+    }
     
     if (cleaned > 0) {
       console.log(`🧹 Cleaned up ${cleaned} expired conversations`);
     }
   }
+
+  describe() {
+    return {
+      ...this.store.describe(),
+      maxHistory: this.MAX_HISTORY,
+      loaded: this.conversations.size,
+      pendingWrites: this.writes.size
+    };
+  }
+
+  /**
+   * Wait for pending writes and release the store (on shutdown)
+   */
+  async close() {
+    await Promise.all(this.writes.values());
+    await this.store.close();
+  }
 }
 
 export default ConversationManager;
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import RespClient from './resp-client.js';
+
+/**
+ * Where ConversationManager keeps conversations between turns, restarts and instances.
+ * Every store holds records { userId, messages, metadata, lastUpdated } and implements
+ *
+ *   get(userId)          → record, or null when missing or expired
+ *   set(userId, record)  → save (history is already trimmed by the manager)
+ *   delete(userId)
+ *   keys()               → userIds of unexpired conversations
+ *   cleanup()            → number of expired conversations removed
+ *   describe(), close()
+ *
+ * A record expires ttlMs after its lastUpdated in every store, measured with the store's
+ * `now` clock (Date.now unless a test passes its own); Redis additionally lets the key expire
+ * on its own. CONVERSATION_STORE picks the store: memory (default), file or redis.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CONVERSATION_STORES = ['memory', 'file', 'redis'];
+export const DEFAULT_CONVERSATION_TTL = 30 * 60 * 1000;
+export const DEFAULT_CONVERSATION_DIR = path.join(__dirname, 'data', 'conversations');
+export const DEFAULT_REDIS_URL = 'redis://127.0.0.1:6379';
+export const DEFAULT_REDIS_PREFIX = 'sdr:conversation:';
+
+export const isExpired = (record, ttlMs, now = Date.now()) => !record || now - record.lastUpdated > ttlMs;
+
+export class MemoryStore {
+  /**
+   * Records are kept serialized, so callers get copies exactly as from the other stores.
+   */
+  constructor({ ttlMs = DEFAULT_CONVERSATION_TTL, now = Date.now } = {}) {
+    this.kind = 'memory';
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.records = new Map();
+  }
+
+  async get(userId) {
+    const raw = this.records.get(userId);
+    const record = raw ? JSON.parse(raw) : null;
+    if (!record) return null;
+    if (isExpired(record, this.ttlMs, this.now())) {
+      this.records.delete(userId);
+      return null;
+    }
+    return record;
+  }
+
+  async set(userId, record) {
+    this.records.set(userId, JSON.stringify({ ...record, userId }));
+  }
+
+  async delete(userId) {
+    this.records.delete(userId);
+  }
+
+  async keys() {
+    const now = this.now();
+    return Array.from(this.records.entries())
+      .filter(([, raw]) => !isExpired(JSON.parse(raw), this.ttlMs, now))
+      .map(([userId]) => userId);
+  }
+
+  async cleanup() {
+    const now = this.now();
+    let removed = 0;
+    for (const [userId, raw] of this.records.entries()) {
+      if (isExpired(JSON.parse(raw), this.ttlMs, now)) {
+        this.records.delete(userId);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  describe() {
+    return { kind: this.kind, ttlMs: this.ttlMs, conversations: this.records.size };
+  }
+
+  async close() {}
+}
+
+export class FileStore {
+  /**
+   * One JSON file per conversation, named by a hash of the userId and written atomically
+   * (temp file + rename), so a crash mid-write leaves the previous version intact.
+   */
+  constructor({ dir = DEFAULT_CONVERSATION_DIR, ttlMs = DEFAULT_CONVERSATION_TTL, now = Date.now } = {}) {
+    this.kind = 'file';
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(userId) {
+    const name = crypto.createHash('sha1').update(String(userId)).digest('hex');
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.warn(`⚠️  Unreadable conversation file ${path.basename(file)}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async get(userId) {
+    const file = this.fileFor(userId);
+    const record = await this.read(file);
+    if (!record) return null;
+    if (isExpired(record, this.ttlMs, this.now())) {
+      await fs.promises.rm(file, { force: true });
+      return null;
+    }
+    return record;
+  }
+
+  async set(userId, record) {
+    const file = this.fileFor(userId);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ ...record, userId }));
+    await fs.promises.rename(temp, file);
+  }
+
+  async delete(userId) {
+    await fs.promises.rm(this.fileFor(userId), { force: true });
+  }
+
+  async records() {
+    const names = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.json'));
+    const records = [];
+    for (const name of names) {
+      records.push({ file: path.join(this.dir, name), record: await this.read(path.join(this.dir, name)) });
+    }
+    return records;
+  }
+
+  async keys() {
+    const now = this.now();
+    return (await this.records())
+      .filter(({ record }) => record && !isExpired(record, this.ttlMs, now))
+      .map(({ record }) => record.userId);
+  }
+
+  async cleanup() {
+    const now = this.now();
+    let removed = 0;
+    for (const { file, record } of await this.records()) {
+      if (record && isExpired(record, this.ttlMs, now)) {
+        await fs.promises.rm(file, { force: true });
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  describe() {
+    return { kind: this.kind, ttlMs: this.ttlMs, dir: this.dir };
+  }
+
+  async close() {}
+}
+
+export class RedisStore {
+  /**
+   * One string key per conversation (prefix + userId) holding the JSON record, written with
+   * PX so Redis drops it when the TTL runs out.
+   */
+  constructor({ url = DEFAULT_REDIS_URL, prefix = DEFAULT_REDIS_PREFIX, ttlMs = DEFAULT_CONVERSATION_TTL, client = null, now = Date.now } = {}) {
+    this.kind = 'redis';
+    this.prefix = prefix;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.client = client || new RespClient(url);
+  }
+
+  async get(userId) {
+    const raw = await this.client.command('GET', this.prefix + userId);
+    const record = raw ? JSON.parse(raw) : null;
+    return record && !isExpired(record, this.ttlMs, this.now()) ? record : null;
+  }
+
+  async set(userId, record) {
+    const remaining = this.ttlMs - (this.now() - record.lastUpdated);
+    if (remaining <= 0) {
+      await this.delete(userId);
+      return;
+    }
+    await this.client.command('SET', this.prefix + userId, JSON.stringify({ ...record, userId }), 'PX', Math.ceil(remaining));
+  }
+
+  async delete(userId) {
+    await this.client.command('DEL', this.prefix + userId);
+  }
+
+  async keys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+      keys.push(...batch.map(key => key.slice(this.prefix.length)));
+      cursor = String(next);
+    } while (cursor !== '0');
+    return Array.from(new Set(keys));
+  }
+
+  // Redis expires keys itself.
+  async cleanup() {
+    return 0;
+  }
+
+  describe() {
+    return { kind: this.kind, ttlMs: this.ttlMs, url: this.client.url, prefix: this.prefix };
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+/**
+ * The store named by `kind` (CONVERSATION_STORE), configured from the environment:
+ * CONVERSATION_DIR for file, REDIS_URL and CONVERSATION_REDIS_PREFIX for redis.
+ */
+export function createConversationStore({ kind = process.env.CONVERSATION_STORE || 'memory', ttlMs = DEFAULT_CONVERSATION_TTL, env = process.env } = {}) {
+  switch (kind) {
+    case 'memory':
+      return new MemoryStore({ ttlMs });
+    case 'file':
+      return new FileStore({ dir: env.CONVERSATION_DIR || DEFAULT_CONVERSATION_DIR, ttlMs });
+    case 'redis':
+      return new RedisStore({ url: env.REDIS_URL || DEFAULT_REDIS_URL, prefix: env.CONVERSATION_REDIS_PREFIX || DEFAULT_REDIS_PREFIX, ttlMs });
+    default:
+      throw new Error(`Unknown conversation store "${kind}" (expected ${CONVERSATION_STORES.join(', ')})`);
+  }
+}
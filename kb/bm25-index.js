@@ -0,0 +1,177 @@
+/**
+ * BM25 keyword index over the same chunks as the FAISS index.
+ * Dense MiniLM retrieval blurs exact tokens (part numbers, model names, acronyms);
+ * this index matches them literally so hybrid search can fuse both signals.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how',
+  'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to',
+  'was', 'what', 'which', 'with', 'you', 'your', 'about', 'tell', 'can', 'do', 'does'
+]);
+
+// Product families are written both "DL380" and "DL 380"; fold the spaced form together.
+const MODEL_PREFIXES = new Set(['dl', 'ml', 'xd', 'gen']);
+
+/**
+ * Split text into index terms. Hyphenated identifiers such as "P84627-375" are kept whole
+ * and also indexed by their parts, so both the full SKU and "p84627" match.
+ */
+export function tokenize(text) {
+  const raw = String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu) || [];
+
+  const terms = [];
+  for (let i = 0; i < raw.length; i += 1) {
+    const token = raw[i];
+    const next = raw[i + 1];
+    if (MODEL_PREFIXES.has(token) && next && /^\d+[a-z]?$/.test(next)) {
+      terms.push(`${token}${next}`);
+      i += 1;
+      continue;
+    }
+    if (/[-_]/.test(token)) {
+      terms.push(token);
+      for (const part of token.split(/[-_]/)) {
+        if (part && !STOPWORDS.has(part)) terms.push(part);
+      }
+      continue;
+    }
+    if (!STOPWORDS.has(token)) terms.push(token);
+  }
+  return terms;
+}
+
+class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docCount = 0;
+    this.avgDocLength = 0;
+    this.docLengths = [];
+    this.postings = new Map();
+  }
+
+  /**
+   * Build an index where document ids are the positions in `texts`
+   * (the same row ids FAISS returns as labels).
+   */
+  static build(texts, options = {}) {
+    const index = new BM25Index(options);
+    let totalLength = 0;
+
+    texts.forEach((text, row) => {
+      const terms = tokenize(text);
+      index.docLengths[row] = terms.length;
+      totalLength += terms.length;
+
+      const counts = new Map();
+      for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      for (const [term, tf] of counts.entries()) {
+        if (!index.postings.has(term)) index.postings.set(term, []);
+        index.postings.get(term).push([row, tf]);
+      }
+    });
+
+    index.docCount = texts.length;
+    index.avgDocLength = texts.length ? totalLength / texts.length : 0;
+    return index;
+  }
+
+  static fromJSON(data) {
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    index.docCount = data.docCount;
+    index.avgDocLength = data.avgDocLength;
+    index.docLengths = data.docLengths;
+    index.postings = new Map(Object.entries(data.postings));
+    return index;
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      docCount: this.docCount,
+      avgDocLength: this.avgDocLength,
+      docLengths: this.docLengths,
+      postings: Object.fromEntries(this.postings)
+    };
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.length || 0;
+    return Math.log(1 + (this.docCount - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score every document that shares a term with the query.
+   * Returns [{ row, score, matchedTerms }] sorted by score, best first.
+   */
+  search(query, limit = 10, accept = null) {
+    const terms = Array.from(new Set(tokenize(query)));
+    const scores = new Map();
+
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+      const idf = this.idf(term);
+      for (const [row, tf] of postings) {
+        const norm = 1 - this.b + this.b * (this.docLengths[row] / (this.avgDocLength || 1));
+        const termScore = idf * ((tf * (this.k1 + 1)) / (tf + this.k1 * norm));
+        const entry = scores.get(row) || { row, score: 0, matchedTerms: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        scores.set(row, entry);
+      }
+    }
+
+    const ranked = Array.from(scores.values())
+      .sort((a, b) => b.score - a.score);
+
+    const results = [];
+    for (const entry of ranked) {
+      if (accept && !accept(entry.row)) continue;
+      results.push(entry);
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+}
+
+/**
+ * Text a chunk contributes to the keyword index: body plus the title and product tags,
+ * which often carry the exact model name the body only implies.
+ */
+export function keywordText(record) {
+  return [
+    record.title,
+    record.text,
+    ...(record.referenced_products || []),
+    ...(record.search_keywords || [])
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Reciprocal rank fusion: each list contributes weight / (k + rank) per hit.
+ * `lists` is { name: { weight, items: [{ key, ... }] } }; returns fused entries
+ * sorted best first with per-retriever ranks.
+ */
+export function reciprocalRankFusion(lists, k = 60) {
+  const fused = new Map();
+  for (const [name, { weight = 1, items }] of Object.entries(lists)) {
+    if (!weight) continue;
+    items.forEach((item, idx) => {
+      const entry = fused.get(item.key) || { key: item.key, score: 0, ranks: {}, retrievers: [] };
+      entry.score += weight / (k + idx + 1);
+      entry.ranks[name] = idx + 1;
+      entry.retrievers.push(name);
+      fused.set(item.key, entry);
+    });
+  }
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+export default BM25Index;
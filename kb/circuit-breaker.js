@@ -0,0 +1,101 @@
+/**
+ * Circuit breaker for calls to one model endpoint. After `threshold` consecutive failures the
+ * circuit opens and calls fail fast for `cooldownMs`; then a single trial call is let through
+ * (half-open) and its outcome closes the circuit or opens it again.
+ */
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit "${name}" is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {string} options.name  e.g. "answer:primary", used in logs and errors
+   * @param {number} [options.threshold]  consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs]  how long it stays open before a trial call
+   * @param {() => number} [options.now]  clock, for tests
+   */
+  constructor({ name, threshold = 3, cooldownMs = 30000, now = Date.now }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.opens = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return this.now() >= this.retryAt ? 'half-open' : 'open';
+  }
+
+  get retryAt() {
+    return this.openedAt === null ? null : this.openedAt + this.cooldownMs;
+  }
+
+  /**
+   * Whether a call may go ahead. Half-open lets exactly one trial call through.
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'open' || this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) console.log(`🟢 Circuit ${this.name} closed again`);
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * The call ended in an error that says nothing about the endpoint's health (a bad request,
+   * an auth failure): it counts neither way, but a half-open trial slot is freed.
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = this.now();
+    const trialFailed = this.trialInFlight;
+    this.trialInFlight = false;
+    if (trialFailed || (this.openedAt === null && this.failures >= this.threshold)) {
+      this.openedAt = this.now();
+      this.opens += 1;
+      console.warn(`🔴 Circuit ${this.name} open for ${Math.round(this.cooldownMs / 1000)}s after ${this.failures} failure(s): ${this.lastError}`);
+    }
+  }
+
+  describe() {
+    const iso = (time) => (time === null ? null : new Date(time).toISOString());
+    return {
+      state: this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: iso(this.openedAt),
+      retryAt: iso(this.retryAt),
+      opens: this.opens,
+      lastError: this.lastError,
+      lastFailureAt: iso(this.lastFailureAt)
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,45 @@
+/**
+ * Inline citation handling. Context blocks are numbered [1], [2], … in the prompt; the model
+ * cites them after each claim, and only the blocks the answer actually cites become sources.
+ */
+
+const CITATION_GROUP = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+export const CITATION_INSTRUCTIONS = 'Each context passage below is numbered. After every fact you take from it, cite the passage number in square brackets, e.g. [1] or [1, 3]. Cite only numbers that appear in the context.';
+
+/**
+ * Find the blocks an answer cites. Markers pointing at blocks that do not exist are removed
+ * from the text. Returns { answer, cited } with cited blocks in order of first mention.
+ */
+export function extractCitations(answer, blocks) {
+  const byNumber = new Map(blocks.map(block => [block.citation, block]));
+  const cited = [];
+
+  const cleaned = String(answer || '').replace(CITATION_GROUP, (marker, list) => {
+    const valid = list
+      .split(',')
+      .map(value => Number(value.trim()))
+      .filter(number => byNumber.has(number));
+
+    for (const number of valid) {
+      const block = byNumber.get(number);
+      if (!cited.includes(block)) cited.push(block);
+    }
+    return valid.length ? `[${valid.join(', ')}]` : '';
+  });
+
+  return {
+    answer: cleaned.replace(/\s+([.,;:!?])/g, '$1').replace(/ {2,}/g, ' ').trim(),
+    cited
+  };
+}
+
+/**
+ * Remove citation markers, e.g. before the avatar speaks an answer.
+ */
+export function stripCitations(text) {
+  return String(text || '')
+    .replace(CITATION_GROUP, '')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/ {2,}/g, ' ');
+}
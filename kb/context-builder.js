@@ -0,0 +1,167 @@
+/**
+ * Context assembly for generateAnswer(). Search hits are single 700-character chunks, which
+ * cut spec tables and benchmark lists mid-row; this expands each hit with the chunks around
+ * it from the same source document, strips the text repeated by the chunk overlap and stops
+ * at a token budget.
+ */
+
+export const CONTEXT_MODES = ['chunk', 'neighbors', 'section'];
+
+export const DEFAULT_CONTEXT_OPTIONS = {
+  mode: 'neighbors',
+  window: 1,
+  tokenBudget: 900,
+  maxOverlap: 120
+};
+
+const MIN_OVERLAP = 12;
+
+// Rough GPT tokenizer ratio for English prose; close enough for budgeting.
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+function chunkPosition(record) {
+  const inner = record.metadata || {};
+  return {
+    group: `${record.source || 'unknown'}::${inner.original_id ?? record.document_id ?? record.id}`,
+    index: Number.isInteger(inner.chunk_index) ? inner.chunk_index : 0
+  };
+}
+
+/**
+ * Index the chunks of a knowledge base snapshot by the base document (PDF page, web page or
+ * hand-written entry) they were cut from. `groups` holds each document's rows in chunk order.
+ */
+export function buildChunkIndex(metadata) {
+  const rowById = new Map();
+  const groups = new Map();
+  const positions = [];
+
+  metadata.forEach((record, row) => {
+    rowById.set(record.id, row);
+    const position = chunkPosition(record);
+    positions[row] = position;
+    if (!groups.has(position.group)) groups.set(position.group, []);
+    groups.get(position.group).push(row);
+  });
+
+  for (const rows of groups.values()) {
+    rows.sort((a, b) => positions[a].index - positions[b].index);
+  }
+
+  return { metadata, rowById, groups, positions };
+}
+
+/**
+ * Join two consecutive chunks, dropping the prefix of `next` that repeats the end of `previous`.
+ */
+export function mergeOverlap(previous, next, maxOverlap = DEFAULT_CONTEXT_OPTIONS.maxOverlap) {
+  const limit = Math.min(previous.length, next.length, maxOverlap + 20);
+  for (let size = limit; size >= MIN_OVERLAP; size -= 1) {
+    if (previous.endsWith(next.slice(0, size))) {
+      return previous + next.slice(size);
+    }
+  }
+  return `${previous} ${next}`;
+}
+
+/**
+ * Label a context block the way it is cited: "[2] HPE ProLiant DL380 Gen11, p. 4".
+ */
+export function renderBlock(block) {
+  const where = block.page ? `, p. ${block.page}` : block.url ? ` (${block.url})` : '';
+  return `[${block.citation}] ${block.title || block.source}${where}\n${block.text}`;
+}
+
+/**
+ * Build the prompt context for ranked search results.
+ * Every hit gets its own chunk first (best hit first), then neighbours are added one step
+ * outwards at a time across all hits until the window or the token budget runs out.
+ * Blocks are numbered from options.firstCitation so the model can cite them inline.
+ * Returns { text, blocks: [{ citation, source, title, url, page, documentId, chunkIds, hitIds, rows, text }], tokens }.
+ */
+export function assembleContext(results, chunkIndex, options = {}) {
+  const { mode, window, tokenBudget, maxOverlap, firstCitation = 1 } = { ...DEFAULT_CONTEXT_OPTIONS, ...options };
+  const selected = new Set();
+  const hitRows = [];
+  let tokens = 0;
+
+  const take = (row, force = false) => {
+    if (selected.has(row)) return true;
+    const cost = estimateTokens(chunkIndex.metadata[row].text);
+    if (!force && tokens + cost > tokenBudget) return false;
+    selected.add(row);
+    tokens += cost;
+    return true;
+  };
+
+  for (const result of results) {
+    const row = chunkIndex?.rowById.get(result.id);
+    // A hit from a snapshot that has since been swapped out cannot be expanded safely.
+    if (row === undefined || chunkIndex.metadata[row] !== result.metadata) continue;
+    if (take(row, hitRows.length === 0)) hitRows.push({ row, id: result.id });
+  }
+
+  if (mode !== 'chunk') {
+    const reach = mode === 'section' ? Infinity : Math.max(0, Number(window) || 0);
+    const neighbours = hitRows.map(({ row }) => {
+      const { group } = chunkIndex.positions[row];
+      const rows = chunkIndex.groups.get(group);
+      return { rows, at: rows.indexOf(row) };
+    });
+
+    let budgetLeft = true;
+    for (let step = 1; step <= reach && budgetLeft; step += 1) {
+      let grew = false;
+      for (const { rows, at } of neighbours) {
+        for (const candidate of [rows[at - step], rows[at + step]]) {
+          if (candidate === undefined) continue;
+          grew = true;
+          if (!take(candidate)) budgetLeft = false;
+        }
+      }
+      if (!grew) break;
+    }
+  }
+
+  // Stitch the selected rows back together per document, in the order the hits ranked.
+  const blocks = [];
+  const seenGroups = new Set();
+  for (const { row } of hitRows) {
+    const { group } = chunkIndex.positions[row];
+    if (seenGroups.has(group)) continue;
+    seenGroups.add(group);
+
+    const rows = chunkIndex.groups.get(group).filter(r => selected.has(r));
+    const groupRows = chunkIndex.groups.get(group);
+    let text = '';
+    let previousAt = null;
+    for (const r of rows) {
+      const at = groupRows.indexOf(r);
+      const chunkText = chunkIndex.metadata[r].text || '';
+      if (previousAt === null) text = chunkText;
+      else if (at === previousAt + 1) text = mergeOverlap(text, chunkText, maxOverlap);
+      else text = `${text} … ${chunkText}`;
+      previousAt = at;
+    }
+
+    const first = chunkIndex.metadata[rows[0]];
+    blocks.push({
+      citation: firstCitation + blocks.length,
+      source: first.url || first.source,
+      title: first.title || first.metadata?.title || null,
+      url: first.url || null,
+      page: first.metadata?.page ?? null,
+      documentId: first.document_id || first.metadata?.document_id || null,
+      chunkIds: rows.map(r => chunkIndex.metadata[r].id),
+      hitIds: hitRows.filter(hit => chunkIndex.positions[hit.row].group === group).map(hit => hit.id),
+      rows,
+      text
+    });
+  }
+
+  return {
+    text: blocks.map(renderBlock).join('\n\n'),
+    blocks,
+    tokens
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * The SDR conversation as a state machine:
+ *
+ *   greeting → discovery → recommendation → lead_capture → handoff
+ *
+ * plus technical_qa, a side branch for product questions that returns to the state it left.
+ * Each user turn gets an intent (detectIntent) and the current state's transitions are checked
+ * in order (nextState): the first whose intent and guard both match decides the next state and
+ * the reply. Guards are facts about the conversation (readyToRecommend from the discovery
+ * slots, hasContact from lead capture), so the flow moves on what the user has told us rather
+ * than on single words in the latest message.
+ */
+
+export const DIALOGUE_STATES = ['greeting', 'discovery', 'recommendation', 'lead_capture', 'handoff', 'technical_qa'];
+export const INITIAL_STATE = 'greeting';
+
+// Shared by greeting and discovery: qualify the prospect until a recommendation is possible
+const DISCOVERY_TRANSITIONS = [
+  { intent: 'provide_contact', to: 'handoff' },
+  { intent: 'request_human', guard: 'hasContact', to: 'handoff' },
+  { intent: 'request_human', to: 'lead_capture' },
+  { intent: 'technical_question', to: 'technical_qa' },
+  { intent: 'request_recommendation', to: 'recommendation' },
+  { guard: 'readyToRecommend', to: 'recommendation' },
+  { intent: 'repeat_complaint', to: 'discovery', reply: 'repeat' },
+  { to: 'discovery' }
+];
+
+/**
+ * States with the reply they give by default and their transitions (first match wins).
+ * A transition may name its own reply; technical_qa borrows the transitions of the state it
+ * was entered from.
+ */
+export const DIALOGUE_FLOW = {
+  greeting: { reply: 'discovery', transitions: DISCOVERY_TRANSITIONS },
+  discovery: { reply: 'discovery', transitions: DISCOVERY_TRANSITIONS },
+  recommendation: {
+    reply: 'recommendation',
+    transitions: [
+      { intent: 'provide_contact', to: 'handoff' },
+      { intent: ['accept', 'request_human'], guard: 'hasContact', to: 'handoff' },
+      { intent: ['accept', 'request_human'], to: 'lead_capture' },
+      { intent: 'decline', to: 'recommendation', reply: 'leadDeclined' },
+      { intent: ['request_recommendation', 'provide_info', 'repeat_complaint'], to: 'recommendation' },
+      { to: 'technical_qa' }
+    ]
+  },
+  lead_capture: {
+    reply: 'leadCapture',
+    transitions: [
+      { intent: 'provide_contact', to: 'handoff' },
+      { intent: 'decline', to: 'recommendation', reply: 'leadDeclined' },
+      { intent: 'technical_question', to: 'technical_qa' },
+      { to: 'lead_capture' }
+    ]
+  },
+  handoff: {
+    reply: 'handoff',
+    transitions: [
+      { intent: 'provide_contact', to: 'handoff' },
+      { intent: 'request_recommendation', to: 'recommendation' },
+      // "No thanks", "ok" or small talk after the handoff closes the conversation politely
+      { intent: ['decline', 'accept', 'other'], to: 'handoff', reply: 'handoffClosing' },
+      { to: 'technical_qa' }
+    ]
+  },
+  technical_qa: { reply: 'technical', returns: true }
+};
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE = /(?:\+|\b)\d[\d\s().-]{6,}\d\b/;
+const PHONE_CUE = /\b(?:phone|call|reach|number|mobile|cell|whatsapp|tel|contact)\b/i;
+const REQUEST_HUMAN = /\b(?:(?:talk|speak|chat) (?:to|with) (?:a |an |your )?(?:human|person|someone|somebody|sales|specialist|expert|rep\w*|agent)|real person|human agent|(?:call|contact|reach) me(?: back)?|arrange a (?:call|callback)|call ?back)\b/i;
+const REPEAT_COMPLAINT = /\b(?:already (?:told|shared|said|mentioned)|i have already|repeating|said that before)\b/i;
+const REQUEST_RECOMMENDATION = /\b(?:recommend\w*|suggest\w*|which (?:server|model|proliant)s?|what (?:server|model)s?|best server|can you not tell|should (?:i|we) (?:use|buy|get|choose|pick))\b/i;
+const ACCEPT = /^\s*(?:yes|yeah|yep|yup|sure|ok(?:ay)?|please|sounds good|go ahead|that works|absolutely|definitely|of course|why not)\b/i;
+const DECLINE = /^\s*(?:no|nope|nah|not now|not yet|not really|no thanks|maybe later|later|i'm good|i am good)\b/i;
+const HELP = /\b(?:help|assist\w*)\b/i;
+const QUESTION = /\?\s*$|^\s*(?:what|which|how|why|when|where|who|does|do|is|are|can|could|would|will|should|tell me|explain|compare|show me|list)\b/i;
+const PRODUCT = /\b(?:(?:dl|ml|xd|cl|rl)\s?\d{2,3}[a-z]?|gen\s?1[0-2]|ilo\s?\d*|proliant|greenlake|compute ops management|oneview)\b/i;
+const TECHNICAL_TYPES = new Set(['route', 'knowledge_base']);
+
+/**
+ * Contact details in a turn: { email, phone }, either null when absent. A run of digits only
+ * counts as a phone number with a leading +, a cue word ("call me on") or nothing much else
+ * in the turn, so "32 64 128 256 GB" is not one.
+ */
+export function extractContact(text) {
+  const source = String(text || '');
+  const email = source.match(EMAIL)?.[0] || null;
+  const candidate = source.match(PHONE)?.[0].replace(/\s+/g, ' ').trim() || null;
+  const digits = candidate ? candidate.replace(/\D/g, '').length : 0;
+  const plausible = candidate && digits >= 8 && digits <= 15 && (
+    candidate.startsWith('+') ||
+    PHONE_CUE.test(source) ||
+    candidate.length >= source.replace(/[^\p{L}\p{N}+]/gu, '').length * 0.6
+  );
+  return { email, phone: plausible ? candidate : null };
+}
+
+/**
+ * Intent of one user turn: provide_contact, request_human, repeat_complaint,
+ * request_recommendation, technical_question, provide_info, accept, decline, help or other.
+ * `classification` is the smart router's; `slotsFilled` is how many discovery slots the turn
+ * filled. "Help" only counts when the turn carries no product question, so "can you help
+ * me size memory for a DL380?" is answered from the knowledge base.
+ */
+export function detectIntent(text, { classification = null, slotsFilled = 0 } = {}) {
+  const source = String(text || '').trim();
+  const contact = extractContact(source);
+  if (contact.email || contact.phone) return { intent: 'provide_contact', reason: 'contact details' };
+  if (REQUEST_HUMAN.test(source)) return { intent: 'request_human', reason: 'asked for a person' };
+  if (REPEAT_COMPLAINT.test(source)) return { intent: 'repeat_complaint', reason: 'says it was already shared' };
+  if (REQUEST_RECOMMENDATION.test(source)) return { intent: 'request_recommendation', reason: 'asked for a recommendation' };
+
+  const question = QUESTION.test(source);
+  const technical = PRODUCT.test(source) || TECHNICAL_TYPES.has(classification?.type);
+  if (technical && (question || !slotsFilled)) return { intent: 'technical_question', reason: 'product question' };
+  if (slotsFilled) return { intent: 'provide_info', reason: `filled ${slotsFilled} slot(s)` };
+  if (ACCEPT.test(source)) return { intent: 'accept', reason: 'agreed' };
+  if (DECLINE.test(source)) return { intent: 'decline', reason: 'declined' };
+  if (HELP.test(source)) return { intent: 'help', reason: 'asked for help' };
+  if (question) return { intent: 'technical_question', reason: 'open question' };
+  return { intent: 'other', reason: 'no intent matched' };
+}
+
+/**
+ * Apply one turn to the dialogue. `dialogue` is { state, returnTo } (missing on a new
+ * conversation); `context` holds the intent and the guard values.
+ * Returns { state, previous, returnTo, reply, intent }.
+ */
+export function nextState(dialogue = {}, { intent, ...guards } = {}) {
+  const previous = DIALOGUE_FLOW[dialogue.state] ? dialogue.state : INITIAL_STATE;
+  // The side branch continues the flow of the state it was entered from
+  const origin = DIALOGUE_FLOW[previous].returns ? (dialogue.returnTo || 'discovery') : previous;
+
+  const transition = DIALOGUE_FLOW[origin].transitions.find(rule => {
+    if (rule.intent && ![].concat(rule.intent).includes(intent)) return false;
+    return !rule.guard || Boolean(guards[rule.guard]);
+  });
+  const state = transition.to;
+
+  return {
+    state,
+    previous,
+    returnTo: state === 'technical_qa' ? origin : null,
+    reply: transition.reply || DIALOGUE_FLOW[state].reply,
+    intent
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * Discovery slots: what the SDR has learned about the prospect (role, industry, scale,
+ * workloads, needs, drivers, hypervisor, timeline, location). Each user turn is parsed once by
+ * extractSlots() and merged into the conversation's slot state by mergeSlots(), so every slot
+ * carries its confidence and the turn it came from.
+ *
+ * Keywords match whole words only, and a keyword preceded by a negation ("we don't need AI")
+ * does not fill its slot. Quantities are read in digits or words ("2k users", "five hundred
+ * VMs", "40 TB", "a dozen racks"). In a correction ("actually it's 300 users") the new value
+ * replaces the old one and the old value is kept as `previous`. Outside a correction, a later
+ * mention replaces an earlier one unless it is less certain (e.g. "about 300" after "320").
+ */
+
+export const SCALAR_SLOTS = ['role', 'industry', 'users', 'vms', 'storageTB', 'racks', 'virtualization', 'timeline', 'ha', 'location'];
+export const LIST_SLOTS = ['workloads', 'needs', 'drivers'];
+
+const SOURCE_CHARS = 160;
+
+const CORRECTION = /\b(?:actually|correction|sorry|i meant|make (?:that|it)|scratch that|to correct|rather|instead)\b/i;
+const NEGATION = /\b(?:no|not|never|without|nor|neither|don't|dont|doesn't|doesnt|do not|does not|isn't|aren't|won't|n't)\b(?!\s+(?:just|only)\b)/i;
+const SELF_IDENTIFIED = /\b(?:i am|i'm|im|i work as|as (?:the|an?)|my (?:role|title|job) is)\b/i;
+const LOCATED = /\b(?:based|located|headquartered|offices?|sites?|operat\w*|we're|we are)\s+(?:\w+\s+)?in\s*$/i;
+const APPROXIMATE = new Set(['about', 'around', 'roughly', 'approximately', 'approx', 'nearly', 'almost', 'over', 'under', 'some', 'circa', '~', '+', 'plus']);
+
+// [value, pattern] per slot, checked against the original text with whole-word boundaries
+const KEYWORDS = {
+  role: [
+    ['CTO', /\b(?:cto|chief technology officer)\b/i],
+    ['CIO', /\b(?:cio|chief information officer)\b/i],
+    ['CISO', /\b(?:ciso|chief (?:information )?security officer)\b/i],
+    ['CEO', /\b(?:ceo|chief executive|founder|managing director)\b/i],
+    ['IT Director', /\b(?:IT [Dd]irector|[Dd]irector of IT|[Hh]ead of IT|IT [Hh]ead)\b/],
+    ['IT Manager', /\bIT [Mm]anager\b/],
+    ['Infrastructure Manager', /\binfrastructure (?:manager|lead|head)\b/i],
+    ['Technical Lead', /\b(?:technical|tech) lead\b/i],
+    ['Architect', /\b(?:solutions?|enterprise|infrastructure|cloud|systems?) architect\b/i],
+    ['System Administrator', /\b(?:sys ?admin|system administrator)s?\b/i],
+    ['Procurement', /\b(?:procurement|purchasing) (?:manager|lead|officer|team)\b/i]
+  ],
+  industry: [
+    ['banking', /\b(?:banks?|banking|fintech|financial services|financial institution)\b/i],
+    ['insurance', /\b(?:insurance|insurer)\b/i],
+    ['healthcare', /\b(?:healthcare|health care|hospitals?|clinics?|medical|pharma(?:ceuticals?)?)\b/i],
+    ['retail', /\b(?:retail(?:er|ers)?|e-?commerce|supermarkets?)\b/i],
+    ['manufacturing', /\b(?:manufactur\w*|factor(?:y|ies))\b/i],
+    ['education', /\b(?:universit(?:y|ies)|schools?|colleges?|education|campus)\b/i],
+    ['government', /\b(?:government|public sector|ministry|municipal\w*)\b/i],
+    ['telecommunications', /\b(?:telcos?|telecom\w*|mobile operator)\b/i],
+    ['logistics', /\b(?:logistics|freight|shipping company|supply chain)\b/i],
+    ['hospitality', /\b(?:hotels?|hospitality|resorts?)\b/i],
+    ['media', /\b(?:media company|broadcast\w*|publishing)\b/i],
+    ['energy', /\b(?:oil and gas|utilit(?:y|ies) company|energy (?:company|sector|provider))\b/i],
+    ['technology', /\b(?:saas|software company|tech company|startup)\b/i]
+  ],
+  virtualization: [
+    ['VMware', /\b(?:vmware|vsphere|esxi|vcenter)\b/i],
+    ['Hyper-V', /\bhyper-?v\b/i],
+    ['KVM', /\bkvm\b/i],
+    ['Proxmox', /\bproxmox\b/i],
+    ['Nutanix AHV', /\b(?:nutanix|ahv)\b/i],
+    ['Citrix Hypervisor', /\b(?:xenserver|citrix hypervisor|xcp-ng)\b/i],
+    ['OpenShift Virtualization', /\b(?:openshift virtualization|kubevirt)\b/i]
+  ],
+  location: [
+    ['Singapore', /\bsingapore\b/i],
+    ['Malaysia', /\b(?:malaysia|kuala lumpur|penang)\b/i],
+    ['Indonesia', /\b(?:indonesia|jakarta|surabaya)\b/i],
+    ['Thailand', /\b(?:thailand|bangkok)\b/i],
+    ['Vietnam', /\b(?:vietnam|viet nam|hanoi|ho chi minh)\b/i],
+    ['Philippines', /\b(?:philippines|manila)\b/i],
+    ['India', /\b(?:india|mumbai|bangalore|bengaluru|delhi|chennai|hyderabad)\b/i],
+    ['Japan', /\b(?:japan|tokyo|osaka)\b/i],
+    ['South Korea', /\b(?:korea|seoul)\b/i],
+    ['China', /\b(?:china|shanghai|beijing|shenzhen)\b/i],
+    ['Hong Kong', /\bhong kong\b/i],
+    ['Taiwan', /\b(?:taiwan|taipei)\b/i],
+    ['Australia', /\b(?:australia|sydney|melbourne|brisbane|perth)\b/i],
+    ['New Zealand', /\b(?:new zealand|auckland)\b/i]
+  ],
+  workloads: [
+    ['analytics', /\b(?:analytics|business intelligence|bi|reporting|data warehous\w*)\b/i],
+    ['virtualization', /\b(?:virtuali[sz]ation|virtuali[sz]ed|vms?|virtual machines?|hypervisors?)\b/i],
+    ['vdi', /\b(?:vdi|virtual desktops?)\b/i],
+    ['database', /\b(?:databases?|sql|oracle|postgres(?:ql)?|mysql|hana)\b/i],
+    ['ai', /\b(?:ai|ml|machine learning|deep learning|inference|model training|gpus?|llms?|gen ?ai|generative ai)\b/i],
+    ['security', /\bsecurity\b/i],
+    ['personalization', /\bpersonali[sz]ation\b/i],
+    ['erp', /\b(?:erp|sap)\b/i],
+    ['web', /\b(?:web (?:servers?|apps?|applications?|hosting)|websites?)\b/i],
+    ['file services', /\bfile (?:servers?|shares?|services|storage)\b/i],
+    ['backup', /\b(?:backups?|disaster recovery|dr site)\b/i],
+    ['containers', /\b(?:containers?|kubernetes|k8s|docker|openshift)\b/i],
+    ['hpc', /\b(?:hpc|high performance computing|simulations?)\b/i],
+    ['edge', /\b(?:edge (?:computing|sites?|locations?)|branch offices?)\b/i]
+  ],
+  needs: [
+    ['performance', /\b(?:performance|speed|faster)\b/i],
+    ['scalability', /\b(?:scalab\w*|scale|scaling|room to grow)\b/i],
+    ['high availability', /\b(?:high availability|ha|failover|redundan\w*|uptime|clustering|zero downtime)\b/i],
+    ['security', /\b(?:security|secure|encryption|zero trust|ransomware)\b/i],
+    ['energy efficiency', /\b(?:energy|power (?:consumption|efficien\w*|usage|bills?)|sustainab\w*|carbon)\b/i],
+    ['low latency', /\b(?:latency|real-?time)\b/i],
+    ['storage capacity', /\b(?:storage capacity|more storage|storage (?:space|growth))\b/i],
+    ['manageability', /\b(?:manageab\w*|remote management|ilo)\b/i]
+  ],
+  drivers: [
+    ['aging infrastructure', /\b(?:aging|ageing|(?:old|legacy|outdated) (?:servers?|hardware|infrastructure|systems?|machines?|kit|equipment)|legacy|end of (?:life|support)|eol|out of warranty|years old)\b/i],
+    ['expansion', /\b(?:expan\w*|growth|growing|new (?:site|office|branch|data ?cent(?:er|re)))\b/i],
+    ['compliance', /\b(?:complian\w*|regulat\w*|audits?|pdpa|gdpr|hipaa|mas trm|pci(?:-dss)?)\b/i],
+    ['consolidation', /\bconsolidat\w*\b/i],
+    ['cloud repatriation', /\b(?:repatriat\w*|(?:off|out of|back from) the cloud|cloud (?:costs?|bills?))\b/i],
+    ['hardware refresh', /\b(?:refresh|replace|replacing|replacement)\b/i]
+  ]
+};
+
+const KEYWORD_CONFIDENCE = {
+  role: 0.6, industry: 0.8, virtualization: 0.9, location: 0.7, workloads: 0.8, needs: 0.7, drivers: 0.75
+};
+
+const TIMELINES = [
+  [/\b(?:asap|as soon as possible|immediately|urgent(?:ly)?|right now|right away|this month)\b/i, () => 'immediate'],
+  [/\bq([1-4])(?:\s*(?:of\s*)?(20\d\d))?\b/i, (m) => `Q${m[1]}${m[2] ? ` ${m[2]}` : ''}`],
+  [/\b(this|next) (quarter|year|month)\b/i, (m) => `${m[1].toLowerCase()} ${m[2].toLowerCase()}`],
+  [/\b(?:within|in) (?:the next )?(\d+|\w+) (months?|weeks?)\b/i, (m) => {
+    const count = readNumber(tokenize(m[1]), 0);
+    return count ? `within ${count.value} ${m[2].toLowerCase().replace(/s$/, '')}${count.value === 1 ? '' : 's'}` : null;
+  }],
+  [/\b(?:by|in|before|during) (?:early |mid |late |end of )?(20\d\d)\b/i, (m) => m[1]]
+];
+
+// Quantities: unit words after (or shortly before) a number
+const UNITS = {
+  user: ['users', 1], users: ['users', 1], employee: ['users', 1], employees: ['users', 1],
+  staff: ['users', 1], seat: ['users', 1], seats: ['users', 1], people: ['users', 1],
+  customer: ['users', 1, 0.7], customers: ['users', 1, 0.7],
+  vm: ['vms', 1], vms: ['vms', 1], machine: ['vms', 1], machines: ['vms', 1],
+  tb: ['storageTB', 1], tib: ['storageTB', 1], terabyte: ['storageTB', 1], terabytes: ['storageTB', 1],
+  pb: ['storageTB', 1000], petabyte: ['storageTB', 1000], petabytes: ['storageTB', 1000],
+  rack: ['racks', 1], racks: ['racks', 1]
+};
+const UNIT_MODIFIERS = new Set([
+  'concurrent', 'active', 'named', 'daily', 'internal', 'end', 'total', 'simultaneous', 'registered',
+  'virtual', 'production', 'full', 'more', 'odd', 'plus', '+', '-', 'of', 'usable', 'raw', 'data', 'storage'
+]);
+// Words allowed between a unit and a number after it ("users: 300", "VMs are about 500")
+const UNIT_LINKS = new Set([':', '=', '-', 'is', 'are', 'was', 'were', 'count', 'total', 'now', 'like', ...APPROXIMATE]);
+const UNIT_LOOKBACK = 3;
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, dozen: 12, thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, mil: 1e6, billion: 1e9 };
+
+const tokenize = (text) => String(text || '').toLowerCase()
+  .match(/\d+(?:,\d{3})*(?:\.\d+)?(?:[km](?![\p{L}]))?|[\p{L}]+(?:'[\p{L}]+)?|[~+:=-]/gu) || [];
+
+/**
+ * Read a number starting at tokens[start]: digits ("300", "1,200", "2k", "1.5 million") or
+ * words ("five hundred", "twenty-five", "a dozen"). Returns { value, end, words } or null.
+ */
+export function readNumber(tokens, start) {
+  let index = start;
+  const first = tokens[index];
+  if (!first) return null;
+
+  const digits = first.match(/^(\d+(?:,\d{3})*(?:\.\d+)?)([km])?$/);
+  if (digits) {
+    let value = parseFloat(digits[1].replace(/,/g, '')) * (digits[2] ? SCALES[digits[2]] : 1);
+    index += 1;
+    while (SCALES[tokens[index]] && tokens[index] !== 'dozen') {
+      value *= SCALES[tokens[index]];
+      index += 1;
+    }
+    return { value, end: index, words: false };
+  }
+
+  let total = 0;
+  let current = 0;
+  let seen = false;
+  if ((first === 'a' || first === 'an') && SCALES[tokens[index + 1]]) {
+    current = 1;
+    index += 1;
+  }
+  for (; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (NUMBER_WORDS[token] !== undefined) {
+      current += NUMBER_WORDS[token];
+    } else if (token === 'hundred' || token === 'dozen') {
+      current = (current || 1) * SCALES[token];
+    } else if (token === 'thousand' || token === 'million' || token === 'billion') {
+      total += (current || 1) * SCALES[token];
+      current = 0;
+    } else if ((token === 'and' || token === '-') && seen && isNumberWord(tokens[index + 1])) {
+      continue;
+    } else {
+      break;
+    }
+    seen = true;
+  }
+  return seen ? { value: total + current, end: index, words: true } : null;
+}
+
+const isNumberWord = (token) => NUMBER_WORDS[token] !== undefined || token === 'hundred' || token === 'thousand' || token === 'million' || token === 'dozen';
+
+/**
+ * Quantities in `text`: { slot, value, confidence } per number with a unit, plus `bare` numbers
+ * that had none (used by corrections such as "actually it's 300").
+ */
+function extractQuantities(text) {
+  const tokens = tokenize(text);
+  const quantities = [];
+  const bare = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const number = readNumber(tokens, index);
+    if (!number) continue;
+
+    const approximate = APPROXIMATE.has(tokens[index - 1]);
+    let confidence = (number.words ? 0.85 : 0.9) - (approximate ? 0.1 : 0);
+
+    let unitIndex = number.end;
+    while (UNIT_MODIFIERS.has(tokens[unitIndex]) && unitIndex - number.end < 3) unitIndex += 1;
+    let unit = UNITS[tokens[unitIndex]];
+    // "virtual machines" but not "machines" on its own
+    if (unit && tokens[unitIndex].startsWith('machine') && tokens[unitIndex - 1] !== 'virtual') unit = null;
+
+    if (!unit) {
+      // "users: 300", "number of VMs is about 500"
+      let back = index - 1;
+      while (back >= index - UNIT_LOOKBACK && UNIT_LINKS.has(tokens[back])) back -= 1;
+      if (back >= 0 && UNITS[tokens[back]] && !tokens[back].startsWith('machine')) {
+        unit = UNITS[tokens[back]];
+        confidence -= 0.1;
+      }
+    }
+
+    if (unit) {
+      const [slot, multiplier, unitConfidence] = unit;
+      quantities.push({ slot, value: Math.round(number.value * multiplier * 100) / 100, confidence: Math.min(confidence, unitConfidence || 1) });
+    } else {
+      bare.push(number.value);
+    }
+    index = Math.max(index, number.end - 1);
+  }
+  return { quantities, bare };
+}
+
+/**
+ * Whether the match at `index` is negated within its clause ("we don't run VMware", "no AI").
+ */
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.,;!?]|\bbut\b/i).pop();
+  const words = clause.trim().split(/\s+/).slice(-4).join(' ');
+  return NEGATION.test(words);
+}
+
+const sentenceBefore = (text, index) => text.slice(0, index).split(/[.!?]/).pop();
+
+/**
+ * Keyword slot candidates in `text`: { slot, value, confidence, index, negated }.
+ */
+function extractKeywords(text) {
+  const candidates = [];
+  for (const [slot, rules] of Object.entries(KEYWORDS)) {
+    for (const [value, pattern] of rules) {
+      const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+      for (const match of text.matchAll(global)) {
+        let confidence = KEYWORD_CONFIDENCE[slot];
+        if (slot === 'role' && SELF_IDENTIFIED.test(sentenceBefore(text, match.index))) confidence = 0.9;
+        if (slot === 'location' && LOCATED.test(text.slice(0, match.index))) confidence = 0.9;
+        candidates.push({ slot, value, confidence, index: match.index, negated: isNegated(text, match.index) });
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Slot updates found in one user turn.
+ * Returns { updates, correction } where each update is { slot, value, confidence } (list slots
+ * may also carry remove: true for a negated item). `previous` is the slot state so far, used
+ * to give a bare number in a correction to the quantity mentioned last.
+ */
+export function extractSlots(text, { previous = {} } = {}) {
+  const source = String(text || '');
+  const correction = CORRECTION.test(source);
+  const updates = [];
+
+  // Scalars: the last non-negated mention in the turn wins, with less confidence if the turn
+  // names several ("moving from VMware to Proxmox")
+  const keywords = extractKeywords(source);
+  for (const slot of Object.keys(KEYWORDS)) {
+    const found = keywords.filter(candidate => candidate.slot === slot);
+    if (LIST_SLOTS.includes(slot)) {
+      const values = new Map();
+      for (const candidate of found) {
+        const known = values.get(candidate.value);
+        // A value both negated and stated in one turn ("not just AI, also analytics") counts as stated
+        if (!known || known.remove) values.set(candidate.value, candidate.negated ? { remove: true } : candidate);
+      }
+      for (const [value, candidate] of values) {
+        updates.push(candidate.remove ? { slot, value, remove: true } : { slot, value, confidence: candidate.confidence });
+      }
+      continue;
+    }
+    const stated = found.filter(candidate => !candidate.negated).sort((a, b) => a.index - b.index);
+    if (!stated.length) continue;
+    const last = stated[stated.length - 1];
+    const distinct = new Set(stated.map(candidate => candidate.value)).size;
+    updates.push({ slot, value: last.value, confidence: distinct > 1 ? Math.min(last.confidence, 0.6) : last.confidence });
+  }
+
+  // A hypervisor or a VM count implies the virtualization workload
+  if (updates.some(update => update.slot === 'virtualization') && !updates.some(update => update.slot === 'workloads' && update.value === 'virtualization')) {
+    updates.push({ slot: 'workloads', value: 'virtualization', confidence: 0.8 });
+  }
+
+  // High availability as a yes/no slot, next to the need
+  const ha = updates.find(update => update.slot === 'needs' && update.value === 'high availability');
+  if (ha) updates.push(ha.remove ? { slot: 'ha', value: false, confidence: 0.8 } : { slot: 'ha', value: true, confidence: ha.confidence });
+
+  const timeline = TIMELINES.map(([pattern, format]) => {
+    const match = source.match(pattern);
+    return match ? format(match) : null;
+  }).find(Boolean);
+  if (timeline) updates.push({ slot: 'timeline', value: timeline, confidence: timeline === 'immediate' ? 0.7 : 0.8 });
+
+  const { quantities, bare } = extractQuantities(source);
+  for (const slot of ['users', 'vms', 'storageTB', 'racks']) {
+    const found = quantities.filter(quantity => quantity.slot === slot);
+    if (found.length) updates.push(found[found.length - 1]);
+  }
+  if (updates.some(update => update.slot === 'vms') && !updates.some(update => update.slot === 'workloads' && update.value === 'virtualization')) {
+    updates.push({ slot: 'workloads', value: 'virtualization', confidence: 0.8 });
+  }
+
+  // "Actually it's 300": a lone number in a correction replaces the quantity named last
+  // (unless several were named in that turn and it is unclear which one is meant)
+  if (correction && !quantities.length && !timeline && bare.length === 1) {
+    const named = ['users', 'vms', 'storageTB', 'racks'].filter(slot => previous[slot]);
+    const lastTurn = Math.max(...named.map(slot => previous[slot].turn));
+    const latest = named.filter(slot => previous[slot].turn === lastTurn);
+    if (latest.length === 1) updates.push({ slot: latest[0], value: bare[0], confidence: 0.8 });
+  }
+
+  return { updates, correction };
+}
+
+const excerpt = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > SOURCE_CHARS ? `${flat.slice(0, SOURCE_CHARS)}…` : flat;
+};
+
+/**
+ * Merge one turn's extraction into the slot state (returns a new state).
+ * Scalars: { value, confidence, turn, source, corrected?, previous? }.
+ * Lists: { value: [...], items: [{ value, confidence, turn }], confidence, turn, source }.
+ */
+export function mergeSlots(state = {}, { updates = [], correction = false } = {}, { turn = 0, text = '' } = {}) {
+  const next = { ...state };
+  const source = excerpt(text);
+
+  for (const update of updates) {
+    const current = next[update.slot];
+
+    if (LIST_SLOTS.includes(update.slot)) {
+      const items = (current?.items || []).filter(item => item.value !== update.value);
+      const known = current?.items.find(item => item.value === update.value);
+      if (update.remove && !known) continue;
+      if (!update.remove) {
+        items.push({ value: update.value, confidence: Math.max(update.confidence, known?.confidence || 0), turn });
+      }
+      if (!items.length) {
+        delete next[update.slot];
+        continue;
+      }
+      next[update.slot] = {
+        value: items.map(item => item.value),
+        items,
+        confidence: Math.max(...items.map(item => item.confidence)),
+        turn,
+        source
+      };
+      continue;
+    }
+
+    if (current && current.value === update.value) {
+      next[update.slot] = { ...current, confidence: Math.max(current.confidence, update.confidence), turn, source };
+      continue;
+    }
+    if (current && !correction && update.confidence < current.confidence) continue;
+    next[update.slot] = {
+      value: update.value,
+      confidence: update.confidence,
+      turn,
+      source,
+      ...(current ? { corrected: correction, previous: current.value } : {})
+    };
+  }
+  return next;
+}
+
+/**
+ * Plain values of the slot state, in the shape discovery facts have always had
+ * (null or [] for what is not known yet).
+ */
+export function factsFromSlots(slots = {}) {
+  const facts = {};
+  for (const slot of SCALAR_SLOTS) facts[slot] = slots[slot]?.value ?? null;
+  for (const slot of LIST_SLOTS) facts[slot] = [...(slots[slot]?.value || [])];
+  return facts;
+}
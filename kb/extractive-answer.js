@@ -0,0 +1,43 @@
+import { splitSentences } from './groundedness.js';
+
+/**
+ * Degraded mode: when no model can write the answer, the avatar reads out the sentences of
+ * the top retrieved chunk that share the most words with the question, in their original
+ * order. Part numbers and model names ("dl380", "gen11") count double.
+ */
+
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'be', 'what', 'which', 'how', 'why', 'when', 'do', 'does',
+  'i', 'we', 'you', 'my', 'our', 'your', 'for', 'and', 'or', 'of', 'to', 'with', 'can', 'in', 'on',
+  'it', 'its', 'this', 'that', 'about', 'have', 'has', 'tell', 'me', 'us', 'any', 'there', 'hpe'
+]);
+const MIN_SENTENCE_CHARS = 25;
+const MAX_SENTENCE_CHARS = 320;
+
+const termsOf = (text) => new Set(
+  (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+);
+
+/**
+ * Up to `count` sentences of `passage` that best match `query`, in passage order.
+ * Without any overlap (e.g. a question in another language) the passage's first sentences win.
+ */
+export function bestSentences(query, passage, { count = 2 } = {}) {
+  const queryTerms = termsOf(query);
+  const candidates = splitSentences(String(passage || '').replace(/\s+/g, ' ').trim())
+    .map((sentence, position) => {
+      const terms = termsOf(sentence);
+      const score = Array.from(queryTerms)
+        .filter(term => terms.has(term))
+        .reduce((sum, term) => sum + (/\d/.test(term) ? 2 : 1), 0);
+      return { sentence: sentence.trim(), position, score };
+    })
+    .filter(({ sentence }) => sentence.length >= MIN_SENTENCE_CHARS && sentence.length <= MAX_SENTENCE_CHARS);
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, count)
+    .sort((a, b) => a.position - b.position)
+    .map(candidate => candidate.sentence);
+}
@@ -0,0 +1,239 @@
+import faiss from 'faiss-node';
+import fs from 'fs';
+
+const { Index, IndexFlatIP, MetricType } = faiss;
+
+export const INDEX_TYPES = ['flat', 'ivf', 'hnsw'];
+
+export const DEFAULT_INDEX_PARAMS = {
+  nprobe: 8,
+  hnswM: 32,
+  efConstruction: 80,
+  efSearch: 64
+};
+
+// faiss needs ~39 training points per IVF list before it stops warning about poor centroids.
+const MIN_POINTS_PER_LIST = 39;
+
+/**
+ * Pick nlist for an IVF index: 4·√n is the usual starting point, capped so every list
+ * still gets enough training points on a small knowledge base.
+ */
+export function suggestNlist(vectorCount) {
+  const target = Math.round(4 * Math.sqrt(vectorCount));
+  const cap = Math.floor(vectorCount / MIN_POINTS_PER_LIST);
+  return Math.max(1, Math.min(target, cap));
+}
+
+export function resolveIndexParams(type, vectorCount, overrides = {}) {
+  const params = { ...DEFAULT_INDEX_PARAMS, ...dropUndefined(overrides) };
+  switch (type) {
+    case 'ivf': {
+      const nlist = Number(params.nlist) || suggestNlist(vectorCount);
+      return {
+        nlist,
+        nprobe: Math.min(Number(params.nprobe), nlist),
+        factory: `IVF${nlist},Flat`
+      };
+    }
+    case 'hnsw':
+      return {
+        hnswM: Number(params.hnswM),
+        efConstruction: Number(params.efConstruction),
+        efSearch: Number(params.efSearch),
+        factory: `HNSW${Number(params.hnswM)}`
+      };
+    default:
+      return { factory: 'Flat' };
+  }
+}
+
+function dropUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+// ─── Serialized index patching ──────────────────────────────────────────────
+// faiss-node does not expose ParameterSpace, so nprobe / efSearch / efConstruction
+// cannot be set through the binding. They are, however, part of the serialized index,
+// so we patch them in the buffer and load the index back with fromBuffer.
+//
+// Layout (faiss 1.7.4, the version faiss-node 0.5.1 is built on; package.json pins that
+// release exactly and the CI test job builds the binding so the round-trip tests run):
+//   fourcc u32 | d i32 | ntotal i64 | dummy i64 | dummy i64 | is_trained u8 | metric i32 | [metric_arg f32]
+//   IVF:  nlist u64 | nprobe u64 | …
+//   HNSW: assign_probas vec<f64> | cum_nneighbor_per_level vec<i32> | levels vec<i32>
+//         | offsets vec<u64> | neighbors vec<i32> | entry_point i32 | max_level i32
+//         | efConstruction i32 | efSearch i32 | upper_beam i32 | storage …
+// where vec<T> is a u64 element count followed by the elements.
+// Nothing in the buffer says whether that layout still holds, so the values found at these
+// offsets are sanity-checked before patching, and every patched index is read back after
+// fromBuffer (loadWithSearchParams).
+
+const IVF_FOURCCS = new Set(['IwFl', 'IwSq', 'IwPQ', 'IwSh']);
+const HNSW_FOURCCS = new Set(['IHNf', 'IHNp', 'IHNs', 'IHN2']);
+
+function headerEnd(buffer) {
+  const metricType = buffer.readInt32LE(33);
+  return metricType > 1 ? 41 : 37;
+}
+
+function readVectorEnd(buffer, offset, elementSize) {
+  const count = Number(buffer.readBigUInt64LE(offset));
+  return offset + 8 + count * elementSize;
+}
+
+function hnswParamOffset(buffer) {
+  let offset = headerEnd(buffer);
+  offset = readVectorEnd(buffer, offset, 8); // assign_probas
+  offset = readVectorEnd(buffer, offset, 4); // cum_nneighbor_per_level
+  offset = readVectorEnd(buffer, offset, 4); // levels
+  offset = readVectorEnd(buffer, offset, 8); // offsets
+  offset = readVectorEnd(buffer, offset, 4); // neighbors
+  return offset + 8; // skip entry_point + max_level → efConstruction
+}
+
+const MAX_EF = 1 << 20;
+
+/**
+ * Throw unless the parameters at the offsets above look like real ones: a layout change
+ * would otherwise have us overwrite graph or list data.
+ */
+function assertLayout(buffer, kind) {
+  const found = readSearchParams(buffer);
+  const plausible = kind === 'ivf'
+    ? found.nlist >= 1 && found.nprobe >= 1 && found.nprobe <= found.nlist
+    : [found.efConstruction, found.efSearch].every(value => value >= 1 && value <= MAX_EF);
+  if (!plausible) {
+    throw new Error(`Unexpected ${kind.toUpperCase()} index layout (read ${JSON.stringify(found)}); this faiss version's serialization is not supported`);
+  }
+}
+
+export function describeIndexBuffer(buffer) {
+  const fourcc = buffer.toString('latin1', 0, 4);
+  if (IVF_FOURCCS.has(fourcc)) return 'ivf';
+  if (HNSW_FOURCCS.has(fourcc)) return 'hnsw';
+  return 'flat';
+}
+
+/**
+ * Return a copy of a serialized index with the given search parameters written in.
+ * Parameters that do not apply to the index type are ignored.
+ */
+export function patchSearchParams(buffer, params = {}) {
+  const patched = Buffer.from(buffer);
+  const kind = describeIndexBuffer(patched);
+
+  if (kind === 'ivf' && params.nprobe) {
+    assertLayout(patched, kind);
+    const offset = headerEnd(patched);
+    const nlist = Number(patched.readBigUInt64LE(offset));
+    patched.writeBigUInt64LE(BigInt(Math.max(1, Math.min(Number(params.nprobe), nlist))), offset + 8);
+  }
+
+  if (kind === 'hnsw' && (params.efSearch || params.efConstruction)) {
+    assertLayout(patched, kind);
+    const offset = hnswParamOffset(patched);
+    if (params.efConstruction) patched.writeInt32LE(Number(params.efConstruction), offset);
+    if (params.efSearch) patched.writeInt32LE(Number(params.efSearch), offset + 4);
+  }
+
+  return patched;
+}
+
+/**
+ * Read the search parameters currently stored in a serialized index.
+ */
+export function readSearchParams(buffer) {
+  const kind = describeIndexBuffer(buffer);
+  if (kind === 'ivf') {
+    const offset = headerEnd(buffer);
+    return {
+      nlist: Number(buffer.readBigUInt64LE(offset)),
+      nprobe: Number(buffer.readBigUInt64LE(offset + 8))
+    };
+  }
+  if (kind === 'hnsw') {
+    const offset = hnswParamOffset(buffer);
+    return {
+      efConstruction: buffer.readInt32LE(offset),
+      efSearch: buffer.readInt32LE(offset + 4)
+    };
+  }
+  return {};
+}
+
+/**
+ * Patch search parameters into a serialized index and load it. The parameters are read back
+ * from the loaded index, so a patch faiss did not take up fails here rather than searching
+ * with other values than index-config.json declares.
+ */
+export function loadWithSearchParams(buffer, params = {}) {
+  const patched = patchSearchParams(buffer, params);
+  const index = Index.fromBuffer(patched);
+  const wanted = readSearchParams(patched);
+  const loaded = readSearchParams(index.toBuffer());
+  const requested = Object.keys(wanted).filter(key => key !== 'nlist' && params[key]);
+  const mismatched = requested.filter(key => loaded[key] !== wanted[key]);
+  if (mismatched.length) {
+    const detail = mismatched.map(key => `${key} ${loaded[key]} instead of ${wanted[key]}`).join(', ');
+    throw new Error(`Index search parameters did not take effect (${detail}); this faiss version's serialization is not supported`);
+  }
+  return index;
+}
+
+/**
+ * Build an inner-product index of the requested type over row-major vectors.
+ * IVF indexes are trained on the same vectors before they are added.
+ */
+export function createIndex(type, dimension, flattened, params) {
+  if (type === 'flat') {
+    const index = new IndexFlatIP(dimension);
+    index.add(flattened);
+    return index;
+  }
+
+  let index = Index.fromFactory(dimension, params.factory, MetricType.METRIC_INNER_PRODUCT);
+
+  if (type === 'ivf') {
+    console.log(`🎓 Training IVF index (nlist ${params.nlist}) on ${flattened.length / dimension} vectors...`);
+    index.train(flattened);
+  }
+
+  if (type === 'hnsw') {
+    // efConstruction has to be in place before vectors are inserted into the graph.
+    index = loadWithSearchParams(index.toBuffer(), { efConstruction: params.efConstruction });
+  }
+
+  index.add(flattened);
+
+  return loadWithSearchParams(index.toBuffer(), params);
+}
+
+export function writeIndex(index, filePath) {
+  fs.writeFileSync(filePath, index.toBuffer());
+}
+
+/**
+ * Load an index from disk as the type the build declared, applying runtime search
+ * parameters (nprobe for IVF, efSearch for HNSW) on the way in.
+ */
+export function loadIndex(filePath, type = 'flat', params = {}) {
+  return loadIndexBuffer(fs.readFileSync(filePath), type, params);
+}
+
+/**
+ * loadIndex() for an index file already read into memory, e.g. with fs.promises.
+ */
+export function loadIndexBuffer(raw, type = 'flat', params = {}) {
+  if (type === 'flat') {
+    return { index: IndexFlatIP.fromBuffer(raw), params: {} };
+  }
+
+  const actual = describeIndexBuffer(raw);
+  if (actual !== type) {
+    throw new Error(`Index file is ${actual} but index-config.json declares ${type}. Rebuild with "npm run build:faiss".`);
+  }
+
+  const index = loadWithSearchParams(raw, params);
+  return { index, params: readSearchParams(index.toBuffer()) };
+}
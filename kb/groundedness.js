@@ -0,0 +1,256 @@
+import { tokenize } from './bm25-index.js';
+import { stripCitations } from './citations.js';
+
+/**
+ * Groundedness check for generated answers. Every sentence is compared with the context the
+ * model was given; sentences that state specs, part numbers, percentages or multipliers the
+ * context does not contain are flagged or removed before the avatar can speak them.
+ */
+
+export const GROUNDEDNESS_MODES = ['off', 'flag', 'rewrite'];
+
+// Factual claims worth checking literally. Everything else is judged by overlap only.
+const CLAIM_PATTERNS = [
+  /\b[A-Z]?\d{5,6}-[A-Z0-9]{3}\b/gi,
+  /\b\d+(?:[.,]\d+)*\s?(?:%|percent\b)/gi,
+  /\b\d+(?:\.\d+)?\s?[x×](?![a-z0-9])/gi,
+  /\b\d+(?:[.,]\d+)*\s?(?:tb|gb|mb|ghz|mhz|watts?|w|cores?|threads?|dimms?|slots?|drives?|bays?|sockets?|gpus?|lanes?|tops|tflops|mt\/s|gb\/s|gbe|u)\b/gi
+];
+
+// A sentence is only complete once whitespace follows its end ("2." may still become "2.5").
+// Citation markers placed after the full stop stay with the sentence they follow.
+// CJK and Devanagari stops (。！？।) need no space after them, only some text that is not a citation.
+const SENTENCE_BREAK = /[.!?]["')\]]*(?:\s*\[\d+(?:\s*,\s*\d+)*\])?\s+|[。！？।]["')\]」』]*(?:\s*\[\d+(?:\s*,\s*\d+)*\])?(?:\s+|(?=[^\s[]))/g;
+const SEMANTIC_WINDOW = 600;
+// Sentences with fewer content terms and no claims are conversational ("Got it!") and not scored.
+const MIN_FACTUAL_TERMS = 4;
+const MAX_EVIDENCE_WINDOWS = 12;
+
+export const UNGROUNDED_FALLBACK = "I want to be sure the figures I give you are exact, so I'll have an HPE expert confirm those specifics with you.";
+
+function normalizeClaim(raw) {
+  return raw
+    .toLowerCase()
+    .replace(/×/g, 'x')
+    .replace(/percent/g, '%')
+    .replace(/\s+/g, '')
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .replace(/watts?$/, 'w')
+    .replace(/(cores|threads|dimms|slots|drives|bays|sockets|gpus|lanes)$/, match => match.slice(0, -1));
+}
+
+export function extractClaims(text) {
+  const claims = new Map();
+  for (const pattern of CLAIM_PATTERNS) {
+    for (const match of String(text || '').matchAll(pattern)) {
+      claims.set(normalizeClaim(match[0]), match[0].trim());
+    }
+  }
+  return claims;
+}
+
+/**
+ * Take the complete sentences off the front of a growing buffer.
+ * Returns { sentences, rest } where rest is the unfinished remainder, untouched.
+ */
+export function takeSentences(text) {
+  const source = String(text || '');
+  const sentences = [];
+  let start = 0;
+  for (const match of source.matchAll(SENTENCE_BREAK)) {
+    const end = match.index + match[0].length;
+    const sentence = source.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  }
+  return { sentences, rest: source.slice(start) };
+}
+
+export function splitSentences(text) {
+  const { sentences, rest } = takeSentences(text);
+  return rest.trim() ? [...sentences, rest.trim()] : sentences;
+}
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+};
+
+class GroundednessChecker {
+  /**
+   * @param {object} options
+   * @param {(text: string) => Promise<number[]>} [options.embed]  normalised sentence embeddings
+   * @param {string} [options.mode]  off | flag | rewrite (RAG_GROUNDEDNESS, default rewrite)
+   * @param {string} [options.fallback]  said instead when every factual sentence was removed
+   */
+  constructor({ embed = null, mode = process.env.RAG_GROUNDEDNESS, fallback = UNGROUNDED_FALLBACK } = {}) {
+    this.embed = embed;
+    this.mode = GROUNDEDNESS_MODES.includes(mode) ? mode : 'rewrite';
+    this.fallback = fallback;
+  }
+
+  /**
+   * Prepare the retrieved context once per answer: its claims, vocabulary and embeddings.
+   */
+  async prepareEvidence(texts) {
+    const joined = texts.join('\n');
+    const evidence = {
+      claims: extractClaims(joined),
+      terms: new Set(tokenize(joined)),
+      vectors: []
+    };
+
+    if (this.embed) {
+      const windows = [];
+      for (const text of texts) {
+        for (let i = 0; i < text.length && windows.length < MAX_EVIDENCE_WINDOWS; i += SEMANTIC_WINDOW) {
+          windows.push(text.slice(i, i + SEMANTIC_WINDOW));
+        }
+      }
+      try {
+        evidence.vectors = await Promise.all(windows.map(window => this.embed(window)));
+      } catch (error) {
+        console.warn('⚠️  Groundedness embeddings unavailable, using lexical overlap only:', error.message);
+      }
+    }
+
+    return evidence;
+  }
+
+  async checkSentence(sentence, evidence) {
+    const plain = stripCitations(sentence).trim();
+    const claims = extractClaims(plain);
+    const unsupported = Array.from(claims.entries())
+      .filter(([normalized]) => !evidence.claims.has(normalized))
+      .map(([, original]) => original);
+
+    const terms = Array.from(new Set(tokenize(plain)));
+    const lexical = terms.length
+      ? terms.filter(term => evidence.terms.has(term)).length / terms.length
+      : 0;
+
+    let semantic = null;
+    if (this.embed && evidence.vectors.length && plain) {
+      try {
+        const vector = await this.embed(plain);
+        semantic = Math.max(...evidence.vectors.map(candidate => dot(vector, candidate)));
+      } catch (error) {
+        semantic = null;
+      }
+    }
+
+    const overlap = Math.max(lexical, semantic ?? 0);
+    const claimSupport = claims.size ? (claims.size - unsupported.length) / claims.size : null;
+    const score = claimSupport === null ? overlap : (claimSupport + overlap) / 2;
+
+    return {
+      sentence,
+      score: Number(score.toFixed(3)),
+      lexical: Number(lexical.toFixed(3)),
+      semantic: semantic === null ? null : Number(semantic.toFixed(3)),
+      claims: Array.from(claims.values()),
+      unsupported,
+      factual: claims.size > 0 || terms.length >= MIN_FACTUAL_TERMS,
+      grounded: unsupported.length === 0
+    };
+  }
+
+  /**
+   * Incremental checker for a streamed answer. push() token deltas; every completed sentence
+   * is checked and, if it may be spoken, handed to onSentence. end() returns the final text
+   * and the groundedness record.
+   */
+  createStream(evidencePromise, { onSentence, fallback = this.fallback } = {}) {
+    const results = [];
+    let buffer = '';
+    let chain = Promise.resolve();
+
+    const settle = (sentence) => {
+      if (this.mode === 'off') {
+        results.push({ sentence, grounded: true });
+        if (typeof onSentence === 'function') onSentence(sentence);
+        return chain;
+      }
+      chain = chain.then(async () => {
+        const evidence = await evidencePromise;
+        const verdict = await this.checkSentence(sentence, evidence);
+        results.push(verdict);
+        const speak = verdict.grounded || this.mode === 'flag';
+        if (!verdict.grounded) {
+          console.warn(`🚩 Unsupported claim${verdict.unsupported.length > 1 ? 's' : ''} ${verdict.unsupported.join(', ')} in: "${verdict.sentence}"`);
+        }
+        if (speak && typeof onSentence === 'function') onSentence(sentence);
+      });
+      return chain;
+    };
+
+    return {
+      push: (delta) => {
+        const { sentences, rest } = takeSentences(buffer + delta);
+        sentences.forEach(settle);
+        buffer = rest;
+        return chain;
+      },
+      end: async (finalize = (text) => text) => {
+        const tail = buffer.trim() ? finalize(buffer.trim()) : '';
+        buffer = '';
+        if (tail) settle(tail);
+        await chain;
+        return this.summarize(results, onSentence, fallback);
+      }
+    };
+  }
+
+  /**
+   * Check a complete answer (non-streaming path). options.fallback replaces the default
+   * fallback line, e.g. with a translation.
+   */
+  async review(answer, evidencePromise, { fallback = this.fallback } = {}) {
+    if (this.mode === 'off') return this.summarize([{ sentence: answer, grounded: true }]);
+
+    const evidence = await evidencePromise;
+    const results = [];
+    for (const sentence of splitSentences(answer)) {
+      results.push(await this.checkSentence(sentence, evidence));
+    }
+    return this.summarize(results, null, fallback);
+  }
+
+  summarize(results, onSentence = null, fallback = this.fallback) {
+    const kept = results.filter(result => result.grounded || this.mode === 'flag');
+    const flagged = results.filter(result => !result.grounded);
+    let answer = kept.map(result => result.sentence).join(' ');
+
+    if (this.mode === 'off') {
+      return { answer, groundedness: { score: null, mode: 'off', action: 'none' } };
+    }
+
+    // Everything factual was removed: say so rather than leave only small talk.
+    if (this.mode === 'rewrite' && flagged.length && !kept.some(result => result.factual)) {
+      answer = answer ? `${answer} ${fallback}` : fallback;
+      if (typeof onSentence === 'function') onSentence(fallback);
+    }
+
+    const factual = results.filter(result => result.factual);
+    const claimCount = results.reduce((sum, result) => sum + result.claims.length, 0);
+    const unsupportedCount = results.reduce((sum, result) => sum + result.unsupported.length, 0);
+    const score = factual.length
+      ? factual.reduce((sum, result) => sum + result.score, 0) / factual.length
+      : null;
+
+    return {
+      answer,
+      groundedness: {
+        score: score === null ? null : Number(score.toFixed(3)),
+        mode: this.mode,
+        action: !flagged.length ? 'none' : this.mode === 'rewrite' ? 'rewritten' : 'flagged',
+        claims: { total: claimCount, unsupported: unsupportedCount },
+        flagged: flagged.map(result => ({ sentence: result.sentence, unsupported: result.unsupported })),
+        sentences: results.map(({ sentence, score: sentenceScore, lexical, semantic }) => ({ sentence, score: sentenceScore, lexical, semantic }))
+      }
+    };
+  }
+}
+
+export default GroundednessChecker;
@@ -0,0 +1,127 @@
+/**
+ * Languages for APAC conversations. Each user turn is detected by script (Japanese, Korean,
+ * Chinese, Hindi) or, for Latin text, by common function words (English, Indonesian, Malay).
+ * Turns too short to tell ("DL380?") keep the conversation's previous language.
+ * Cross-lingual retrieval needs a multilingual embedding model; the aliases below are
+ * accepted by the index build (--model=multilingual) and recorded in index-config.json.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', native: 'English' },
+  ja: { name: 'Japanese', native: '日本語' },
+  ko: { name: 'Korean', native: '한국어' },
+  zh: { name: 'Chinese', native: '中文' },
+  hi: { name: 'Hindi', native: 'हिन्दी' },
+  id: { name: 'Indonesian', native: 'Bahasa Indonesia' },
+  ms: { name: 'Malay', native: 'Bahasa Melayu' }
+};
+
+const LANGUAGE_ALIASES = {
+  in: 'id', ind: 'id', indonesian: 'id', bahasa: 'id',
+  msa: 'ms', malay: 'ms',
+  jpn: 'ja', japanese: 'ja',
+  kor: 'ko', korean: 'ko',
+  zho: 'zh', chi: 'zh', chinese: 'zh', mandarin: 'zh',
+  hin: 'hi', hindi: 'hi',
+  eng: 'en', english: 'en'
+};
+
+export const EMBEDDING_MODELS = {
+  english: 'Xenova/all-MiniLM-L6-v2',
+  multilingual: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2'
+};
+
+const MULTILINGUAL_MODEL = /multilingual|xlm|labse|mmarco|bge-m3|\bm3\b|e5-(?:small|base|large)/i;
+
+const SCRIPTS = {
+  hangul: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/g,
+  kana: /[\u3040-\u30FF\u31F0-\u31FF]/g,
+  han: /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g,
+  devanagari: /[\u0900-\u097F]/g
+};
+
+const ENGLISH_WORDS = new Set([
+  'the', 'a', 'an', 'is', 'are', 'was', 'be', 'what', 'which', 'how', 'why', 'when', 'do', 'does',
+  'i', 'we', 'you', 'my', 'our', 'your', 'for', 'and', 'of', 'to', 'with', 'need', 'can', 'in',
+  'on', 'it', 'this', 'that', 'about', 'have', 'has', 'tell', 'me', 'us', 'looking', 'want'
+]);
+
+// Shared by Indonesian and Malay; the lists below tell the two apart.
+const BAHASA_WORDS = new Set([
+  'yang', 'dan', 'di', 'ke', 'dari', 'untuk', 'dengan', 'ini', 'itu', 'saya', 'kami', 'kita',
+  'apa', 'ada', 'adalah', 'tidak', 'berapa', 'perlu', 'akan', 'sudah', 'juga', 'atau', 'pada',
+  'dalam', 'bagaimana', 'mana', 'anda', 'pengguna', 'harga', 'terima', 'kasih', 'sekarang', 'boleh',
+  'bisa', 'mahu', 'mau', 'karena', 'kerana', 'butuh', 'perusahaan', 'syarikat', 'sila', 'silakan'
+]);
+const INDONESIAN_WORDS = new Set(['bisa', 'mau', 'karena', 'butuh', 'perusahaan', 'silakan', 'saja', 'nggak', 'gimana', 'kantor', 'tolong']);
+const MALAY_WORDS = new Set(['boleh', 'mahu', 'hendak', 'kerana', 'syarikat', 'sila', 'sahaja', 'tak', 'awak', 'ialah', 'pelayan', 'perlukan']);
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Map a code or name ("ja", "ja-JP", "in", "Bahasa") to a supported code, or null.
+ */
+export function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lowered = value.trim().toLowerCase();
+  const base = lowered.split(/[-_]/)[0];
+  const code = LANGUAGE_ALIASES[lowered] || LANGUAGE_ALIASES[base] || base;
+  return SUPPORTED_LANGUAGES[code] ? code : null;
+}
+
+/**
+ * Detect the language of one turn.
+ * Returns { language, detected, script } where detected is false when the text gave no
+ * signal and `fallback` (usually the conversation's last language) was used.
+ */
+export function detectLanguage(text, { fallback = DEFAULT_LANGUAGE } = {}) {
+  const source = String(text || '');
+  const previous = normalizeLanguage(fallback) || DEFAULT_LANGUAGE;
+
+  const counts = Object.fromEntries(Object.entries(SCRIPTS).map(([script, pattern]) => [script, countMatches(source, pattern)]));
+  const cjk = counts.kana + counts.han;
+  const [script, count] = [['hangul', counts.hangul], ['cjk', cjk], ['devanagari', counts.devanagari]]
+    .sort((a, b) => b[1] - a[1])[0];
+
+  // Product names and part numbers stay in Latin script, so two native characters are enough.
+  if (count >= 2) {
+    if (script === 'hangul') return { language: 'ko', detected: true, script };
+    if (script === 'devanagari') return { language: 'hi', detected: true, script };
+    // Kanji without kana is usually Chinese, unless the conversation is already in Japanese.
+    const language = counts.kana > 0 || previous === 'ja' ? 'ja' : 'zh';
+    return { language, detected: true, script: 'cjk' };
+  }
+
+  const words = source.toLowerCase().match(/[a-z]+/g) || [];
+  const english = words.filter(word => ENGLISH_WORDS.has(word)).length;
+  const bahasa = words.filter(word => BAHASA_WORDS.has(word)).length;
+
+  if (bahasa >= 2 && bahasa > english) {
+    const malay = words.filter(word => MALAY_WORDS.has(word)).length;
+    const indonesian = words.filter(word => INDONESIAN_WORDS.has(word)).length;
+    const language = malay > indonesian || (malay === indonesian && previous === 'ms') ? 'ms' : 'id';
+    return { language, detected: true, script: 'latin' };
+  }
+  if (english >= 1 && english >= bahasa) {
+    return { language: 'en', detected: true, script: 'latin' };
+  }
+  return { language: previous, detected: false, script: words.length ? 'latin' : null };
+}
+
+export function languageName(code) {
+  const language = SUPPORTED_LANGUAGES[code] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+  return language.name === language.native ? language.name : `${language.name} (${language.native})`;
+}
+
+/**
+ * Resolve --model / EMBEDDING_MODEL values: "english", "multilingual" or a model id.
+ */
+export function resolveEmbeddingModel(value) {
+  return EMBEDDING_MODELS[value] || value || EMBEDDING_MODELS.english;
+}
+
+export function isMultilingualModel(modelId) {
+  return MULTILINGUAL_MODEL.test(String(modelId || ''));
+}
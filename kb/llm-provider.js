@@ -0,0 +1,377 @@
+import OpenAI from 'openai';
+import fs from 'fs';
+import CircuitBreaker, { CircuitOpenError } from './circuit-breaker.js';
+
+/**
+ * Chat-completion providers behind one interface, so the RAG loop can run against OpenAI,
+ * a local OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio) or a scripted stub.
+ *
+ *   provider.complete({ messages, model, temperature, maxTokens }) → { text, model }
+ *   provider.stream({ ... })                                        → async iterable of text deltas
+ *
+ * LLMGateway picks a provider and model per route ("answer", "rewrite") from the environment:
+ *   LLM_PROVIDER=openai|local|scripted, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT
+ *   LLM_<ROUTE>_PROVIDER, LLM_<ROUTE>_MODEL, LLM_<ROUTE>_BASE_URL override them for one route.
+ *
+ * Each call gets one fast retry on a transient error (timeout, connection reset, 429, 5xx) and
+ * then, if LLM_FALLBACK_MODEL (or LLM_<ROUTE>_FALLBACK_MODEL) is set, goes to the fallback
+ * model, on LLM_FALLBACK_PROVIDER / LLM_FALLBACK_BASE_URL when those are given. Primary and
+ * fallback each sit behind a circuit breaker (LLM_BREAKER_THRESHOLD, LLM_BREAKER_COOLDOWN), so
+ * an outage fails fast with LLMUnavailableError instead of costing every turn a timeout. Only
+ * transient errors count against a breaker; a bad request, auth failure or content-filter
+ * refusal is thrown to the caller as is, without retry or fallback.
+ */
+
+export const PROVIDER_KINDS = ['openai', 'local', 'scripted'];
+export const LLM_ROUTES = ['answer', 'rewrite'];
+
+// Older per-feature model settings still apply when no LLM_* model is set.
+const LEGACY_MODEL_ENV = {
+  answer: ['RAG_COMPLETION_MODEL'],
+  rewrite: ['RAG_REWRITE_MODEL', 'RAG_COMPLETION_MODEL']
+};
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_RETRY_DELAY = 250;
+
+export class LLMUnavailableError extends Error {
+  constructor(route, cause = null) {
+    super(`No model available for the ${route} route${cause ? `: ${cause.message}` : ''}`);
+    this.name = 'LLMUnavailableError';
+    this.code = 'LLM_UNAVAILABLE';
+    this.route = route;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Worth one more try: timeouts and dropped connections (no HTTP status), rate limits and
+ * server errors. Bad requests and auth failures would fail the same way again.
+ */
+export function isRetryableError(error) {
+  if (error instanceof CircuitOpenError) return false;
+  const status = error?.status;
+  if (!status) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.kind]  "openai" or "local"; only changes defaults and status output
+   * @param {string} [options.baseURL]  e.g. http://localhost:8080/v1 for llama.cpp
+   * @param {string} [options.apiKey]  local servers usually accept any key
+   * @param {number} [options.timeout]  ms
+   */
+  constructor({ kind = 'openai', baseURL = null, apiKey = null, timeout } = {}) {
+    this.kind = kind;
+    this.baseURL = baseURL || (kind === 'local' ? DEFAULT_LOCAL_BASE_URL : null);
+    this.client = new OpenAI({
+      apiKey: apiKey || (kind === 'local' ? 'local' : process.env.OPENAI_API_KEY),
+      ...(this.baseURL ? { baseURL: this.baseURL } : {}),
+      // Local models take longer to produce their first token than the hosted API.
+      timeout: Number(timeout || (kind === 'local' ? 30000 : 5000)),
+      maxRetries: 0
+    });
+  }
+
+  async complete({ messages, model, temperature = 0.3, maxTokens = 160 }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: false
+    });
+    return { text: completion?.choices?.[0]?.message?.content || '', model: completion?.model || model };
+  }
+
+  async *stream({ messages, model, temperature = 0.3, maxTokens = 160 }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    });
+    for await (const chunk of response) {
+      const delta = chunk.choices?.[0]?.delta?.content || '';
+      if (delta) yield delta;
+    }
+  }
+}
+
+/**
+ * Replies from the system prompt's context: the first sentences of block [1], cited. Keeps the
+ * offline loop grounded. Prompts without context (e.g. query rewriting) get the last line of the
+ * user message back, minus any "Label:" prefix.
+ */
+export function extractiveReply(messages) {
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const contextAt = system.lastIndexOf('Context:\n');
+  if (contextAt !== -1) {
+    const firstBlock = system.slice(contextAt + 'Context:\n'.length).split(/\n\n(?=\[\d+\] )/)[0];
+    const body = firstBlock.replace(/^\[\d+\][^\n]*\n/, '').replace(/\s+/g, ' ').trim();
+    const sentences = body.match(/[^.!?]+[.!?]+(?=\s|$)/g) || [body];
+    const excerpt = sentences.slice(0, 2).map(sentence => sentence.trim()).join(' ');
+    if (excerpt) return `${excerpt} [1]`;
+  }
+
+  const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  return lastUser.trim().split('\n').pop().replace(/^[A-Za-z ]+:\s*/, '').trim();
+}
+
+export class ScriptedProvider {
+  /**
+   * Deterministic replies for tests and offline demos.
+   * @param {object} options
+   * @param {Array<{ match?: string|RegExp, reply: string|Function }>} [options.script]
+   *   first rule whose `match` hits the last user message wins; a rule without `match` always does
+   * @param {(messages: object[]) => string} [options.fallback]  used when no rule matches
+   */
+  constructor({ script = [], fallback = extractiveReply } = {}) {
+    this.kind = 'scripted';
+    this.script = script;
+    this.fallback = fallback;
+    this.calls = [];
+  }
+
+  static fromFile(file) {
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new ScriptedProvider({ script: Array.isArray(script) ? script : script.rules || [] });
+  }
+
+  reply(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    for (const rule of this.script) {
+      const pattern = rule.match instanceof RegExp ? rule.match : rule.match ? new RegExp(rule.match, 'i') : null;
+      if (pattern && !pattern.test(lastUser)) continue;
+      return typeof rule.reply === 'function' ? rule.reply(messages) : String(rule.reply);
+    }
+    return this.fallback(messages);
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+    return { text: this.reply(request.messages), model: request.model || 'scripted' };
+  }
+
+  async *stream(request) {
+    this.calls.push(request);
+    // Word by word, like a real stream, so sentence splitting and first-token timing are exercised.
+    for (const piece of this.reply(request.messages).match(/\S+\s*/g) || []) {
+      yield piece;
+    }
+  }
+}
+
+export function createProvider({ kind = 'openai', baseURL = null, apiKey = null, timeout, script = null } = {}) {
+  if (!PROVIDER_KINDS.includes(kind)) {
+    throw new Error(`Unknown LLM provider "${kind}" (expected ${PROVIDER_KINDS.join(', ')})`);
+  }
+  if (kind === 'scripted') {
+    return script ? ScriptedProvider.fromFile(script) : new ScriptedProvider();
+  }
+  return new OpenAICompatibleProvider({ kind, baseURL, apiKey, timeout });
+}
+
+class LLMGateway {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.env]  defaults to process.env
+   * @param {object} [options.providers]  route → provider instance, bypassing the environment (tests)
+   */
+  constructor({ env = process.env, providers = {} } = {}) {
+    this.env = env;
+    this.overrides = providers;
+    this.providers = new Map();
+    this.routes = {};
+    this.breakers = new Map();
+    this.retryDelay = Number(env.LLM_RETRY_DELAY ?? DEFAULT_RETRY_DELAY);
+    const breaker = {
+      threshold: Number(env.LLM_BREAKER_THRESHOLD || 3),
+      cooldownMs: Number(env.LLM_BREAKER_COOLDOWN || 30000)
+    };
+    for (const route of LLM_ROUTES) {
+      this.routes[route] = this.resolveRoute(route);
+      for (const target of ['primary', 'fallback']) {
+        this.breakers.set(`${route}:${target}`, new CircuitBreaker({ name: `${route}:${target}`, ...breaker }));
+      }
+    }
+  }
+
+  resolveRoute(route) {
+    const env = this.env;
+    const prefix = `LLM_${route.toUpperCase()}_`;
+    const kind = this.overrides[route]?.kind || env[`${prefix}PROVIDER`] || env.LLM_PROVIDER || 'openai';
+    const legacyModel = (LEGACY_MODEL_ENV[route] || []).map(key => env[key]).find(Boolean);
+    const baseURL = env[`${prefix}BASE_URL`] || env.LLM_BASE_URL || null;
+    const apiKey = env[`${prefix}API_KEY`] || env.LLM_API_KEY || null;
+    const timeout = env[`${prefix}TIMEOUT`] || env.LLM_TIMEOUT || (kind === 'openai' ? env.OPENAI_TIMEOUT : undefined);
+    const script = env[`${prefix}SCRIPT`] || env.LLM_SCRIPT || null;
+
+    // The fallback runs on the same provider unless it names its own.
+    const fallbackModel = env[`${prefix}FALLBACK_MODEL`] || env.LLM_FALLBACK_MODEL || null;
+    const fallbackKind = env[`${prefix}FALLBACK_PROVIDER`] || env.LLM_FALLBACK_PROVIDER || null;
+    const fallbackBaseURL = env[`${prefix}FALLBACK_BASE_URL`] || env.LLM_FALLBACK_BASE_URL || null;
+    const sameProvider = !fallbackKind || fallbackKind === kind;
+    const fallback = fallbackModel ? {
+      kind: fallbackKind || kind,
+      model: fallbackModel,
+      baseURL: fallbackBaseURL || (sameProvider ? baseURL : null),
+      apiKey: sameProvider ? apiKey : null,
+      timeout,
+      script: sameProvider ? script : null
+    } : null;
+
+    return {
+      kind,
+      model: env[`${prefix}MODEL`] || env.LLM_MODEL || legacyModel || (kind === 'openai' ? 'gpt-3.5-turbo' : kind),
+      baseURL,
+      apiKey,
+      timeout,
+      script,
+      fallback
+    };
+  }
+
+  providerFor(config) {
+    const key = JSON.stringify([config.kind, config.baseURL, config.apiKey, config.timeout, config.script]);
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(config));
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Provider and model for a route. Routes with the same settings share one client.
+   */
+  forRoute(route) {
+    const config = this.routes[route] || this.routes.answer;
+    if (this.overrides[route]) return { provider: this.overrides[route], model: config.model };
+    return { provider: this.providerFor(config), model: config.model };
+  }
+
+  /**
+   * Primary, then fallback (when configured), each with its breaker. A model named in the
+   * request only replaces the primary one.
+   */
+  targetsFor(route, request = {}) {
+    const name = this.routes[route] ? route : 'answer';
+    const { provider, model } = this.forRoute(name);
+    const targets = [{ label: 'primary', provider, model: request.model || model, breaker: this.breakers.get(`${name}:primary`) }];
+    const fallback = this.routes[name].fallback;
+    if (fallback) {
+      targets.push({ label: 'fallback', provider: this.providerFor(fallback), model: fallback.model, breaker: this.breakers.get(`${name}:fallback`) });
+    }
+    return targets;
+  }
+
+  async complete(route, request) {
+    let lastError = null;
+    for (const target of this.targetsFor(route, request)) {
+      if (!target.breaker.allowRequest()) {
+        lastError = lastError || new CircuitOpenError(target.breaker.name, target.breaker.retryAt);
+        continue;
+      }
+      const call = () => target.provider.complete({ ...request, model: target.model });
+      try {
+        let result;
+        try {
+          result = await call();
+        } catch (error) {
+          if (!isRetryableError(error)) throw error;
+          await sleep(this.retryDelay);
+          result = await call();
+        }
+        target.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          target.breaker.release();
+          throw error;
+        }
+        target.breaker.recordFailure(error);
+        lastError = error;
+        console.warn(`⚠️  LLM ${route} call failed on ${target.label} model ${target.model}: ${error.message}`);
+      }
+    }
+    throw new LLMUnavailableError(route, lastError);
+  }
+
+  /**
+   * Streamed completion with the same retry and fallback as complete(). Once a delta has been
+   * handed out the answer cannot be restarted, so a failure after that is thrown as is.
+   */
+  async *stream(route, request) {
+    let lastError = null;
+    for (const target of this.targetsFor(route, request)) {
+      if (!target.breaker.allowRequest()) {
+        lastError = lastError || new CircuitOpenError(target.breaker.name, target.breaker.retryAt);
+        continue;
+      }
+      for (let attempt = 0; attempt < 2; attempt += 1) {
+        let started = false;
+        try {
+          for await (const delta of target.provider.stream({ ...request, model: target.model })) {
+            started = true;
+            yield delta;
+          }
+          target.breaker.recordSuccess();
+          return;
+        } catch (error) {
+          lastError = error;
+          if (!isRetryableError(error)) {
+            target.breaker.release();
+            throw error;
+          }
+          if (started) {
+            target.breaker.recordFailure(error);
+            throw error;
+          }
+          if (attempt > 0) break;
+          await sleep(this.retryDelay);
+        }
+      }
+      target.breaker.recordFailure(lastError);
+      console.warn(`⚠️  LLM ${route} stream failed on ${target.label} model ${target.model}: ${lastError.message}`);
+    }
+    throw new LLMUnavailableError(route, lastError);
+  }
+
+  /**
+   * False while every model for the route sits behind an open circuit.
+   */
+  isAvailable(route) {
+    return this.targetsFor(route).some(target => target.breaker.state !== 'open');
+  }
+
+  /**
+   * True when some route talks to the hosted OpenAI API and therefore needs OPENAI_API_KEY.
+   */
+  needsOpenAIKey() {
+    const hosted = (config) => config.kind === 'openai' && !config.baseURL && !config.apiKey;
+    return Object.entries(this.routes).some(([route, config]) =>
+      (!this.overrides[route] && hosted(config)) || (config.fallback && hosted(config.fallback)));
+  }
+
+  describe() {
+    const baseURLOf = (config) => (config.kind === 'scripted' ? null : config.baseURL || (config.kind === 'local' ? DEFAULT_LOCAL_BASE_URL : null));
+    return Object.fromEntries(Object.entries(this.routes).map(([route, config]) => [route, {
+      provider: this.overrides[route]?.kind || config.kind,
+      model: config.model,
+      baseURL: baseURLOf(config),
+      breaker: this.breakers.get(`${route}:primary`).describe(),
+      fallback: config.fallback ? {
+        provider: config.fallback.kind,
+        model: config.fallback.model,
+        baseURL: baseURLOf(config.fallback),
+        breaker: this.breakers.get(`${route}:fallback`).describe()
+      } : null
+    }]));
+  }
+}
+
+export default LLMGateway;
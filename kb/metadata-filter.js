@@ -0,0 +1,248 @@
+/**
+ * Metadata filter language shared by the RAG engine, the smart router and API callers.
+ * A Mongo-style subset:
+ *
+ *   { field: value }                       equality (array fields: contains value)
+ *   { field: { $eq, $ne, $in, $nin } }     (array fields: any / none of the elements)
+ *   { field: { $gt, $gte, $lt, $lte } }    numbers, or dates such as "2025", "2025-09", "2024-2025"
+ *   { field: { $exists: true | false } }
+ *   { field: { $not: { ...operators } } }
+ *   { $and: [...] }, { $or: [...] }, { $nor: [...] }, { $not: { ... } }
+ *
+ * Fields may be dotted paths ("metadata.generation"); a plain field missing from the chunk
+ * is also looked up in its nested `metadata` object, where kb/metadata.json values live.
+ */
+
+export class FilterError extends Error {
+  constructor(message, path = '') {
+    super(path ? `Invalid filter at ${path}: ${message}` : `Invalid filter: ${message}`);
+    this.name = 'FilterError';
+    this.code = 'INVALID_FILTER';
+    this.path = path;
+  }
+}
+
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$nor', '$not']);
+const FIELD_OPERATORS = new Set(['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$not']);
+const RANGE_OPERATORS = new Set(['$gt', '$gte', '$lt', '$lte']);
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(?:T[\d:.]+Z?)?$/;
+const YEAR_RANGE_PATTERN = /^(\d{4})\s*[-–]\s*(\d{4})$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+
+/**
+ * Throw a FilterError describing the first problem in `filter`; return the filter otherwise.
+ * null/undefined means "no filter" and is accepted.
+ */
+export function validateFilter(filter, path = '') {
+  if (filter === null || filter === undefined) return filter;
+  if (!isPlainObject(filter)) {
+    throw new FilterError('expected an object', path || '(root)');
+  }
+
+  for (const [key, value] of Object.entries(filter)) {
+    const here = path ? `${path}.${key}` : key;
+
+    if (key.startsWith('$')) {
+      if (!LOGICAL_OPERATORS.has(key)) {
+        throw new FilterError(`unknown operator "${key}" (field operators go inside a field, e.g. { product: { ${key}: … } })`, here);
+      }
+      if (key === '$not') {
+        validateFilter(value, here);
+        continue;
+      }
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new FilterError(`${key} expects a non-empty array of filters`, here);
+      }
+      value.forEach((sub, idx) => validateFilter(sub, `${here}[${idx}]`));
+      continue;
+    }
+
+    if (isOperatorObject(value)) {
+      validateFieldOperators(value, here);
+    }
+  }
+
+  return filter;
+}
+
+function validateFieldOperators(operators, path) {
+  for (const [op, operand] of Object.entries(operators)) {
+    const here = `${path}.${op}`;
+    if (!FIELD_OPERATORS.has(op)) {
+      throw new FilterError(`unknown operator "${op}"`, here);
+    }
+    if ((op === '$in' || op === '$nin') && !Array.isArray(operand)) {
+      throw new FilterError(`${op} expects an array`, here);
+    }
+    if (op === '$exists' && typeof operand !== 'boolean') {
+      throw new FilterError('$exists expects true or false', here);
+    }
+    if (RANGE_OPERATORS.has(op) && toComparable(operand) === null) {
+      throw new FilterError(`${op} expects a number or a date like "2025" or "2025-09-30"`, here);
+    }
+    if (op === '$not') {
+      if (!isOperatorObject(operand)) {
+        throw new FilterError('$not expects an object of operators, e.g. { $in: [...] }', here);
+      }
+      validateFieldOperators(operand, here);
+    }
+  }
+}
+
+/**
+ * Resolve a dotted path on a chunk record; plain names fall back to record.metadata.
+ */
+export function resolvePath(record, path) {
+  let value = record;
+  for (const part of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  if (value === undefined && !path.includes('.') && isPlainObject(record?.metadata)) {
+    return record.metadata[path];
+  }
+  return value;
+}
+
+/**
+ * Map numbers and date-like strings onto one comparable number line.
+ * Partial dates compare as their start ("2025-09" → 1 Sep 2025); a year range such as
+ * "2024-2025" compares as its last year. Other values are not range-comparable.
+ */
+export function toComparable(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const range = text.match(YEAR_RANGE_PATTERN);
+  if (range) return Date.UTC(Number(range[2]), 0, 1);
+
+  const date = text.match(DATE_PATTERN);
+  if (date) {
+    const parsed = Date.parse(text.length <= 10 ? `${date[1]}-${date[2] || '01'}-${date[3] || '01'}T00:00:00Z` : text);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return null;
+}
+
+const isDateString = (value) => typeof value === 'string'
+  && (DATE_PATTERN.test(value.trim()) || YEAR_RANGE_PATTERN.test(value.trim()));
+
+function compare(actual, operand) {
+  // A bare year written as a number ({ $gte: 2025 }) against a date string means that year.
+  const left = toComparable(typeof actual === 'number' && isDateString(operand) ? String(actual) : actual);
+  const right = toComparable(typeof operand === 'number' && isDateString(actual) ? String(operand) : operand);
+  if (left === null || right === null) return null;
+  return left - right;
+}
+
+function matchesOperators(actual, operators) {
+  const values = Array.isArray(actual) ? actual : [actual];
+  const present = actual !== undefined && actual !== null;
+
+  for (const [op, operand] of Object.entries(operators)) {
+    switch (op) {
+      case '$eq':
+        if (!values.includes(operand)) return false;
+        break;
+      case '$ne':
+        if (values.includes(operand)) return false;
+        break;
+      case '$in':
+        if (!present || !values.some(value => operand.includes(value))) return false;
+        break;
+      case '$nin':
+        if (present && values.some(value => operand.includes(value))) return false;
+        break;
+      case '$exists':
+        if (present !== operand) return false;
+        break;
+      case '$not':
+        if (matchesOperators(actual, operand)) return false;
+        break;
+      default: {
+        // Range operators: true when any element of an array field satisfies the bound.
+        if (!present) return false;
+        const satisfied = values.some(value => {
+          const diff = compare(value, operand);
+          if (diff === null) return false;
+          if (op === '$gt') return diff > 0;
+          if (op === '$gte') return diff >= 0;
+          if (op === '$lt') return diff < 0;
+          return diff <= 0;
+        });
+        if (!satisfied) return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Evaluate a (validated) filter against one chunk record.
+ */
+export function matchesFilter(record, filter) {
+  if (!filter) return true;
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and') {
+      if (!value.every(sub => matchesFilter(record, sub))) return false;
+      continue;
+    }
+    if (key === '$or') {
+      if (!value.some(sub => matchesFilter(record, sub))) return false;
+      continue;
+    }
+    if (key === '$nor') {
+      if (value.some(sub => matchesFilter(record, sub))) return false;
+      continue;
+    }
+    if (key === '$not') {
+      if (matchesFilter(record, value)) return false;
+      continue;
+    }
+
+    const actual = resolvePath(record, key);
+    if (isOperatorObject(value)) {
+      if (!matchesOperators(actual, value)) return false;
+    } else if (Array.isArray(actual) ? !actual.includes(value) : actual !== value) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Why `record` fails `filter`, as one readable line (null when it matches).
+ */
+export function explainMismatch(record, filter) {
+  if (!filter || matchesFilter(record, filter)) return null;
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and') {
+      const failed = value.find(sub => !matchesFilter(record, sub));
+      if (failed) return explainMismatch(record, failed);
+      continue;
+    }
+    if (key === '$or') {
+      if (!value.some(sub => matchesFilter(record, sub))) {
+        return `no $or branch matched (${value.map(sub => explainMismatch(record, sub)).join('; ')})`;
+      }
+      continue;
+    }
+    if (key === '$nor' || key === '$not') {
+      if (!matchesFilter(record, { [key]: value })) return `${key} excluded it (${JSON.stringify(value)})`;
+      continue;
+    }
+    if (!matchesFilter(record, { [key]: value })) {
+      return `${key} is ${JSON.stringify(resolvePath(record, key)) ?? 'missing'}, wanted ${JSON.stringify(value)}`;
+    }
+  }
+  return 'did not match';
+}
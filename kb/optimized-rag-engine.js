@@ -1,28 +1,47 @@
-import faiss from 'faiss-node';
 import { pipeline } from '@xenova/transformers';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
-
-const { IndexFlatIP } = faiss;
+import { EventEmitter } from 'events';
+import { loadIndexBuffer } from './faiss-index-io.js';
+import BM25Index, { keywordText, reciprocalRankFusion } from './bm25-index.js';
+import CrossEncoderReranker from './reranker.js';
+import { CONTEXT_MODES, DEFAULT_CONTEXT_OPTIONS, assembleContext, buildChunkIndex, estimateTokens, renderBlock } from './context-builder.js';
+import { CITATION_INSTRUCTIONS, extractCitations, stripCitations } from './citations.js';
+import GroundednessChecker, { takeSentences } from './groundedness.js';
+import { bestSentences } from './extractive-answer.js';
+import { explainMismatch, matchesFilter, validateFilter } from './metadata-filter.js';
+import LLMGateway from './llm-provider.js';
+import PromptLibrary from './prompt-library.js';
+import { DEFAULT_LANGUAGE, EMBEDDING_MODELS, detectLanguage, isMultilingualModel, languageName } from './language.js';
+import { DEFAULT_PROMPT_BUDGET, buildPrompt } from './prompt-builder.js';
+import {
+  STRUCTURED_INSTRUCTIONS,
+  parseStructuredResponse,
+  repairMessages,
+  structureFromText
+} from './structured-response.js';
 
 dotenv.config();
 
 const DEFAULT_DIMENSION = 384;
 const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+const DEFAULT_EMBEDDING_MODEL = EMBEDDING_MODELS.english;
 
 function ensureCompleteSentence(text) {
   if (!text || text.trim() === '') return text;
   const trimmed = text.trim();
-  if (/[.!?]$/.test(trimmed)) return trimmed;
-  const lastBreak = Math.max(trimmed.lastIndexOf('.'), trimmed.lastIndexOf('!'), trimmed.lastIndexOf('?'));
+  if (/[.!?。！？।]$/.test(trimmed)) return trimmed;
+  const lastBreak = Math.max(...['.', '!', '?', '。', '！', '？', '।'].map(mark => trimmed.lastIndexOf(mark)));
   if (lastBreak > 0 && lastBreak > trimmed.length * 0.6) {
     return trimmed.substring(0, lastBreak + 1).trim();
   }
   return `${trimmed}.`;
 }
 
+// Answer confidence: the best cosine among the hits (hybrid search may rank a keyword-only hit first)
+const topScore = (results) => results.reduce((best, result) => Math.max(best, result.score || 0), 0);
+
 function semanticSimilarity(a, b) {
   if (!a || !b) return 0;
   const clean = (value) => value
@@ -46,13 +65,17 @@ function semanticSimilarity(a, b) {
   return union === 0 ? 0 : intersection / union;
 }
 
-class OptimizedRAGEngine {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: Number(process.env.OPENAI_TIMEOUT || 5000),
-      maxRetries: 0
-    });
+class OptimizedRAGEngine extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {LLMGateway} [options.llm]  completion providers per route; built from LLM_* env vars by default
+   * @param {PromptLibrary} [options.prompts]  system prompt, persona and fallback lines (PROMPT_VERSION)
+   */
+  constructor({ llm = null, prompts = null } = {}) {
+    super();
+
+    this.llm = llm || new LLMGateway();
+    this.prompts = prompts || new PromptLibrary();
 
     this.responseCache = new Map();
     this.retrievalCache = new Map();
@@ -71,17 +94,63 @@ class OptimizedRAGEngine {
 
     this.faissIndex = null;
     this.vectorMetadata = [];
+    this.searchParams = {};
     this.embeddingModel = null;
+    this.embeddingModelId = null;
+    this.kbVersion = 0;
+    this.kbLoadedAt = null;
+    this.kbWatcher = null;
+    this.reloadPromise = null;
 
     this.dataDir = path.join(process.cwd(), 'kb', 'faiss-data');
-    this.indexPath = path.join(this.dataDir, 'vectors.index');
-    this.metadataPath = path.join(this.dataDir, 'metadata.json');
-    this.indexConfigPath = path.join(this.dataDir, 'index-config.json');
 
     this.indexConfig = {
       type: 'flat',
-      dimension: DEFAULT_DIMENSION,
-      nprobe: Number(process.env.FAISS_NPROBE || 4)
+      dimension: DEFAULT_DIMENSION
+    };
+
+    this.keywordIndex = null;
+    this.chunkIndex = null;
+    this.contextConfig = {
+      mode: CONTEXT_MODES.includes(process.env.RAG_CONTEXT_MODE) ? process.env.RAG_CONTEXT_MODE : DEFAULT_CONTEXT_OPTIONS.mode,
+      window: Number(process.env.RAG_CONTEXT_WINDOW || DEFAULT_CONTEXT_OPTIONS.window),
+      tokenBudget: Number(process.env.RAG_CONTEXT_TOKENS || DEFAULT_CONTEXT_OPTIONS.tokenBudget)
+    };
+    // Whole-prompt budget: context and history are trimmed so system + context + history +
+    // question + the answer reserve fit RAG_PROMPT_TOKENS.
+    this.promptBudget = {
+      total: Number(process.env.RAG_PROMPT_TOKENS || DEFAULT_PROMPT_BUDGET.total),
+      history: Number(process.env.RAG_HISTORY_TOKENS || DEFAULT_PROMPT_BUDGET.history),
+      answer: Number(process.env.RAG_ANSWER_TOKENS || this.prompts.generation.maxTokens)
+    };
+    // JSON answers carry the text twice (spoken and displayed) plus fields, so reserve more.
+    this.structuredAnswerTokens = Number(process.env.RAG_STRUCTURED_ANSWER_TOKENS || 400);
+    this.hybridConfig = {
+      enabled: process.env.RAG_HYBRID !== 'false',
+      vectorWeight: Number(process.env.RAG_VECTOR_WEIGHT || 1),
+      keywordWeight: Number(process.env.RAG_KEYWORD_WEIGHT || 1),
+      rrfK: Number(process.env.RAG_RRF_K || 60),
+      // BM25 hits below this score are single common words; they would only add noise to the fusion.
+      keywordMinScore: Number(process.env.RAG_KEYWORD_MIN_SCORE || 2.5)
+    };
+
+    // Answers are checked sentence by sentence against the context before they are spoken.
+    this.groundedness = new GroundednessChecker({
+      embed: (text) => this.computeEmbedding(text),
+      fallback: this.prompts.render('ungrounded')
+    });
+
+    // Optional cross-encoder pass over the top candidates before topK is applied.
+    this.reranker = new CrossEncoderReranker();
+    this.rerankConfig = {
+      enabled: process.env.RAG_RERANK === 'true',
+      candidates: Number(process.env.RAG_RERANK_CANDIDATES || 12)
+    };
+
+    // Runtime overrides for the search parameters baked into the index at build time.
+    this.searchParamOverrides = {
+      nprobe: process.env.FAISS_NPROBE ? Number(process.env.FAISS_NPROBE) : undefined,
+      efSearch: process.env.FAISS_EF_SEARCH ? Number(process.env.FAISS_EF_SEARCH) : undefined
     };
 
     this.isInitialized = false;
@@ -93,46 +162,213 @@ class OptimizedRAGEngine {
     const start = Date.now();
     console.log('🚀 Initializing FAISS RAG engine');
 
-    if (!fs.existsSync(this.indexPath) || !fs.existsSync(this.metadataPath)) {
-      throw new Error('FAISS index not found. Please run "npm run build:faiss" to precompute embeddings.');
+    const snapshot = await this.loadKnowledgeBase(this.dataDir);
+    await this.loadEmbeddingModel(snapshot.config.model);
+    this.applyKnowledgeBase(snapshot);
+
+    this.isInitialized = true;
+    console.log(`⏱️  RAG initialization completed in ${Date.now() - start}ms`);
+  }
+
+  /**
+   * Read a faiss-data directory into a self-contained snapshot without touching the
+   * engine's live state, so a broken build can be rejected before anything is swapped.
+   * Files are read with fs.promises, so a background reload never blocks requests on disk.
+   */
+  async loadKnowledgeBase(dataDir) {
+    const read = (fileName, encoding) => fs.promises.readFile(path.join(dataDir, fileName), encoding);
+
+    let rawIndex;
+    let rawMetadata;
+    try {
+      [rawIndex, rawMetadata] = await Promise.all([read('vectors.index'), read('metadata.json', 'utf8')]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('FAISS index not found. Please run "npm run build:faiss" to precompute embeddings.');
+      }
+      throw error;
     }
 
-    if (fs.existsSync(this.indexConfigPath)) {
-      try {
-        const cfg = JSON.parse(fs.readFileSync(this.indexConfigPath, 'utf8'));
-        this.indexConfig = { ...this.indexConfig, ...cfg };
-      } catch (error) {
+    let config = { type: 'flat', dimension: DEFAULT_DIMENSION };
+    try {
+      config = { ...config, ...JSON.parse(await read('index-config.json', 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
         console.warn('⚠️  Failed to read index-config.json, using defaults:', error.message);
       }
     }
 
-    console.log(`📂 Loading FAISS index (${this.indexConfig.type})`);
-    this.faissIndex = IndexFlatIP.read(this.indexPath);
-    this.vectorMetadata = JSON.parse(fs.readFileSync(this.metadataPath, 'utf8'));
+    console.log(`📂 Loading FAISS index (${config.type})`);
+    const { index, params } = loadIndexBuffer(rawIndex, config.type, {
+      nprobe: this.searchParamOverrides.nprobe ?? config.nprobe,
+      efSearch: this.searchParamOverrides.efSearch ?? config.efSearch
+    });
+    const metadata = JSON.parse(rawMetadata);
+
+    if (typeof index.ntotal === 'function' && index.ntotal() !== metadata.length) {
+      throw new Error(`Index holds ${index.ntotal()} vectors but metadata.json has ${metadata.length} entries.`);
+    }
 
-    if (typeof this.faissIndex.setNprobe === 'function') {
-      this.faissIndex.setNprobe(this.indexConfig.nprobe || 4);
-      console.log(`🎯 FAISS nprobe set to ${this.indexConfig.nprobe || 4}`);
+    const keywordIndex = await this.loadKeywordIndex(path.join(dataDir, 'keyword-index.json'), metadata);
+
+    if (params.nprobe) {
+      console.log(`🎯 FAISS nprobe set to ${params.nprobe} of ${params.nlist} lists`);
+    } else if (params.efSearch) {
+      console.log(`🎯 FAISS HNSW efSearch set to ${params.efSearch}`);
     } else {
-      console.log('ℹ️  FAISS index does not expose nprobe tuning (flat index).');
+      console.log('ℹ️  Flat index: exhaustive search, no tuning parameters.');
     }
 
-    console.log(`✅ Loaded ${this.vectorMetadata.length} vectors (dimension ${this.indexConfig.dimension})`);
+    const chunkIndex = buildChunkIndex(metadata);
 
-    await this.loadEmbeddingModel();
+    return { index, params, metadata, keywordIndex, chunkIndex, config, dataDir, loadedAt: new Date().toISOString() };
+  }
 
-    this.isInitialized = true;
-    console.log(`⏱️  RAG initialization completed in ${Date.now() - start}ms`);
+  async loadKeywordIndex(keywordIndexPath, metadata) {
+    try {
+      const keywordIndex = BM25Index.fromJSON(JSON.parse(await fs.promises.readFile(keywordIndexPath, 'utf8')));
+      if (keywordIndex.docCount === metadata.length) {
+        console.log(`🔤 Loaded BM25 keyword index (${keywordIndex.postings.size} terms)`);
+        return keywordIndex;
+      }
+      console.warn('⚠️  keyword-index.json is out of step with metadata.json; rebuilding in memory.');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️  Failed to read keyword-index.json; rebuilding in memory:', error.message);
+      }
+    }
+
+    const keywordIndex = BM25Index.build(metadata.map(keywordText));
+    console.log(`🔤 Built BM25 keyword index in memory (${keywordIndex.postings.size} terms)`);
+    return keywordIndex;
+  }
+
+  /**
+   * Make a loaded snapshot live. Everything is assigned in one synchronous step, and
+   * search() reads the index and metadata once up front, so a query that started on the
+   * old snapshot finishes on it.
+   */
+  applyKnowledgeBase(snapshot) {
+    this.faissIndex = snapshot.index;
+    this.vectorMetadata = snapshot.metadata;
+    this.keywordIndex = snapshot.keywordIndex;
+    this.chunkIndex = snapshot.chunkIndex;
+    this.searchParams = snapshot.params;
+    this.indexConfig = snapshot.config;
+    if (snapshot.embeddingModel) {
+      this.embeddingModel = snapshot.embeddingModel;
+      this.embeddingModelId = snapshot.embeddingModelId;
+    }
+    this.kbVersion += 1;
+    this.kbLoadedAt = snapshot.loadedAt;
+
+    console.log(`✅ Loaded ${snapshot.metadata.length} vectors (dimension ${snapshot.config.dimension}, kb v${this.kbVersion})`);
   }
 
-  async loadEmbeddingModel() {
-    if (this.embeddingModel) return;
-    console.log('📦 Loading local embedding model (Xenova/all-MiniLM-L6-v2)...');
-    this.embeddingModel = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', {
+  /**
+   * Load a freshly built faiss-data directory in the background and swap it in.
+   * Concurrent calls share the reload already in flight.
+   */
+  async reloadKnowledgeBase(dataDir = this.dataDir) {
+    if (this.reloadPromise) return this.reloadPromise;
+
+    this.reloadPromise = (async () => {
+      const start = Date.now();
+      const previousVectors = this.vectorMetadata.length;
+      console.log(`🔄 Reloading knowledge base from ${dataDir}`);
+
+      const snapshot = await this.loadKnowledgeBase(dataDir);
+      const modelId = snapshot.config.model || DEFAULT_EMBEDDING_MODEL;
+      if (modelId !== this.embeddingModelId) {
+        // A rebuild with a different embedding model needs that model live in the same swap.
+        snapshot.embeddingModel = await this.createEmbeddingPipeline(modelId);
+        snapshot.embeddingModelId = modelId;
+      }
+      this.applyKnowledgeBase(snapshot);
+      this.isInitialized = true;
+      this.clearCache();
+
+      const result = {
+        version: this.kbVersion,
+        vectors: snapshot.metadata.length,
+        previousVectors,
+        indexType: snapshot.config.type,
+        builtAt: snapshot.config.createdAt || null,
+        durationMs: Date.now() - start
+      };
+      console.log(`✅ Knowledge base v${result.version} live in ${result.durationMs}ms (${previousVectors} → ${result.vectors} vectors)`);
+      this.emit('reload', result);
+      return result;
+    })();
+
+    try {
+      return await this.reloadPromise;
+    } finally {
+      this.reloadPromise = null;
+    }
+  }
+
+  /**
+   * Watch the faiss-data directory and reload once a build finishes. The build writes
+   * index-config.json last, so that file changing is the signal a complete build is on disk.
+   */
+  watchKnowledgeBase({ debounceMs = 2000 } = {}) {
+    if (this.kbWatcher) return this.kbWatcher;
+
+    let timer = null;
+    this.kbWatcher = fs.watch(this.dataDir, (eventType, fileName) => {
+      if (fileName !== 'index-config.json') return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.reloadKnowledgeBase().catch(error => {
+          console.error('❌ Knowledge base reload failed; keeping current index:', error.message);
+        });
+      }, debounceMs);
+    });
+
+    console.log(`👀 Watching ${this.dataDir} for knowledge base rebuilds`);
+    return this.kbWatcher;
+  }
+
+  /**
+   * Non-English queries only retrieve well from an index built with a multilingual model.
+   * Said once per embedding model, not on every query.
+   */
+  warnIfMonolingual(language) {
+    if (language === DEFAULT_LANGUAGE || isMultilingualModel(this.embeddingModelId)) return;
+    if (this.monolingualWarning === this.embeddingModelId) return;
+    this.monolingualWarning = this.embeddingModelId;
+    console.warn(`⚠️  ${languageName(language)} query against an English-only embedding model (${this.embeddingModelId}); rebuild with --model=multilingual for cross-lingual retrieval`);
+  }
+
+  getKnowledgeBaseInfo() {
+    return {
+      version: this.kbVersion,
+      loadedAt: this.kbLoadedAt,
+      vectors: this.vectorMetadata.length,
+      indexType: this.indexConfig.type,
+      builtAt: this.indexConfig.createdAt || null,
+      model: this.embeddingModelId,
+      multilingual: isMultilingualModel(this.embeddingModelId),
+      watching: Boolean(this.kbWatcher),
+      reloading: Boolean(this.reloadPromise)
+    };
+  }
+
+  async createEmbeddingPipeline(modelId) {
+    console.log(`📦 Loading local embedding model (${modelId})...`);
+    const model = await pipeline('feature-extraction', modelId, {
       quantized: process.env.TRANSFORMERS_QUANTIZED === 'true',
       progress_callback: null
     });
     console.log('✅ Embedding model ready');
+    return model;
+  }
+
+  async loadEmbeddingModel(modelId = this.embeddingModelId || DEFAULT_EMBEDDING_MODEL) {
+    if (this.embeddingModel && this.embeddingModelId === modelId) return;
+    this.embeddingModel = await this.createEmbeddingPipeline(modelId);
+    this.embeddingModelId = modelId;
   }
 
   getCacheKey(query, filter, options = {}) {
@@ -187,220 +423,629 @@ class OptimizedRAGEngine {
     return Array.from(result.data);
   }
 
+  /**
+   * Filter language: see kb/metadata-filter.js.
+   */
   matchesFilter(metadata, filter) {
-    if (!filter) return true;
-    if (filter.$or) {
-      return filter.$or.some(sub => this.matchesFilter(metadata, sub));
-    }
-    for (const [key, value] of Object.entries(filter)) {
-      if (value && typeof value === 'object' && value.$in) {
-        const actual = metadata[key] || [];
-        if (Array.isArray(actual)) {
-          if (!value.$in.some(v => actual.includes(v))) return false;
-        } else if (!value.$in.includes(actual)) {
-          return false;
-        }
-        continue;
-      }
-      if (metadata[key] !== value) {
-        return false;
-      }
-    }
-    return true;
+    return matchesFilter(metadata, filter);
+  }
+
+  resolveHybridOptions(options = {}) {
+    if (options.hybrid === false) return { ...this.hybridConfig, enabled: false };
+    const overrides = typeof options.hybrid === 'object' && options.hybrid !== null ? options.hybrid : {};
+    return { ...this.hybridConfig, ...overrides };
   }
 
   async search(query, options = {}) {
+    const { results } = await this.retrieve(query, options);
+    return results;
+  }
+
+  /**
+   * search() plus a report of how the filter was applied:
+   * { results, filter: { status: 'none' | 'honoured', scanned, total } }.
+   * A filtered query keeps widening the FAISS candidate pool until it has enough matching
+   * chunks, scores fall below minScore, or the whole index has been scanned, so the best
+   * matching chunks are never lost to post-filtering.
+   * retrieve() never drops the filter, so its status is never 'relaxed': a filter nothing
+   * relevant matches gives no results. Retrying without it is up to the caller, and
+   * retrieveForAnswer() and searchComparison() report 'relaxed' when they do.
+   * With options.trace (an array), the retrieval cache is bypassed and a record of every
+   * candidate and why it was kept or dropped is pushed onto it (see explainCandidates()).
+   */
+  async retrieve(query, options = {}) {
     await this.initialize();
 
-    const { topK = 3, filter = null, minScore = 0.45, searchK = topK * 3 } = options;
-    const retrievalKey = this.getCacheKey(query, filter, { topK, minScore, searchK });
+    const language = detectLanguage(query).language;
+    this.warnIfMonolingual(language);
+    // The default cross-encoder was trained on English pairs and would scramble other languages.
+    const rerank = (options.rerank ?? this.rerankConfig.enabled) && this.reranker.isAvailable
+      && (language === DEFAULT_LANGUAGE || isMultilingualModel(this.reranker.modelId));
+    const { topK = 3, filter = null, minScore = 0.45 } = options;
+    validateFilter(filter);
+    // With reranking on, gather the top N candidates and let the cross-encoder pick topK of them.
+    const candidateCount = rerank ? Math.max(topK, this.rerankConfig.candidates) : topK;
+    const searchK = options.searchK ?? Math.max(topK * 3, candidateCount);
+    const hybrid = this.resolveHybridOptions(options);
+    const retrievalKey = this.getCacheKey(query, filter, { topK, minScore, searchK, hybrid, rerank });
+    const trace = Array.isArray(options.trace) ? options.trace : null;
 
     this.pruneCache(this.retrievalCache, this.RETRIEVAL_CACHE_TTL);
 
-    if (this.retrievalCache.has(retrievalKey)) {
+    if (!trace && this.retrievalCache.has(retrievalKey)) {
       this.cacheStats.retrievalHits += 1;
-      return this.retrievalCache.get(retrievalKey).results;
+      const cached = this.retrievalCache.get(retrievalKey);
+      return { results: cached.results, filter: cached.filter };
     }
 
+    // Pin the live snapshot: a reload mid-query must not mix labels from one index with another's metadata.
+    const { faissIndex, vectorMetadata, keywordIndex, kbVersion } = this;
+    const useKeywords = hybrid.enabled && Boolean(keywordIndex);
+
     const timingStart = Date.now();
     const embedding = await this.getQueryEmbedding(query);
     const embedTime = Date.now() - timingStart;
 
     const searchStart = Date.now();
-  const result = this.faissIndex.search(Array.from(embedding), Math.min(searchK, this.vectorMetadata.length));
+    const total = vectorMetadata.length;
+    let scanned = Math.min(searchK, total);
+    let vectorHits;
+    let result;
+
+    while (true) {
+      result = faissIndex.search(Array.from(embedding), scanned);
+      vectorHits = [];
+      for (let i = 0; i < result.labels.length; i++) {
+        const id = result.labels[i];
+        const score = result.distances[i];
+        if (id < 0 || id >= total) continue;
+        if (score < minScore) continue;
+        if (!this.matchesFilter(vectorMetadata[id], filter)) continue;
+        vectorHits.push({ key: id, score });
+        if (!useKeywords && vectorHits.length >= candidateCount) break;
+      }
+
+      // Neighbours come back best first: once the last one is under minScore (or is padding
+      // from an IVF/HNSW probe that ran dry), a wider search cannot add a qualifying match.
+      const lastLabel = result.labels[result.labels.length - 1];
+      const lastScore = result.distances[result.distances.length - 1];
+      const exhausted = scanned >= total || lastLabel < 0 || lastScore < minScore;
+      if (!filter || vectorHits.length >= candidateCount || exhausted) break;
+
+      scanned = Math.min(scanned * 4, total);
+    }
     const searchTime = Date.now() - searchStart;
+    if (filter && scanned > Math.min(searchK, total)) {
+      console.log(`🔎 Filtered search widened to ${scanned}/${total} neighbours → ${vectorHits.length} matching`);
+    }
 
-    const matches = [];
-    for (let i = 0; i < result.labels.length; i++) {
-      const id = result.labels[i];
-      const score = result.distances[i];
-      if (id < 0 || id >= this.vectorMetadata.length) continue;
-      if (score < minScore) continue;
-      const metadata = this.vectorMetadata[id];
-      if (!this.matchesFilter(metadata, filter)) continue;
-      matches.push({ id: metadata.id, score, metadata });
-      if (matches.length >= topK) break;
+    let matches;
+    let keywordHits = [];
+    let keywordTime = 0;
+
+    if (!useKeywords) {
+      matches = vectorHits.map(hit => ({
+        id: vectorMetadata[hit.key].id,
+        score: hit.score,
+        metadata: vectorMetadata[hit.key],
+        vectorScore: hit.score,
+        retrievers: ['vector']
+      }));
+    } else {
+      const keywordStart = Date.now();
+      keywordHits = keywordIndex
+        .search(query, searchK, row => this.matchesFilter(vectorMetadata[row], filter))
+        .map(hit => ({ key: hit.row, score: hit.score, matchedTerms: hit.matchedTerms }));
+      const weakKeywordHits = keywordHits.filter(hit => hit.score < hybrid.keywordMinScore);
+      keywordHits = keywordHits.filter(hit => hit.score >= hybrid.keywordMinScore);
+      if (trace) keywordHits.weak = weakKeywordHits;
+      keywordTime = Date.now() - keywordStart;
+
+      const fused = reciprocalRankFusion({
+        vector: { weight: hybrid.vectorWeight, items: vectorHits },
+        keyword: { weight: hybrid.keywordWeight, items: keywordHits }
+      }, hybrid.rrfK);
+
+      // Fusion decides the order; `score` stays the cosine similarity so confidence and minScore
+      // mean the same with hybrid search on or off. The RRF score, normalised so a chunk ranked
+      // first by every weighted retriever scores 1.0, is kept as fusionScore.
+      const bestPossible = (hybrid.vectorWeight + hybrid.keywordWeight) / (hybrid.rrfK + 1);
+      // Cosine of every scanned neighbour, so keyword-only hits below minScore still have one
+      const cosineByRow = new Map();
+      result.labels.forEach((label, i) => {
+        if (label >= 0 && !cosineByRow.has(label)) cosineByRow.set(label, result.distances[i]);
+      });
+      const keywordByRow = new Map(keywordHits.map(hit => [hit.key, hit]));
+
+      matches = fused.slice(0, candidateCount).map(entry => {
+        const metadata = vectorMetadata[entry.key];
+        const vectorScore = cosineByRow.get(entry.key) ?? null;
+        return {
+          id: metadata.id,
+          score: vectorScore ?? 0,
+          metadata,
+          vectorScore,
+          fusionScore: bestPossible > 0 ? entry.score / bestPossible : 0,
+          keywordScore: keywordByRow.get(entry.key)?.score ?? null,
+          matchedTerms: keywordByRow.get(entry.key)?.matchedTerms || [],
+          retrievers: entry.retrievers
+        };
+      });
     }
 
-    console.log(`⚡ FAISS search done in ${Date.now() - timingStart}ms (embed ${embedTime}ms, search ${searchTime}ms) → ${matches.length} hits`);
+    let rerankTime = 0;
+    if (rerank && matches.length > 1) {
+      const rerankStart = Date.now();
+      matches = await this.reranker.rerank(query, matches);
+      rerankTime = Date.now() - rerankStart;
+    }
+    matches = matches.slice(0, topK);
+
+    const timings = [`embed ${embedTime}ms`, `search ${searchTime}ms`];
+    if (useKeywords) timings.push(`bm25 ${keywordTime}ms`);
+    if (rerankTime) timings.push(`rerank ${rerankTime}ms`);
+    console.log(`⚡ ${useKeywords ? 'Hybrid' : 'FAISS'} search done in ${Date.now() - timingStart}ms (${timings.join(', ')}) → ${matches.length} hits`);
+
+    const filterReport = { status: filter ? 'honoured' : 'none', scanned, total };
+
+    if (trace) {
+      trace.push({
+        query,
+        language,
+        filter,
+        topK,
+        minScore,
+        candidateCount,
+        scanned,
+        total,
+        hybrid: useKeywords,
+        rerank,
+        ...this.explainCandidates({ result, keywordHits, matches, vectorMetadata, filter, minScore, keywordMinScore: hybrid.keywordMinScore })
+      });
+    }
 
-    this.retrievalCache.set(retrievalKey, {
-      results: matches,
-      timestamp: Date.now()
-    });
+    // Results computed on a snapshot that was swapped out meanwhile must not outlive the cache flush.
+    if (!trace && kbVersion === this.kbVersion) {
+      this.retrievalCache.set(retrievalKey, {
+        results: matches,
+        filter: filterReport,
+        timestamp: Date.now()
+      });
+    }
 
-    return matches;
+    return { results: matches, filter: filterReport };
+  }
+
+  /**
+   * Status of every chunk a traced retrieve() looked at:
+   * selected | outranked (matched but cut by topK, fusion or reranking) | below-min-score | filtered.
+   */
+  explainCandidates({ result, keywordHits, matches, vectorMetadata, filter, minScore, keywordMinScore }) {
+    const selected = new Map(matches.map((match, rank) => [match.id, rank + 1]));
+    const describe = (row) => {
+      const record = vectorMetadata[row];
+      return {
+        chunkId: record.id,
+        source: record.url || record.source,
+        title: record.title || record.metadata?.title || null,
+        product: record.product ?? null
+      };
+    };
+    const settle = (entry) => (selected.has(entry.chunkId)
+      ? { ...entry, status: 'selected', rank: selected.get(entry.chunkId) }
+      : { ...entry, status: 'outranked', reason: 'matched, but ranked below the final topK' });
+
+    const vector = [];
+    for (let i = 0; i < result.labels.length; i++) {
+      const row = result.labels[i];
+      if (row < 0 || row >= vectorMetadata.length) continue;
+      const entry = { ...describe(row), score: Number(result.distances[i].toFixed(4)) };
+      const mismatch = explainMismatch(vectorMetadata[row], filter);
+      if (entry.score < minScore) {
+        vector.push({ ...entry, status: 'below-min-score', reason: `score ${entry.score} < minScore ${minScore}` });
+      } else if (mismatch) {
+        vector.push({ ...entry, status: 'filtered', reason: mismatch });
+      } else {
+        vector.push(settle(entry));
+      }
+    }
+
+    const keyword = [
+      ...keywordHits.map(hit => settle({ ...describe(hit.key), score: Number(hit.score.toFixed(4)), matchedTerms: hit.matchedTerms })),
+      ...(keywordHits.weak || []).map(hit => ({
+        ...describe(hit.key),
+        score: Number(hit.score.toFixed(4)),
+        matchedTerms: hit.matchedTerms,
+        status: 'below-min-score',
+        reason: `BM25 score ${hit.score.toFixed(2)} < keywordMinScore ${keywordMinScore}`
+      }))
+    ];
+
+    return { vector, keyword, selected: matches.map(match => match.id) };
   }
 
   async generateAnswer(query, searchResults, options = {}) {
     if (!searchResults || searchResults.length === 0) {
       // SDR conversational fallback - start discovery instead of giving up
-      const sdrResponse = this.generateSDRDiscoveryResponse(query);
+      const sdrResponse = this.generateSDRDiscoveryResponse(query, options.language);
       return {
         answer: sdrResponse,
         sources: [],
         confidence: 0.7, // Higher confidence to indicate we're handling it conversationally
-        usedSDRFallback: true
+        usedSDRFallback: true,
+        promptVersion: this.prompts.version
       };
     }
 
-    const { stream = false, onToken } = options;
-    const context = searchResults
-      .slice(0, 2)
-      .map(result => result.metadata.text.substring(0, 400))
-      .join('\n\n');
-
-    const systemPrompt = `Master Prompt: HPE ProLiant SDR (Conversational Edition)
-
-═══════════════════════════════════════════════════════════════════
+    const { stream = false, onToken, language = DEFAULT_LANGUAGE } = options;
+    const { messages, context: { blocks }, tokens: promptTokens } = this.preparePrompt(query, searchResults, options);
+    const generation = { ...this.prompts.generation, maxTokens: promptTokens.answer };
+    const fallback = this.prompts.render('ungrounded', {}, { language });
+
+    // Embed the evidence while the model is still generating.
+    const evidence = this.groundedness.mode === 'off'
+      ? null
+      : this.groundedness.prepareEvidence(blocks.map(block => block.text));
+
+    const extractive = (error) => this.generateExtractiveAnswer(query, searchResults, {
+      blocks,
+      promptTokens,
+      language,
+      error,
+      structured: options.format === 'structured'
+    });
 
-1) ROLE & MISSION
+    if (options.format === 'structured') {
+      try {
+        return await this.generateStructuredAnswer(searchResults, { messages, blocks, evidence, generation, promptTokens, fallback });
+      } catch (error) {
+        return extractive(error);
+      }
+    }
 
-You are a Senior SDR for HPE ProLiant Compute in APAC.
+    if (stream && typeof onToken === 'function') {
+      const streamResponse = this.llm.stream('answer', {
+        messages,
+        ...generation
+      });
 
-Your goal: Have a natural, consultative conversation to:
-• Qualify using conversational BANT (not interrogation)
-• Recommend ProLiant family + 1-2 APAC Smart Choice SKUs with clear "why"
-• Arrange HPE expert callback
+      // Sentences reach options.onSentence only once checked, so the avatar never speaks an unsupported claim.
+      const verifier = this.groundedness.createStream(evidence, { onSentence: options.onSentence, fallback });
 
-Boundaries:
-• DO NOT discuss: Pricing, discounts, SLAs, contracts, non-ProLiant products
-• When off-scope: Ask one clarifier OR offer expert callback
+      let answer = '';
+      let streamError = null;
+      try {
+        for await (const delta of streamResponse) {
+          answer += delta;
+          onToken({ token: delta, text: answer });
+          verifier.push(delta);
+        }
+      } catch (error) {
+        streamError = error;
+      }
 
-═══════════════════════════════════════════════════════════════════
+      // Nothing complete was said before the model failed: read from the top chunk instead.
+      if (streamError && !takeSentences(answer).sentences.length) {
+        return extractive(streamError);
+      }
+      if (streamError) {
+        console.warn(`⚠️  Answer stream broke off (${streamError.message}); keeping the sentences already written`);
+      }
 
-2) CONVERSATION STYLE (CRITICAL!)
+      // Same trimming as ensureCompleteSentence(): a short dangling fragment is dropped, a long one closed.
+      // After a broken stream the fragment is always dropped.
+      const completed = ensureCompleteSentence(answer);
+      const reviewed = await verifier.end(tail => (!streamError && completed.endsWith(ensureCompleteSentence(tail)) ? ensureCompleteSentence(tail) : ''));
+      const cited = extractCitations(reviewed.answer, blocks);
 
-Professional & Consultative:
-• Warm, human tone - you're helping, not selling
-• 80-110 words per turn (concise and punchy, not verbose)
-• Use context bridges: "Got it...", "That makes sense...", "I hear you..."
-• ALWAYS acknowledge what they just told you before asking next question
-• Build on their answers - don't ignore what they shared
+      return {
+        answer: cited.answer,
+        sources: this.formatCitedSources(cited.cited, searchResults),
+        confidence: topScore(searchResults),
+        groundedness: reviewed.groundedness,
+        ...(streamError ? { degraded: { mode: 'partial', reason: streamError.message } } : {}),
+        promptVersion: this.prompts.version,
+        promptTokens
+      };
+    }
 
-ONE Question Per Turn:
-• Ask ONE thematic question (may have 2 tightly related sub-parts)
-• Let them guide the conversation naturally
-• If they volunteer info, don't re-ask it!
+    let completion;
+    try {
+      completion = await this.llm.complete('answer', {
+        messages,
+        ...generation
+      });
+    } catch (error) {
+      return extractive(error);
+    }
 
-Natural Flow:
-• Listen → Acknowledge → Build → Ask
-• Brief mini-recap before shifting topics
-• No robotic lists or surveys
-• Sound like a senior SDR, not a chatbot
+    const choice = completion.text;
+    const reviewed = choice
+      ? await this.groundedness.review(ensureCompleteSentence(choice), evidence, { fallback })
+      : { answer: "I could not assemble a confident answer this time.", groundedness: null };
+    const cited = extractCitations(reviewed.answer, blocks);
 
-Industry/Vertical Context:
-• If user mentions industry (banking, healthcare, retail), acknowledge it
-• Offer relevant insights: "Many banking customers prioritize [X]..."
-• Reference common use cases for their vertical
-• Examples:
-  - Banking: Security (iLO Silicon Root of Trust), compliance, HA
-  - Healthcare: Data security, uptime, HIPAA considerations
-  - Retail: Seasonal scaling, analytics, PCI compliance
-• Keep it brief (1 sentence) and natural, not forced
+    return {
+      answer: cited.answer,
+      sources: this.formatCitedSources(cited.cited, searchResults),
+      confidence: topScore(searchResults),
+      groundedness: reviewed.groundedness,
+      promptVersion: this.prompts.version,
+      promptTokens
+    };
+  }
 
-═══════════════════════════════════════════════════════════════════
+  /**
+   * Degraded mode, used when the answer model is down or its circuit is open: the
+   * best-matching sentences of the top retrieved chunk, cited to the block that holds it.
+   */
+  generateExtractiveAnswer(query, searchResults, { blocks, promptTokens, language = DEFAULT_LANGUAGE, error, structured = false }) {
+    console.warn(`🪫 Generation unavailable (${error?.message || 'unknown error'}); answering from the top retrieved chunk`);
+    const top = searchResults[0];
+    const block = blocks.find(candidate => candidate.hitIds?.includes(top.id)) || blocks[0];
+    const sentences = bestSentences(query, top.metadata.text);
+
+    const answer = sentences.length
+      ? `${this.prompts.render('extractiveLead', {}, { language })} ${sentences.join(' ')}${block ? ` [${block.citation}]` : ''}`
+      : this.prompts.render('noResults', {}, { language });
+    const cited = extractCitations(answer, blocks);
 
-3) DISCOVERY FLOW
+    return {
+      answer: cited.answer,
+      ...(structured ? { structured: { ...structureFromText(cited.answer), citations: cited.cited.map(entry => entry.citation), repair: 'extractive' } } : {}),
+      sources: this.formatCitedSources(cited.cited, searchResults),
+      confidence: topScore(searchResults),
+      groundedness: null,
+      degraded: { mode: 'extractive', reason: error?.message || null },
+      promptVersion: this.prompts.version,
+      promptTokens
+    };
+  }
 
-Start with High-Level Context:
-"So I can point you well—what are your main workloads (VMs, databases, analytics), and what's driving your server evaluation?"
+  /**
+   * Answer in the structured format (see structured-response.js), without streaming: the
+   * avatar speaks spokenText once the whole object is in. Invalid output gets one repair pass
+   * by the model, then a heuristic fallback. Spoken and displayed texts are each
+   * groundedness-checked; citations are taken from displayText.
+   */
+  async generateStructuredAnswer(searchResults, { messages, blocks, evidence, generation, promptTokens, fallback }) {
+    const completion = await this.llm.complete('answer', { messages, ...generation });
+    let { value, errors } = parseStructuredResponse(completion.text);
+    let repair = 'none';
+
+    if (!value) {
+      console.warn(`🧩 Structured answer invalid (${errors.join('; ')}); asking the model to repair it`);
+      try {
+        const repaired = await this.llm.complete('answer', {
+          messages: repairMessages(completion.text, errors),
+          temperature: 0,
+          maxTokens: generation.maxTokens
+        });
+        ({ value, errors } = parseStructuredResponse(repaired.text));
+        if (value) repair = 'model';
+      } catch (error) {
+        console.warn('⚠️  Structured answer repair failed:', error.message);
+      }
+    }
+    if (!value) {
+      console.warn('🧩 Falling back to a structure derived from the answer text');
+      value = structureFromText(completion.text);
+      repair = 'heuristic';
+    }
 
-**RECOMMENDATION TRIGGER:**
-• Need ONLY 3 key facts to recommend:
-  1. Users/Scale (how many users or workload size)  
-  2. Workloads (VMs, analytics, databases, etc.)
-  3. ONE of: Virtualization OR Timeline OR Location OR HA needs
+    const [display, spoken] = await Promise.all([
+      this.groundedness.review(value.displayText, evidence, { fallback }),
+      this.groundedness.review(stripCitations(value.spokenText).trim(), evidence, { fallback })
+    ]);
+    const cited = extractCitations(display.answer, blocks);
+    const structured = {
+      ...value,
+      spokenText: stripCitations(spoken.answer).trim(),
+      displayText: cited.answer,
+      citations: cited.cited.map(block => block.citation),
+      repair
+    };
 
-• If you have 3 facts, give recommendation in NEXT response
-• DON'T over-qualify - 3 facts = enough!
+    return {
+      answer: structured.spokenText,
+      structured,
+      sources: this.formatCitedSources(cited.cited, searchResults),
+      confidence: topScore(searchResults),
+      groundedness: display.groundedness,
+      promptVersion: this.prompts.version,
+      promptTokens
+    };
+  }
 
-MINI-RECAP before recommending:
-"So based on what you've shared: [users], [workloads], [key need]..."
+  /**
+   * System prompt, context and history for an answer, fitted to the prompt budget
+   * (see prompt-builder.js). options.history takes raw turns and is trimmed to fit;
+   * a pre-formatted options.conversationHistory string is passed through as-is.
+   * Returns { messages, context: { text, blocks }, tokens }.
+   */
+  preparePrompt(query, searchResults, options = {}) {
+    const structured = options.format === 'structured';
+    const language = options.language || DEFAULT_LANGUAGE;
+    const budget = {
+      ...this.promptBudget,
+      ...(structured ? { answer: this.structuredAnswerTokens } : {}),
+      ...options.budget
+    };
+    const prompt = buildPrompt({
+      query,
+      renderSystem: (context) => this.prompts.render('system', { context, citationInstructions: CITATION_INSTRUCTIONS })
+        + (language !== DEFAULT_LANGUAGE ? `\n\n${this.prompts.render('answerLanguage', { languageName: languageName(language) })}` : '')
+        + (structured ? `\n\n${STRUCTURED_INSTRUCTIONS}` : ''),
+      assemble: (tokenBudget) => this.buildContext(searchResults, { ...options.context, tokenBudget }),
+      contextMax: options.context?.tokenBudget ?? this.contextConfig.tokenBudget,
+      hitCount: searchResults.length,
+      history: options.history || null,
+      conversationHistory: options.conversationHistory || '',
+      budget
+    });
 
-═══════════════════════════════════════════════════════════════════
+    const { tokens } = prompt;
+    const trimmed = [];
+    if (tokens.contextHits.dropped) trimmed.push(`${tokens.contextHits.dropped} hits dropped`);
+    if (tokens.historyMessages.summarized) trimmed.push(`${tokens.historyMessages.summarized} turns summarised`);
+    if (tokens.historyMessages.dropped) trimmed.push(`${tokens.historyMessages.dropped} turns dropped`);
+    console.log(`🧮 Prompt tokens: system ${tokens.system}, context ${tokens.context}, history ${tokens.history}, question ${tokens.query}, answer ≤${tokens.answer} → ${tokens.total}/${tokens.budget}${trimmed.length ? ` (${trimmed.join(', ')})` : ''}${tokens.overBudget ? ' ⚠️ over budget' : ''}`);
 
-Use ONLY the context below to provide accurate information about HPE ProLiant servers.
+    return prompt;
+  }
 
-Context:\n${context}`;
+  /**
+   * Expand the hits into prompt context (see context-builder.js). Per-call options override
+   * RAG_CONTEXT_MODE / RAG_CONTEXT_WINDOW / RAG_CONTEXT_TOKENS.
+   */
+  buildContext(searchResults, overrides = {}) {
+    const options = {
+      ...this.contextConfig,
+      maxOverlap: this.indexConfig.chunkOverlap || DEFAULT_CONTEXT_OPTIONS.maxOverlap,
+      ...overrides
+    };
 
-    // Add conversation history if provided
-    const conversationHistory = options.conversationHistory || '';
-    const fullSystemPrompt = systemPrompt + conversationHistory;
+    // Comparison hits are laid out side by side, one labelled section per product, each with an equal share of the budget.
+    const products = Array.from(new Set(searchResults.map(result => result.comparisonProduct).filter(Boolean)));
+    if (products.length > 1) {
+      let firstCitation = 1;
+      const sections = products.map(product => {
+        const hits = searchResults.filter(result => result.comparisonProduct === product);
+        const assembled = this.assembleOrFallback(hits, {
+          ...options,
+          firstCitation,
+          tokenBudget: Math.floor(options.tokenBudget / products.length)
+        });
+        firstCitation += assembled.blocks.length;
+        return { product, ...assembled };
+      });
+      return {
+        text: [
+          `Compare ${products.join(' vs ')} side by side.`,
+          ...sections.map(section => `=== ${section.product} ===\n${section.text}`)
+        ].join('\n\n'),
+        blocks: sections.flatMap(section => section.blocks.map(block => ({ ...block, product: section.product }))),
+        tokens: sections.reduce((sum, section) => sum + section.tokens, 0)
+      };
+    }
 
-    const messages = [
-      { role: 'system', content: fullSystemPrompt },
-      { role: 'user', content: query }
-    ];
+    return this.assembleOrFallback(searchResults, options);
+  }
 
-    if (stream && typeof onToken === 'function') {
-      const streamResponse = await this.openai.chat.completions.create({
-        model: process.env.RAG_COMPLETION_MODEL || 'gpt-3.5-turbo',
-        messages,
-        temperature: 0.3,
-        max_tokens: 160,
-        stream: true
+  assembleOrFallback(searchResults, options) {
+    const assembled = assembleContext(searchResults, this.chunkIndex, options);
+    if (assembled.text) return assembled;
+
+    // Hits that cannot be located in the live snapshot (e.g. swapped mid-query) fall back to
+    // their own chunks, best first, while the budget lasts.
+    const blocks = [];
+    let tokens = 0;
+    for (const result of searchResults) {
+      const cost = estimateTokens(result.metadata.text);
+      if (blocks.length && tokens + cost > options.tokenBudget) break;
+      tokens += cost;
+      blocks.push({
+        citation: (options.firstCitation || 1) + blocks.length,
+        source: result.metadata.url || result.metadata.source,
+        title: result.metadata.title || null,
+        url: result.metadata.url || null,
+        page: result.metadata.metadata?.page ?? null,
+        documentId: result.metadata.document_id || null,
+        chunkIds: [result.id],
+        hitIds: [result.id],
+        text: result.metadata.text
       });
+    }
+    return { text: blocks.map(renderBlock).join('\n\n'), blocks, tokens };
+  }
 
-      let answer = '';
-      for await (const chunk of streamResponse) {
-        const delta = chunk.choices?.[0]?.delta?.content || '';
-        if (!delta) continue;
-        answer += delta;
-        onToken({ token: delta, text: answer });
+  /**
+   * Retrieve for a plan from SmartRouter.detectComparison(): one filtered search per product
+   * with topK split evenly, so every product reaches the context. Hits are tagged with the
+   * product they back; a chunk found for two products stays with the first.
+   */
+  async searchComparison(comparison, options = {}) {
+    const perProduct = Math.max(2, Math.ceil((options.topK || 3) / comparison.queries.length));
+    const seen = new Set();
+    const results = [];
+    let relaxed = false;
+
+    for (const { product, query, filter } of comparison.queries) {
+      let hits = await this.search(query, { ...options, topK: perProduct, filter });
+      if (!hits.length) {
+        console.log(`🔁 No ${product} chunks above minScore; searching "${query}" without the product filter`);
+        hits = await this.search(query, { ...options, topK: perProduct, filter: null });
+        relaxed = true;
       }
+      for (const hit of hits) {
+        if (seen.has(hit.id)) continue;
+        seen.add(hit.id);
+        results.push({ ...hit, comparisonProduct: product });
+      }
+    }
 
-      answer = ensureCompleteSentence(answer);
+    console.log(`⚖️  Comparison retrieval: ${comparison.products.join(' vs ')} → ${results.length} hits`);
+    return { results, filterStatus: relaxed ? 'relaxed' : 'honoured' };
+  }
 
-      return {
-        answer,
-        sources: searchResults.map(r => ({ source: r.metadata.source, score: r.score.toFixed(3) })),
-        confidence: searchResults[0]?.score || 0
+  /**
+   * Sources for the context blocks an answer cited, in citation order. Each entry ties the
+   * citation number to the chunk that was retrieved, the chunks shown around it, and the
+   * brochure page or web URL it came from.
+   */
+  formatCitedSources(citedBlocks, searchResults) {
+    return citedBlocks.map(block => {
+      const hit = searchResults.find(result => block.hitIds.includes(result.id));
+      const entry = {
+        citation: block.citation,
+        ...(hit ? this.formatSources([hit])[0] : { source: block.source }),
+        chunkId: hit?.id || block.chunkIds[0],
+        chunkIds: block.chunkIds,
+        documentId: block.documentId
       };
-    }
-
-    const completion = await this.openai.chat.completions.create({
-      model: process.env.RAG_COMPLETION_MODEL || 'gpt-3.5-turbo',
-      messages,
-      temperature: 0.3,
-      max_tokens: 160,
-      stream: false
+      if (block.title) entry.title = block.title;
+      if (block.page) entry.page = block.page;
+      if (block.url) entry.url = block.url;
+      return entry;
     });
+  }
 
-    const choice = completion?.choices?.[0]?.message?.content || '';
-    const answer = ensureCompleteSentence(choice || "I could not assemble a confident answer this time.");
-
-    return {
-      answer,
-      sources: searchResults.map(r => ({ source: r.metadata.source, score: r.score.toFixed(3) })),
-      confidence: searchResults[0]?.score || 0
-    };
+  formatSources(searchResults) {
+    return searchResults.map(r => {
+      const url = r.metadata.url || r.metadata.metadata?.url || null;
+      const entry = { source: url || r.metadata.source, score: r.score.toFixed(3) };
+      const title = r.metadata.title || r.metadata.metadata?.title;
+      if (url && title) entry.title = title;
+      if (r.retrievers) entry.retrievers = r.retrievers;
+      if (typeof r.vectorScore === 'number') entry.vectorScore = r.vectorScore.toFixed(3);
+      if (typeof r.keywordScore === 'number') entry.keywordScore = r.keywordScore.toFixed(3);
+      if (typeof r.fusionScore === 'number') entry.fusionScore = r.fusionScore.toFixed(3);
+      if (typeof r.rerankScore === 'number') entry.rerankScore = r.rerankScore.toFixed(3);
+      if (r.comparisonProduct) entry.product = r.comparisonProduct;
+      return entry;
+    });
   }
 
+  /**
+   * Answer userQuery. options.searchQuery (a standalone rewrite of a follow-up) is what gets
+   * embedded and searched; the answer is still written for the user's own words.
+   */
   async query(userQuery, options = {}) {
     const start = Date.now();
-    const filter = options.filter || null;
-    const cacheKey = this.getCacheKey(userQuery, filter, { topK: options.topK, minScore: options.minScore });
+    // A malformed filter is the caller's mistake: throw a FilterError rather than relax it away.
+    const filter = validateFilter(options.filter || null);
+    const searchQuery = options.searchQuery || userQuery;
+    const cacheKey = this.getCacheKey(userQuery, filter, {
+      searchQuery,
+      comparison: options.comparison?.products,
+      topK: options.topK,
+      minScore: options.minScore,
+      hybrid: options.hybrid,
+      rerank: options.rerank,
+      context: options.context,
+      format: options.format,
+      language: options.language
+    });
 
     this.pruneCache(this.responseCache, this.CACHE_TTL);
 
@@ -410,52 +1055,132 @@ Context:\n${context}`;
       return { ...cached, latency: Date.now() - start, cached: true };
     }
 
-    let searchResults = [];
-    const originalFilter = options.filter || null;
+    let kbVersion = null;
 
     try {
-      searchResults = await this.search(userQuery, options);
+      await this.initialize();
+      kbVersion = this.kbVersion;
     } catch (error) {
-      console.error('❌ Primary FAISS search failed:', error.message);
+      console.error('❌ RAG engine initialization failed:', error.message);
     }
 
-    if (!searchResults.length && originalFilter) {
-      try {
-        console.log('🔁 No FAISS matches with filter; retrying without filter');
-        searchResults = await this.search(userQuery, { ...options, filter: null });
-      } catch (error) {
-        console.error('❌ Unfiltered FAISS retry failed:', error.message);
-      }
-    }
+    const { results: searchResults, filterStatus } = await this.retrieveForAnswer(searchQuery, options);
 
     if (!searchResults.length) {
       return {
-        answer: "I don’t have that information right now. For more details, please contact the HPE support team or your account representative directly.",
+        answer: this.prompts.render('noResults', {}, { language: options.language }),
         sources: [],
         confidence: 0,
         latency: Date.now() - start,
-        noResults: true
+        noResults: true,
+        filterStatus,
+        promptVersion: this.prompts.version
       };
     }
 
     const answer = await this.generateAnswer(userQuery, searchResults, {
       stream: options.stream,
-      onToken: options.onToken
+      onToken: options.onToken,
+      onSentence: options.onSentence,
+      context: options.context,
+      format: options.format,
+      language: options.language,
+      budget: options.budget,
+      history: options.history,
+      conversationHistory: options.conversationHistory
     });
 
     const result = {
       ...answer,
+      filterStatus,
       latency: Date.now() - start
     };
 
-    this.responseCache.set(cacheKey, {
-      ...answer,
-      timestamp: Date.now()
-    });
+    // Degraded answers are not kept: the next turn should get the model again once it is back.
+    if (kbVersion === this.kbVersion && !answer.degraded) {
+      this.responseCache.set(cacheKey, {
+        ...answer,
+        filterStatus,
+        timestamp: Date.now()
+      });
+    }
 
     return result;
   }
 
+  /**
+   * The retrieval half of query(): comparison or filtered search, then the unfiltered retry.
+   * Returns { results, filterStatus, retriedUnfiltered }.
+   */
+  async retrieveForAnswer(searchQuery, options = {}) {
+    let results = [];
+    const comparison = options.comparison?.queries?.length > 1 ? options.comparison : null;
+    const originalFilter = comparison ? null : options.filter || null;
+    let filterStatus = originalFilter || comparison ? 'honoured' : 'none';
+    let retriedUnfiltered = false;
+
+    try {
+      if (comparison) {
+        ({ results, filterStatus } = await this.searchComparison(comparison, options));
+      } else {
+        results = await this.search(searchQuery, options);
+      }
+    } catch (error) {
+      console.error('❌ Primary FAISS search failed:', error.message);
+    }
+
+    // The filtered search already scanned as far as minScore allows, so an empty result here
+    // means no matching chunk is relevant enough; answer from the whole KB and say so.
+    if (!results.length && originalFilter) {
+      try {
+        console.log('🔁 No chunk matching the filter scored above minScore; relaxing filter');
+        retriedUnfiltered = true;
+        results = await this.search(searchQuery, { ...options, filter: null });
+        filterStatus = 'relaxed';
+      } catch (error) {
+        console.error('❌ Unfiltered FAISS retry failed:', error.message);
+      }
+    }
+
+    return { results, filterStatus, retriedUnfiltered };
+  }
+
+  /**
+   * Dry run of query() for debugging: the same retrieval and context assembly, no answer.
+   * Returns every search attempt with its candidates, whether the unfiltered retry ran and
+   * the exact context text the model would have been given.
+   */
+  async explain(userQuery, options = {}) {
+    const start = Date.now();
+    const filter = validateFilter(options.filter || null);
+    const searchQuery = options.searchQuery || userQuery;
+    await this.initialize();
+
+    const attempts = [];
+    const { results, filterStatus, retriedUnfiltered } = await this.retrieveForAnswer(searchQuery, { ...options, trace: attempts });
+    const prompt = results.length ? this.preparePrompt(userQuery, results, options) : null;
+    const context = prompt ? prompt.context : { text: '', blocks: [] };
+
+    return {
+      query: userQuery,
+      searchQuery,
+      filter,
+      comparison: options.comparison?.products || null,
+      kbVersion: this.kbVersion,
+      filterStatus,
+      retriedUnfiltered,
+      noResults: results.length === 0,
+      attempts,
+      results: this.formatSources(results).map((source, idx) => ({ chunkId: results[idx].id, ...source })),
+      promptTokens: prompt?.tokens || null,
+      context: {
+        text: context.text,
+        blocks: context.blocks.map(({ citation, source, title, page, chunkIds, hitIds }) => ({ citation, source, title, page, chunkIds, hitIds }))
+      },
+      latency: Date.now() - start
+    };
+  }
+
   clearCache() {
     this.responseCache.clear();
     this.retrievalCache.clear();
@@ -469,18 +1194,26 @@ Context:\n${context}`;
       ...this.cacheStats,
       responseCacheSize: this.responseCache.size,
       retrievalCacheSize: this.retrievalCache.size,
-      embeddingCacheSize: this.embeddingCache.size
+      embeddingCacheSize: this.embeddingCache.size,
+      indexType: this.indexConfig.type,
+      searchParams: this.searchParams || {},
+      reranker: { enabled: this.rerankConfig.enabled, candidates: this.rerankConfig.candidates, ...this.reranker.getStatus() }
     };
   }
 
-  generateSDRDiscoveryResponse(query) {
+  /**
+   * Canned discovery line for a query (prompt messages discovery*). Triggers are English
+   * keywords; the line itself is rendered in `language` when the prompt version has a locale.
+   */
+  generateSDRDiscoveryResponse(query, language = DEFAULT_LANGUAGE) {
     const lowerQuery = query.toLowerCase();
+    const say = (name) => this.prompts.render(name, {}, { language });
     
     // RECOMMENDATION TRIGGER - Check if user is asking for specific server recommendations
     if ((lowerQuery.includes('which server') || lowerQuery.includes('tell me about') || lowerQuery.includes('recommend') || 
          lowerQuery.includes('what server') || lowerQuery.includes('best server')) &&
         (lowerQuery.includes('virtualization') || lowerQuery.includes('scalability') || lowerQuery.includes('availability'))) {
-      return this.generateServerRecommendation(lowerQuery);
+      return this.generateServerRecommendation(lowerQuery, language);
     }
     
     // RECOMMENDATION TRIGGER - When they have shared enough context (users + workloads + needs)
@@ -488,40 +1221,40 @@ Context:\n${context}`;
          lowerQuery.includes('developers') || lowerQuery.includes('operations')) &&
         (lowerQuery.includes('ai') || lowerQuery.includes('application') || lowerQuery.includes('saas') || 
          lowerQuery.includes('microservices') || lowerQuery.includes('database'))) {
-      return this.generateServerRecommendation(lowerQuery);
+      return this.generateServerRecommendation(lowerQuery, language);
     }
     
     // FOLLOW-UP after gathering info - User says "not yet" or asks for recommendations
     if (lowerQuery.includes('not yet') || lowerQuery.includes('can you not tell') || 
         lowerQuery.includes('should i use') || lowerQuery.includes('which servers')) {
-      return this.generateServerRecommendation(lowerQuery);
+      return this.generateServerRecommendation(lowerQuery, language);
     }
     
     // SDR Discovery - Banking CTO context
     if (lowerQuery.includes('bank') || lowerQuery.includes('cto')) {
-      return "Got it—you're a bank CTO. That's a great context! Banking customers often prioritize security with iLO Silicon Root of Trust, compliance features, and high availability. So I can point you in the right direction—what's driving your server evaluation right now? Are you looking at replacing aging infrastructure, expanding capacity, or addressing specific compliance requirements?";
+      return say('discoveryBank');
     }
     
     // General help request
     if (lowerQuery.includes('help') || lowerQuery.includes('assist')) {
-      return "Absolutely! I'd be happy to help you find the right ProLiant server solution. To get started, could you share a bit about your environment? For example, how many users you're supporting, what workloads you're running (VMs, databases, analytics), and whether you're looking at on-prem, hybrid, or modernizing current infrastructure?";
+      return say('discoveryHelp');
     }
     
     // Performance/Speed requests
     if (lowerQuery.includes('speed') || lowerQuery.includes('performance') || lowerQuery.includes('memory') || lowerQuery.includes('scalable')) {
-      return "That makes sense—speed, memory, and scalability are key priorities. Many customers see significant performance gains with Gen12 processors and DDR5 memory. To recommend the right configuration, what's your current environment like? Are you running virtualized workloads, and roughly how many users or VMs are we talking about?";
+      return say('discoveryPerformance');
     }
     
     // Server identification requests
     if (lowerQuery.includes('server') || lowerQuery.includes('identify') || lowerQuery.includes('best') || lowerQuery.includes('need')) {
-      return "Perfect! I can definitely help identify the best ProLiant server for your needs. To point you in the right direction, could you tell me about your workloads—are you running VMs, databases, analytics, or file services? And what's your current scale in terms of users or data volume?";
+      return say('discoveryServer');
     }
     
     // Default SDR opening
-    return "Thanks for reaching out! To help match you with the right ProLiant solution, may I ask a couple of quick questions? What type of workloads are you looking to support, and what's driving your server evaluation—growth, modernization, or replacing aging hardware?";
+    return say('discoveryOpening');
   }
 
-  generateServerRecommendation(queryContext) {
+  generateServerRecommendation(queryContext, language = DEFAULT_LANGUAGE) {
     const lowerContext = queryContext.toLowerCase();
     
     // Determine scale and workload from context
@@ -534,16 +1267,18 @@ Context:\n${context}`;
     let recommendation;
     
     if (isLargeScale && hasAI) {
-      recommendation = "DL384 Gen11 would be a strong starting point for you. For example, APAC Smart Choice configs like P84646-375 or P84648-375. Why this fits: Large-scale AI workloads with million+ users need DL384's GPU acceleration and 4U expansion capacity; iLO+COM streamline management across your distributed infrastructure.";
+      recommendation = 'recommendLargeAI';
     } else if (isMidScale && hasAI) {
-      recommendation = "DL380 Gen11 would be a strong starting point for you. For example, APAC Smart Choice configs like P84627-375 or P84628-375. Why this fits: AI development with microservices and SaaS platforms benefits from DL380's 2U expansion headroom; iLO and COM streamline DevOps automation and container orchestration.";
+      recommendation = 'recommendMidAI';
     } else if (hasVirtualization && (isMidScale || isLargeScale)) {
-      recommendation = "DL380 Gen11 would be a strong starting point for you. For example, APAC Smart Choice configs like P84626-375 or P84627-375. Why this fits: Virtualization with growth plans benefits from DL380's memory capacity and 2U expandability; iLO+COM enable centralized VM management and automated scaling.";
+      recommendation = 'recommendVirtualization';
     } else {
-      recommendation = "DL360 Gen11 would be a strong starting point for you. For example, APAC Smart Choice configs like P84654-375 or P84658-375. Why this fits: Mixed workloads with virtualization needs benefit from DL360's 1U density and performance; iLO+COM streamline policy management and updates.";
+      recommendation = 'recommendGeneral';
     }
     
-    return `Perfect! Based on what you've shared—your scale, AI/virtualization needs, and growth plans—${recommendation} We'll right-size cores, RAM, and storage with a human expert to nail the exact config. I can arrange a callback with a local HPE expert who can dive deeper. May I capture your details for follow-up?`;
+    return this.prompts.render('recommendation', {
+      recommendation: this.prompts.render(recommendation, {}, { language })
+    }, { language });
   }
 }
 
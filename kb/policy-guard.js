@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { splitSentences } from './groundedness.js';
+
+/**
+ * Scope rules the SDR must keep: no pricing, discounts, SLAs, contracts, competitors or
+ * non-ProLiant products. Rules live in versioned files under kb/policies/ (POLICY_VERSION).
+ * Before generation, checkInput() matches the user's turn against the input topics and names
+ * the reply template (a prompt message, so it is localized) for a redirect or callback offer.
+ * After generation, checkOutput() drops sentences that still quote prices, discounts or
+ * commitments. Every decision is appended to a JSONL audit log for sales compliance.
+ *
+ * Per rule, `except` phrases are ignored before matching ("cost of ownership" is not a
+ * pricing question) and `unless` patterns exempt the whole text ("Synergy with a DL380").
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_POLICIES_DIR = path.join(__dirname, 'policies');
+export const DEFAULT_POLICY_VERSION = 'scope-v1';
+export const DEFAULT_AUDIT_LOG = path.join(__dirname, '..', 'logs', 'policy-audit.jsonl');
+export const POLICY_ACTIONS = ['callback', 'redirect'];
+
+const RECENT_DECISIONS = 200;
+const EXCERPT_CHARS = 200;
+
+const compile = (patterns = [], label) => patterns.map(pattern => {
+  try {
+    return new RegExp(pattern, 'gi');
+  } catch (error) {
+    throw new Error(`Policy rule "${label}" has an invalid pattern ${pattern}: ${error.message}`);
+  }
+});
+
+const excerpt = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_CHARS ? `${flat.slice(0, EXCERPT_CHARS)}…` : flat;
+};
+
+/**
+ * What a rule matched in `text`, or [] when it does not apply.
+ */
+function matchRule(rule, text) {
+  const source = String(text || '');
+  if (rule.unless.some(pattern => source.match(pattern))) return [];
+  const scrubbed = rule.except.reduce((value, pattern) => value.replace(pattern, ' '), source);
+  return Array.from(new Set(rule.patterns.flatMap(pattern => scrubbed.match(pattern) || [])));
+}
+
+class PolicyGuard {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.version]  POLICY_VERSION, default scope-v1
+   * @param {string} [options.dir]  POLICIES_DIR, default kb/policies
+   * @param {string} [options.auditLog]  POLICY_AUDIT_LOG, default logs/policy-audit.jsonl; "off" keeps decisions in memory only
+   * @param {import('./prompt-library.js').default} [options.prompts]  checks that reply templates exist
+   */
+  constructor({
+    version = process.env.POLICY_VERSION || DEFAULT_POLICY_VERSION,
+    dir = process.env.POLICIES_DIR || DEFAULT_POLICIES_DIR,
+    auditLog = process.env.POLICY_AUDIT_LOG || DEFAULT_AUDIT_LOG,
+    prompts = null
+  } = {}) {
+    this.dir = dir;
+    this.version = version;
+    this.auditLog = auditLog === 'off' ? null : auditLog;
+    this.prompts = prompts;
+    this.recent = [];
+    this.counts = {};
+    this.writeChain = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read and compile the selected version. Bad patterns and unknown actions or templates fail
+   * at startup rather than mid-conversation.
+   */
+  load() {
+    const file = path.join(this.dir, `${this.version}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Policy version "${this.version}" not found in ${this.dir}`);
+    }
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.description = policy.description || '';
+
+    this.inputRules = (policy.input || []).map(rule => {
+      if (!POLICY_ACTIONS.includes(rule.action)) {
+        throw new Error(`Policy topic "${rule.topic}" has unknown action "${rule.action}" (expected ${POLICY_ACTIONS.join(' or ')})`);
+      }
+      return {
+        topic: rule.topic,
+        action: rule.action,
+        template: rule.template,
+        patterns: compile(rule.patterns, rule.topic),
+        except: compile(rule.except, rule.topic),
+        unless: compile(rule.unless, rule.topic)
+      };
+    });
+
+    this.outputTemplate = policy.output?.template || null;
+    this.outputRules = (policy.output?.rules || []).map(rule => ({
+      rule: rule.rule,
+      patterns: compile(rule.patterns, rule.rule),
+      except: compile(rule.except, rule.rule),
+      unless: compile(rule.unless, rule.rule)
+    }));
+
+    const templates = [...this.inputRules.map(rule => rule.template), this.outputTemplate].filter(Boolean);
+    const missing = this.prompts ? templates.filter(name => typeof this.prompts.templates[name] !== 'string') : [];
+    if (missing.length) {
+      throw new Error(`Policy "${this.version}" uses template(s) missing from prompt version "${this.prompts.version}": ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Decide on a user turn before it is routed.
+   * Returns { action: 'allow' } or { action, topic, template, matched } for the first topic hit.
+   */
+  checkInput(text) {
+    for (const rule of this.inputRules) {
+      const matched = matchRule(rule, text);
+      if (matched.length) {
+        return { action: rule.action, topic: rule.topic, template: rule.template, matched };
+      }
+    }
+    return { action: 'allow' };
+  }
+
+  /**
+   * Check one sentence of model output. Returns { sentence, rules, matched } or null.
+   */
+  screenSentence(sentence) {
+    const hits = this.outputRules
+      .map(rule => ({ rule: rule.rule, matched: matchRule(rule, sentence) }))
+      .filter(hit => hit.matched.length);
+    if (!hits.length) return null;
+    return { sentence, rules: hits.map(hit => hit.rule), matched: hits.flatMap(hit => hit.matched) };
+  }
+
+  /**
+   * Drop the sentences of an answer that quote prices, discounts or commitments.
+   * Returns { text, violations, template } where template is the line to offer instead
+   * (null when nothing was dropped).
+   */
+  checkOutput(text) {
+    const kept = [];
+    const violations = [];
+    for (const sentence of splitSentences(String(text || ''))) {
+      const violation = this.screenSentence(sentence);
+      if (violation) violations.push(violation);
+      else kept.push(sentence);
+    }
+    if (!violations.length) return { text, violations, template: null };
+    return { text: kept.join(' ').trim(), violations, template: this.outputTemplate };
+  }
+
+  /**
+   * Record a decision: kept in memory for /api/admin/policy-audit and appended to the audit log.
+   * @param {object} entry  { stage: 'input'|'output', action, userId, text, ... }
+   */
+  audit({ text, ...entry }) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      policyVersion: this.version,
+      ...entry,
+      ...(text !== undefined ? { excerpt: excerpt(text) } : {})
+    };
+
+    const key = `${record.stage}:${record.action}`;
+    this.counts[key] = (this.counts[key] || 0) + 1;
+    this.recent.push(record);
+    if (this.recent.length > RECENT_DECISIONS) this.recent.shift();
+
+    if (this.auditLog) {
+      const file = this.auditLog;
+      this.writeChain = this.writeChain
+        .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(record)}\n`))
+        .catch(error => console.error('⚠️ Policy audit write failed:', error.message));
+    }
+    return record;
+  }
+
+  recentDecisions(limit = 50) {
+    return this.recent.slice(-limit).reverse();
+  }
+
+  describe() {
+    return {
+      version: this.version,
+      description: this.description,
+      topics: this.inputRules.map(rule => ({ topic: rule.topic, action: rule.action, template: rule.template })),
+      outputRules: this.outputRules.map(rule => rule.rule),
+      auditLog: this.auditLog,
+      decisions: { ...this.counts }
+    };
+  }
+}
+
+export default PolicyGuard;
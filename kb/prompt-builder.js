@@ -0,0 +1,135 @@
+import { estimateTokens } from './context-builder.js';
+
+/**
+ * Token-budgeted prompt assembly. The model's window is shared by the system prompt, the
+ * retrieved context, the conversation history, the question and the answer it has to write.
+ * The system prompt, question and answer reserve are fixed; context gets the next claim (up
+ * to its own cap) and history whatever is left (up to its cap). When space runs out, the
+ * lowest-value pieces go first: the oldest turns are summarised, then dropped, and
+ * context keeps its best-ranked hits while lower-ranked hits and neighbour chunks are left out.
+ */
+
+export const DEFAULT_PROMPT_BUDGET = {
+  total: 4096,
+  history: 400
+};
+
+const SUMMARY_WORDS = 12;
+const SUMMARY_TURNS = 5;
+
+const historyLine = (message) => `${message.role === 'user' ? 'User' : 'You (SDR)'}: ${message.content}`;
+
+/**
+ * The history block appended to the system prompt. `summary` stands in for older turns.
+ */
+export function formatHistory(messages, summary = '') {
+  const lines = messages.map(historyLine);
+  if (summary) lines.unshift(summary);
+  if (!lines.length) return '';
+  return `\n\nPREVIOUS CONVERSATION:\n${lines.join('\n')}\n\nIMPORTANT: Use the information from the conversation above. DO NOT re-ask questions that were already answered!`;
+}
+
+/**
+ * One line standing in for older turns: the first words of the user's last few messages.
+ */
+export function summarizeTurns(messages) {
+  const said = messages
+    .filter(message => message.role === 'user')
+    .slice(-SUMMARY_TURNS)
+    .map(message => {
+      const words = String(message.content || '').trim().split(/\s+/);
+      return words.slice(0, SUMMARY_WORDS).join(' ') + (words.length > SUMMARY_WORDS ? '…' : '');
+    })
+    .filter(Boolean);
+  return said.length ? `(Earlier, the user said: ${said.map(text => `"${text}"`).join('; ')})` : '';
+}
+
+/**
+ * Keep the most recent turns verbatim within maxTokens; older turns are summarised in one
+ * line if that still fits, otherwise dropped.
+ * Returns { text, tokens, kept, summarized, dropped } (counts of messages).
+ */
+export function fitHistory(messages = [], maxTokens = DEFAULT_PROMPT_BUDGET.history) {
+  const empty = { text: '', tokens: 0, kept: 0, summarized: 0, dropped: messages.length };
+  if (!messages.length || maxTokens <= 0) return empty;
+
+  let start = messages.length;
+  while (start > 0 && estimateTokens(formatHistory(messages.slice(start - 1))) <= maxTokens) {
+    start -= 1;
+  }
+
+  let kept = messages.slice(start);
+  let older = messages.slice(0, start);
+  let summary = older.length ? summarizeTurns(older) : '';
+  // Make room for the summary by folding the oldest verbatim turns into it.
+  while (summary && kept.length > 1 && estimateTokens(formatHistory(kept, summary)) > maxTokens) {
+    older = messages.slice(0, older.length + 1);
+    kept = kept.slice(1);
+    summary = summarizeTurns(older);
+  }
+  if (summary && estimateTokens(formatHistory(kept, summary)) > maxTokens) summary = '';
+
+  const text = formatHistory(kept, summary);
+  if (!text) return empty;
+
+  // The summary covers the older turns from its earliest quoted user message on.
+  const userTurns = older.map((message, idx) => (message.role === 'user' ? idx : -1)).filter(idx => idx >= 0);
+  const summarizedFrom = summary ? userTurns[Math.max(0, userTurns.length - SUMMARY_TURNS)] : older.length;
+  return {
+    text,
+    tokens: estimateTokens(text),
+    kept: kept.length,
+    summarized: older.length - summarizedFrom,
+    dropped: summarizedFrom
+  };
+}
+
+/**
+ * Build the chat messages for an answer within budget.total tokens.
+ * @param {object} options
+ * @param {string} options.query
+ * @param {(context: string) => string} options.renderSystem  system prompt around a context text
+ * @param {(tokenBudget: number) => { text: string, blocks: object[] }} options.assemble  context within a budget
+ * @param {number} options.contextMax  configured context budget (RAG_CONTEXT_TOKENS)
+ * @param {number} [options.hitCount]  search hits offered to assemble(), to report how many were left out
+ * @param {object[]} [options.history]  raw { role, content } turns, oldest first
+ * @param {string} [options.conversationHistory]  pre-formatted history, used as-is
+ * @param {{ total: number, history: number, answer: number }} options.budget
+ * Returns { messages, context, tokens } where tokens is the per-part breakdown.
+ */
+export function buildPrompt({ query, renderSystem, assemble, contextMax, hitCount = 0, history = null, conversationHistory = '', budget }) {
+  const systemTokens = estimateTokens(renderSystem(''));
+  const queryTokens = estimateTokens(query);
+  let remaining = budget.total - systemTokens - queryTokens - budget.answer;
+
+  // The best hit is always included, even when that overruns the budget.
+  const context = assemble(Math.max(0, Math.min(contextMax, remaining)));
+  const contextTokens = estimateTokens(context.text);
+  const usedHits = new Set(context.blocks.flatMap(block => block.hitIds || [])).size;
+  remaining -= contextTokens;
+
+  const fitted = Array.isArray(history)
+    ? fitHistory(history, Math.max(0, Math.min(budget.history, remaining)))
+    : { text: conversationHistory || '', tokens: estimateTokens(conversationHistory), kept: null, summarized: 0, dropped: 0 };
+
+  const used = systemTokens + contextTokens + fitted.tokens + queryTokens + budget.answer;
+  return {
+    messages: [
+      { role: 'system', content: renderSystem(context.text) + fitted.text },
+      { role: 'user', content: query }
+    ],
+    context,
+    tokens: {
+      budget: budget.total,
+      system: systemTokens,
+      context: contextTokens,
+      history: fitted.tokens,
+      query: queryTokens,
+      answer: budget.answer,
+      total: used,
+      overBudget: used > budget.total,
+      historyMessages: { kept: fitted.kept, summarized: fitted.summarized, dropped: fitted.dropped },
+      contextHits: { used: usedHits, dropped: Math.max(0, hitCount - usedHits) }
+    }
+  };
+}
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Versioned prompts and persona. Each version is a directory under kb/prompts/ holding a
+ * prompt.json (persona, generation settings, greeting and fallback lines) and the template
+ * files it names. Templates use {{variable}} placeholders filled from the persona and from
+ * values supplied at render time. The deployment picks a version with PROMPT_VERSION.
+ * A version may ship locales (locales/<language>.json) translating its messages; lines a
+ * locale leaves out are rendered in English.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'prompts');
+export const DEFAULT_PROMPT_VERSION = 'sdr-v1';
+
+// Values only known when a template is rendered; everything else must come from the persona.
+const RUNTIME_VARIABLES = {
+  system: ['context', 'citationInstructions'],
+  repeatWithFacts: ['facts'],
+  answerLanguage: ['languageName'],
+  recommendation: ['recommendation']
+};
+
+const REQUIRED_MESSAGES = [
+  'greeting', 'noResults', 'clarify', 'error', 'repeatWithFacts', 'repeatWithoutFacts', 'ungrounded', 'extractiveLead', 'answerLanguage',
+  'discoveryBank', 'discoveryHelp', 'discoveryPerformance', 'discoveryServer', 'discoveryOpening',
+  'recommendation', 'recommendLargeAI', 'recommendMidAI', 'recommendVirtualization', 'recommendGeneral',
+  'leadCapture', 'leadDeclined', 'handoff', 'handoffClosing'
+];
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const placeholdersIn = (template) => Array.from(template.matchAll(PLACEHOLDER), match => match[1]);
+
+class PromptLibrary {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.version]  PROMPT_VERSION, default sdr-v1
+   * @param {string} [options.dir]  PROMPTS_DIR, default kb/prompts
+   */
+  constructor({ version = process.env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION, dir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR } = {}) {
+    this.dir = dir;
+    this.version = version;
+    this.load();
+  }
+
+  listVersions() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(this.dir, entry.name, 'prompt.json')))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  /**
+   * Read and check the selected version. Unknown versions and templates that use a variable
+   * nobody supplies fail here, at startup, rather than mid-conversation.
+   */
+  load() {
+    const versionDir = path.join(this.dir, this.version);
+    const manifestFile = path.join(versionDir, 'prompt.json');
+    if (!fs.existsSync(manifestFile)) {
+      const available = this.listVersions();
+      throw new Error(`Prompt version "${this.version}" not found in ${this.dir} (available: ${available.join(', ') || 'none'})`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    this.description = manifest.description || '';
+    this.persona = manifest.persona || {};
+    this.generation = { temperature: 0.3, maxTokens: 160, ...manifest.generation };
+    this.templates = { ...manifest.messages };
+    for (const [name, file] of Object.entries(manifest.templates || {})) {
+      this.templates[name] = fs.readFileSync(path.join(versionDir, file), 'utf8').replace(/\n$/, '');
+    }
+
+    const missing = ['system', ...REQUIRED_MESSAGES].filter(name => typeof this.templates[name] !== 'string');
+    if (missing.length) {
+      throw new Error(`Prompt version "${this.version}" is missing: ${missing.join(', ')}`);
+    }
+    this.checkVariables(this.templates, this.version);
+
+    this.locales = {};
+    for (const [language, file] of Object.entries(manifest.locales || {})) {
+      const messages = JSON.parse(fs.readFileSync(path.join(versionDir, file), 'utf8')).messages || {};
+      const unknown = Object.keys(messages).filter(name => typeof this.templates[name] !== 'string');
+      if (unknown.length) {
+        throw new Error(`Prompt locale "${this.version}/${language}" translates unknown message(s): ${unknown.join(', ')}`);
+      }
+      this.checkVariables(messages, `${this.version}/${language}`);
+      this.locales[language] = messages;
+    }
+  }
+
+  checkVariables(templates, label) {
+    for (const [name, template] of Object.entries(templates)) {
+      const known = new Set([...Object.keys(this.persona), ...(RUNTIME_VARIABLES[name] || [])]);
+      const unknown = placeholdersIn(template).filter(variable => !known.has(variable));
+      if (unknown.length) {
+        throw new Error(`Prompt "${label}/${name}" uses undefined variable(s): ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  get languages() {
+    return ['en', ...Object.keys(this.locales)];
+  }
+
+  /**
+   * Fill a template's placeholders from the persona and `variables` (variables win).
+   * Substituted values are not scanned again, so retrieved text containing "{{" is safe.
+   * options.language picks the locale's translation when it has one.
+   */
+  render(name, variables = {}, { language = 'en' } = {}) {
+    const template = this.locales[language]?.[name] ?? this.templates[name];
+    if (typeof template !== 'string') {
+      throw new Error(`Prompt "${this.version}" has no template "${name}"`);
+    }
+    const values = { ...this.persona, ...variables };
+    return template.replace(PLACEHOLDER, (match, variable) => {
+      if (values[variable] === undefined || values[variable] === null) {
+        throw new Error(`Prompt "${this.version}/${name}" needs a value for {{${variable}}}`);
+      }
+      return String(values[variable]);
+    });
+  }
+
+  /**
+   * Lines the assistant falls back on; responses starting with them are not worth caching.
+   */
+  fallbackMessages() {
+    return this.languages.flatMap(language => ['noResults', 'clarify', 'error'].map(name => this.render(name, {}, { language })));
+  }
+
+  describe() {
+    return {
+      version: this.version,
+      description: this.description,
+      persona: this.persona,
+      languages: this.languages,
+      available: this.listVersions()
+    };
+  }
+}
+
+export default PromptLibrary;
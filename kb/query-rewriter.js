@@ -0,0 +1,179 @@
+import { tokenize } from './bm25-index.js';
+
+/**
+ * Query condensation for follow-up questions.
+ * "what about its memory?" or "and the 1U one?" only make sense next to the previous turn;
+ * embedded verbatim they retrieve nothing useful. This rewrites them into standalone search
+ * queries, carrying the product under discussion forward so the product filter follows too.
+ */
+
+// Ellipsis ("what about ...", "and ...") and references to a product already discussed ("the
+// 1U one", "that server"). Length alone is no cue: "GPU support matrix" is a complete query,
+// however short.
+const FOLLOW_UP_PATTERNS = [
+  /^(and|also|plus|ok(ay)?,? and|so)\b/i,
+  /^(what|how) about\b/i,
+  /^same (for|with)\b/i,
+  /^tell me more\b/i,
+  /\bthe (1u|2u|4u|tower|rack|other|smaller|bigger|larger) (one|model|server|option)\b/i,
+  /\b(this|that|the same) (server|model|box|system)\b/i
+];
+
+// Pronouns only point back at the conversation when the question has no noun phrase of its
+// own for them to refer to: "does it support GPUs?" is a follow-up, "if a drive fails, can I
+// swap it?" and "we have 300 users and they need VDI" are not. Only the first letter may be a
+// capital, so "our IT team" is no pronoun.
+const PRONOUN_PATTERN = /\b(?:[Ii]ts?|[Tt]hey|[Tt]hem|[Tt]heir|[Tt]his one|[Tt]hat one|[Ww]hich one|[Tt]hese|[Tt]hose)\b/;
+const ANTECEDENT_PATTERN = /\b(?:our|my|your|an?|each|every|all|\d+)\s+[a-z][\w-]*/i;
+
+// Form factors used to resolve "the 1U one" against the products already discussed.
+const FORM_FACTORS = {
+  DL20: '1u',
+  DL360: '1u',
+  DL380: '2u',
+  DL580: '4u',
+  ML30: 'tower',
+  ML350: 'tower'
+};
+
+const COURTESY_PATTERN = /^(thanks|thank you|ok|okay|yes|no|sure|great|cool|bye|hi|hello)\b/i;
+const PRODUCT_PATTERN = /\b(?:dl|ml)\s?\d+a?\b/gi;
+const FILLER_TERMS = new Set(['also', 'plus', 'same', 'one', 'model', 'server', 'option', 'other', 'ok', 'okay', 'so']);
+
+export const REWRITE_MODES = ['off', 'heuristic', 'llm'];
+
+class QueryRewriter {
+  /**
+   * @param {object} options
+   * @param {(text: string) => string[]} options.detectProducts  products mentioned in a text, in order
+   * @param {object} [options.llm]  LLMGateway (kb/llm-provider.js), only needed for mode "llm";
+   *   uses its "rewrite" route
+   * @param {string} [options.mode]  off | heuristic | llm (RAG_QUERY_REWRITE, default heuristic)
+   */
+  constructor({ detectProducts, llm = null, mode = process.env.RAG_QUERY_REWRITE } = {}) {
+    this.detectProducts = detectProducts || (() => []);
+    this.llm = llm;
+    this.mode = REWRITE_MODES.includes(mode) ? mode : 'heuristic';
+  }
+
+  isFollowUp(query) {
+    const text = String(query || '').trim();
+    if (!text || COURTESY_PATTERN.test(text) || this.detectProducts(text).length) return false;
+    if (FOLLOW_UP_PATTERNS.some(pattern => pattern.test(text))) return true;
+    const pronoun = PRONOUN_PATTERN.exec(text);
+    return Boolean(pronoun) && !ANTECEDENT_PATTERN.test(text.slice(0, pronoun.index));
+  }
+
+  /**
+   * Products mentioned in the conversation, most recent first. Products the user named come
+   * before ones the assistant brought up, since "it" usually points at the user's own topic.
+   */
+  productsInHistory(history = []) {
+    const seen = [];
+    const collect = (role) => {
+      for (let i = history.length - 1; i >= 0; i -= 1) {
+        if ((history[i].role === 'user') !== (role === 'user')) continue;
+        const products = this.detectProducts(history[i].content);
+        for (let j = products.length - 1; j >= 0; j -= 1) {
+          if (!seen.includes(products[j])) seen.push(products[j]);
+        }
+      }
+    };
+    collect('user');
+    collect('assistant');
+    return seen;
+  }
+
+  resolveProduct(query, candidates) {
+    const reference = query.match(/\bthe (1u|2u|4u|tower|other) (?:one|model|server|option)\b/i)?.[1]?.toLowerCase();
+    if (reference === 'other') return candidates[1] || candidates[0];
+    if (reference) {
+      return candidates.find(product => FORM_FACTORS[product] === reference)
+        || Object.keys(FORM_FACTORS).find(product => FORM_FACTORS[product] === reference)
+        || candidates[0];
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Rewrite a follow-up into a standalone search query.
+   * Returns { original, rewritten, product, method: 'none' | 'heuristic' | 'llm', reason }.
+   */
+  async rewrite(query, { history = [], previousQuery = null } = {}) {
+    const result = { original: query, rewritten: query, product: null, method: 'none', reason: null };
+
+    if (this.mode === 'off') return { ...result, reason: 'disabled' };
+    if (!history.length) return { ...result, reason: 'no history' };
+    if (!this.isFollowUp(query)) return { ...result, reason: 'standalone' };
+
+    const candidates = this.productsInHistory(history);
+    if (!candidates.length) return { ...result, reason: 'no product in history' };
+
+    const product = this.resolveProduct(query, candidates);
+
+    if (this.mode === 'llm' && this.llm) {
+      try {
+        const rewritten = await this.rewriteWithLLM(query, history);
+        if (rewritten) {
+          return { ...result, rewritten, product: this.detectProducts(rewritten)[0] || product, method: 'llm', reason: 'follow-up' };
+        }
+      } catch (error) {
+        console.warn('⚠️  LLM query rewrite failed, using heuristic:', error.message);
+      }
+    }
+
+    return {
+      ...result,
+      rewritten: this.rewriteHeuristically(query, product, previousQuery),
+      product,
+      method: 'heuristic',
+      reason: 'follow-up'
+    };
+  }
+
+  rewriteHeuristically(query, product, previousQuery) {
+    const text = query.trim();
+
+    // "and the 1U one?" carries no topic of its own: repeat the previous question for the new product.
+    const topicTerms = tokenize(text).filter(term => !FILLER_TERMS.has(term) && !/^(1u|2u|4u|tower|rack|it|its|they|them|their|these|those)$/.test(term));
+    if (!topicTerms.length && previousQuery) {
+      return previousQuery.search(PRODUCT_PATTERN) === -1
+        ? `${product} ${previousQuery}`
+        : previousQuery.replace(PRODUCT_PATTERN, product);
+    }
+
+    let rewritten = text
+      .replace(/\bthe (1u|2u|4u|tower|rack|other|smaller|bigger|larger) (one|model|server|option)\b/i, `the ${product}`)
+      .replace(/\b(this|that|the same) (server|model|box|system)\b/i, `the ${product}`)
+      .replace(/\b[Ii]ts\b/, `the ${product}'s`)
+      .replace(/\b([Tt]his one|[Tt]hat one|[Ii]t)\b/, `the ${product}`);
+
+    if (!rewritten.includes(product)) {
+      rewritten = `${product} ${rewritten}`;
+    }
+    return rewritten;
+  }
+
+  async rewriteWithLLM(query, history) {
+    const transcript = history
+      .slice(-4)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    const completion = await this.llm.complete('rewrite', {
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the user\'s last message into a standalone search query about HPE ProLiant servers. Name the product explicitly. Reply with the query only.'
+        },
+        { role: 'user', content: `Conversation:\n${transcript}\n\nLast message: ${query}` }
+      ],
+      temperature: 0,
+      maxTokens: 60
+    });
+
+    return completion.text.trim().replace(/^"|"$/g, '') || null;
+  }
+}
+
+export default QueryRewriter;
@@ -0,0 +1,86 @@
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
+
+const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const MAX_PASSAGE_CHARS = 1200;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Local cross-encoder reranker. Scores (query, passage) pairs jointly, which orders the
+ * handful of candidates that reach the prompt far better than bi-encoder inner products.
+ * If the model cannot be loaded the reranker disables itself and callers keep the
+ * original order.
+ */
+class CrossEncoderReranker {
+  constructor(options = {}) {
+    this.modelId = options.modelId || process.env.RAG_RERANK_MODEL || DEFAULT_RERANK_MODEL;
+    this.tokenizer = null;
+    this.model = null;
+    this.loadPromise = null;
+    this.unavailableReason = null;
+  }
+
+  get isAvailable() {
+    return !this.unavailableReason;
+  }
+
+  async load() {
+    if (this.model) return true;
+    if (this.unavailableReason) return false;
+
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        console.log(`📦 Loading cross-encoder reranker (${this.modelId})...`);
+        const quantized = process.env.TRANSFORMERS_QUANTIZED === 'true';
+        this.tokenizer = await AutoTokenizer.from_pretrained(this.modelId);
+        this.model = await AutoModelForSequenceClassification.from_pretrained(this.modelId, { quantized });
+        console.log('✅ Reranker ready');
+        return true;
+      })().catch(error => {
+        this.unavailableReason = error.message;
+        console.warn(`⚠️  Reranker unavailable, keeping retrieval order: ${error.message}`);
+        return false;
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Re-score candidates against the query. Returns a new array sorted by rerankScore
+   * (0–1), or the input unchanged when the model is unavailable or inference fails.
+   */
+  async rerank(query, candidates, textOf = (candidate) => candidate.metadata?.text || '') {
+    if (!candidates.length) return candidates;
+    if (!(await this.load())) return candidates;
+
+    try {
+      const passages = candidates.map(candidate => textOf(candidate).slice(0, MAX_PASSAGE_CHARS));
+      const features = this.tokenizer(new Array(passages.length).fill(query), {
+        text_pair: passages,
+        padding: true,
+        truncation: true
+      });
+      const { logits } = await this.model(features);
+      const scores = Array.from(logits.data);
+
+      return candidates
+        .map((candidate, idx) => ({ ...candidate, rerankScore: sigmoid(scores[idx]) }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+    } catch (error) {
+      console.warn('⚠️  Reranking failed, keeping retrieval order:', error.message);
+      return candidates;
+    }
+  }
+
+  getStatus() {
+    return {
+      model: this.modelId,
+      loaded: Boolean(this.model),
+      available: this.isAvailable,
+      error: this.unavailableReason
+    };
+  }
+}
+
+export default CrossEncoderReranker;
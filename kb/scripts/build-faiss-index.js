@@ -3,7 +3,20 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { pipeline } from '@xenova/transformers';
-import faiss from 'faiss-node';
+import { INDEX_TYPES, resolveIndexParams, createIndex, writeIndex } from '../faiss-index-io.js';
+import BM25Index, { keywordText } from '../bm25-index.js';
+import { ingestSources } from './ingest-sources.js';
+import { resolveEmbeddingModel } from '../language.js';
+import {
+  hashContent,
+  fingerprintDocuments,
+  diffDocuments,
+  loadPreviousBuild,
+  writeFileAtomic,
+  writeEmbeddings,
+  writeManifest,
+  printDiffReport
+} from './index-manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,10 +36,18 @@ const argMap = args.reduce((acc, arg) => {
 const CHUNK_SIZE = Number(argMap.chunkSize || process.env.CHUNK_SIZE || 700);
 const CHUNK_OVERLAP = Number(argMap.chunkOverlap || process.env.CHUNK_OVERLAP || 120);
 const SOURCE_FILE = argMap.source || process.env.CHUNK_SOURCE || 'chunks.json';
-const MODEL_ID = argMap.model || process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+// --model=english, multilingual or a model id; a multilingual index lets non-English questions find English chunks.
+const MODEL_ID = resolveEmbeddingModel(argMap.model || process.env.EMBEDDING_MODEL);
 const INDEX_TYPE = (argMap.index || process.env.FAISS_INDEX_TYPE || 'flat').toLowerCase();
-
-const { IndexFlatIP } = faiss;
+const INGEST = (argMap.ingest || process.env.KB_INGEST || 'true').toLowerCase() !== 'false';
+const INDEX_OVERRIDES = {
+  nlist: argMap.nlist || process.env.FAISS_NLIST,
+  nprobe: argMap.nprobe || process.env.FAISS_NPROBE,
+  hnswM: argMap.hnswM || process.env.FAISS_HNSW_M,
+  efConstruction: argMap.efConstruction || process.env.FAISS_EF_CONSTRUCTION,
+  efSearch: argMap.efSearch || process.env.FAISS_EF_SEARCH
+};
+const FULL_REBUILD = (argMap.full || process.env.FAISS_FULL_REBUILD || 'false').toLowerCase() === 'true';
 
 const toArray = (value) => {
   if (Array.isArray(value)) return value;
@@ -59,6 +80,16 @@ function chunkText(text, size, overlap) {
 async function main() {
   console.log('🔄 Building FAISS index (offline)...');
 
+  if (!INDEX_TYPES.includes(INDEX_TYPE)) {
+    throw new Error(`Unsupported index type "${INDEX_TYPE}". Use one of: ${INDEX_TYPES.join(', ')}.`);
+  }
+
+  if (INGEST) {
+    await ingestSources({ outputPath: path.join(dataRoot, SOURCE_FILE) });
+  } else {
+    console.log(`ℹ️  Skipping source ingestion; using existing ${SOURCE_FILE}`);
+  }
+
   if (!fs.existsSync(dataRoot)) {
     throw new Error(`Processed data folder not found: ${dataRoot}`);
   }
@@ -83,6 +114,10 @@ async function main() {
       : {};
 
     const baseId = doc.id || baseMeta.id || baseMeta.chunk_id || doc.source || 'doc';
+    const baseDocumentId = doc.document_id || baseMeta.document_id || null;
+    const baseSourceType = doc.source_type || baseMeta.source_type || null;
+    const baseUrl = doc.url || baseMeta.url || null;
+    const baseTitle = doc.title || baseMeta.title || null;
     const baseSource = doc.source
       || baseMeta.source
       || baseMeta.source_document
@@ -136,6 +171,10 @@ async function main() {
         id: `${baseId}_${idx}`,
         text: chunk,
         source: baseSource,
+        document_id: baseDocumentId,
+        source_type: baseSourceType,
+        url: baseUrl,
+        title: baseTitle,
         product: primaryProduct,
         category: baseCategory,
         document_type: baseDocumentType,
@@ -157,57 +196,101 @@ async function main() {
 
   console.log(`🪓 Re-chunked into ${expanded.length} embedding segments (size ${CHUNK_SIZE}, overlap ${CHUNK_OVERLAP})`);
 
-  console.log(`📦 Loading embedding model: ${MODEL_ID}`);
-  const embedder = await pipeline('feature-extraction', MODEL_ID, {
-    quantized: process.env.TRANSFORMERS_QUANTIZED === 'true',
-    progress_callback: null
-  });
+  for (const chunk of expanded) {
+    chunk.content_hash = hashContent(chunk.text);
+  }
 
-  const embeddings = [];
-  const vectors = [];
-  const batchSize = Number(argMap.batchSize || process.env.EMBED_BATCH || 32);
-
-  for (let i = 0; i < expanded.length; i += batchSize) {
-    const batch = expanded.slice(i, i + batchSize);
-    console.log(`   ⏳ Embedding batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(expanded.length / batchSize)}`);
-    for (const chunk of batch) {
-      const result = await embedder(chunk.text, { pooling: 'mean', normalize: true });
-      const vector = Array.from(result.data);
-      if (!vector.length) {
-        throw new Error('Empty embedding encountered.');
+  const fingerprints = fingerprintDocuments(expanded);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Stored vectors are only reusable if they were produced by the same model over the same chunking.
+  let previous = FULL_REBUILD ? null : loadPreviousBuild(outputDir);
+  if (previous) {
+    const { manifest } = previous;
+    if (manifest.model !== MODEL_ID || manifest.chunkSize !== CHUNK_SIZE || manifest.chunkOverlap !== CHUNK_OVERLAP) {
+      console.log('ℹ️  Model or chunking changed since last build; re-embedding everything.');
+      previous = null;
+    }
+  }
+  console.log(previous
+    ? `♻️  Incremental build against ${previous.manifest.rows.length} stored vectors`
+    : '🆕 Full build (no reusable vectors)');
+
+  const diff = diffDocuments(previous?.manifest.documents || {}, fingerprints);
+  const reusable = previous?.vectors || new Map();
+  const pending = expanded.filter(chunk => !reusable.has(chunk.content_hash));
+
+  const indexParams = resolveIndexParams(INDEX_TYPE, expanded.length, INDEX_OVERRIDES);
+
+  const unchanged = previous
+    && previous.manifest.indexType === INDEX_TYPE
+    && JSON.stringify(previous.manifest.indexParams) === JSON.stringify(indexParams)
+    && !pending.length
+    && !diff.added.length && !diff.updated.length && !diff.removed.length;
+
+  if (unchanged) {
+    printDiffReport(diff, { embedded: 0, reused: expanded.length });
+    console.log('✅ Knowledge base unchanged; index left as is.');
+    return;
+  }
+
+  const fresh = new Map();
+  if (pending.length) {
+    console.log(`📦 Loading embedding model: ${MODEL_ID}`);
+    const embedder = await pipeline('feature-extraction', MODEL_ID, {
+      quantized: process.env.TRANSFORMERS_QUANTIZED === 'true',
+      progress_callback: null
+    });
+
+    const batchSize = Number(argMap.batchSize || process.env.EMBED_BATCH || 32);
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      console.log(`   ⏳ Embedding batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(pending.length / batchSize)}`);
+      for (const chunk of batch) {
+        if (fresh.has(chunk.content_hash)) continue;
+        const result = await embedder(chunk.text, { pooling: 'mean', normalize: true });
+        const vector = Array.from(result.data);
+        if (!vector.length) {
+          throw new Error('Empty embedding encountered.');
+        }
+        fresh.set(chunk.content_hash, Float32Array.from(vector));
       }
-      vectors.push(Float32Array.from(vector));
-      embeddings.push({
-        id: chunk.id,
-        text: chunk.text,
-        source: chunk.source,
-        product: chunk.product,
-        category: chunk.category,
-        document_type: chunk.document_type,
-        topics: chunk.topics,
-        referenced_products: chunk.referenced_products,
-        key_features: chunk.key_features,
-        use_cases: chunk.use_cases,
-        search_keywords: chunk.search_keywords,
-        tags: chunk.tags,
-        metadata: chunk.metadata
-      });
     }
   }
 
+  const embeddings = [];
+  const vectors = [];
+  for (const chunk of expanded) {
+    vectors.push(fresh.get(chunk.content_hash) || reusable.get(chunk.content_hash));
+    embeddings.push({
+      id: chunk.id,
+      text: chunk.text,
+      source: chunk.source,
+      document_id: chunk.document_id,
+      source_type: chunk.source_type,
+      url: chunk.url,
+      title: chunk.title,
+      product: chunk.product,
+      category: chunk.category,
+      document_type: chunk.document_type,
+      topics: chunk.topics,
+      referenced_products: chunk.referenced_products,
+      key_features: chunk.key_features,
+      use_cases: chunk.use_cases,
+      search_keywords: chunk.search_keywords,
+      tags: chunk.tags,
+      content_hash: chunk.content_hash,
+      metadata: chunk.metadata
+    });
+  }
+
   const dimension = vectors[0].length;
   console.log(`📐 Embedding dimension detected: ${dimension}`);
 
-  let index;
-  switch (INDEX_TYPE) {
-    case 'flat':
-      index = new IndexFlatIP(dimension);
-      break;
-    default:
-      console.warn(`⚠️  Unsupported index type "${INDEX_TYPE}". Falling back to IndexFlatIP.`);
-      index = new IndexFlatIP(dimension);
-  }
-
   const flattened = [];
   for (const vector of vectors) {
     for (let i = 0; i < vector.length; i += 1) {
@@ -215,21 +298,36 @@ async function main() {
     }
   }
 
-  console.log('📥 Adding vectors to FAISS index...');
-  index.add(flattened);
-
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
+  console.log(`📥 Adding vectors to FAISS ${INDEX_TYPE} index (${indexParams.factory})...`);
+  const index = createIndex(INDEX_TYPE, dimension, flattened, indexParams);
 
   const indexPath = path.join(outputDir, 'vectors.index');
   const metadataPath = path.join(outputDir, 'metadata.json');
+  const keywordIndexPath = path.join(outputDir, 'keyword-index.json');
   const configPath = path.join(outputDir, 'index-config.json');
 
-  index.write(indexPath);
-  fs.writeFileSync(metadataPath, JSON.stringify(embeddings, null, 2));
-  fs.writeFileSync(configPath, JSON.stringify({
+  console.log('🔤 Building BM25 keyword index...');
+  const keywordIndex = BM25Index.build(embeddings.map(keywordText));
+
+  // Index, metadata, keyword index and stored embeddings are row-aligned; each is swapped in whole.
+  writeFileAtomic(indexPath, tmpPath => writeIndex(index, tmpPath));
+  writeFileAtomic(metadataPath, JSON.stringify(embeddings, null, 2));
+  writeFileAtomic(keywordIndexPath, JSON.stringify(keywordIndex));
+  writeEmbeddings(outputDir, vectors);
+  writeManifest(outputDir, {
+    model: MODEL_ID,
+    dimension,
+    chunkSize: CHUNK_SIZE,
+    chunkOverlap: CHUNK_OVERLAP,
+    indexType: INDEX_TYPE,
+    indexParams,
+    rows: expanded.map(chunk => chunk.content_hash),
+    documents: fingerprints,
+    updatedAt: new Date().toISOString()
+  });
+  writeFileAtomic(configPath, JSON.stringify({
     type: INDEX_TYPE,
+    ...indexParams,
     dimension,
     chunkSize: CHUNK_SIZE,
     chunkOverlap: CHUNK_OVERLAP,
@@ -237,9 +335,12 @@ async function main() {
     createdAt: new Date().toISOString()
   }, null, 2));
 
+  printDiffReport(diff, { embedded: fresh.size, reused: expanded.length - pending.length });
+
   console.log('✅ FAISS index build complete');
   console.log(`   • Index:    ${indexPath}`);
   console.log(`   • Metadata: ${metadataPath}`);
+  console.log(`   • Keywords: ${keywordIndexPath}`);
   console.log(`   • Config:   ${configPath}`);
 }
 
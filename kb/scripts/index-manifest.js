@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const EMBEDDINGS_FILE = 'embeddings.bin';
+
+export const hashContent = (value) => crypto
+  .createHash('sha256')
+  .update(typeof value === 'string' ? value : JSON.stringify(value))
+  .digest('hex');
+
+/**
+ * Key that groups chunks back into the source document they were cut from.
+ */
+export function documentKey(chunk) {
+  return chunk.document_id
+    || chunk.metadata?.document_id
+    || chunk.url
+    || chunk.source
+    || chunk.metadata?.original_id
+    || chunk.id;
+}
+
+/**
+ * Fingerprint every document in the expanded chunk list. A document's fingerprint covers
+ * the text of all of its chunks plus its metadata, so retagging a brochure in
+ * kb/metadata.json shows up as an update even though no vector has to change.
+ */
+export function fingerprintDocuments(chunks) {
+  const documents = new Map();
+  for (const chunk of chunks) {
+    const key = documentKey(chunk);
+    if (!documents.has(key)) {
+      documents.set(key, { source: chunk.source, chunks: [], metadataHashes: [] });
+    }
+    const doc = documents.get(key);
+    doc.chunks.push(chunk.content_hash);
+    const { text, id, content_hash: contentHash, ...rest } = chunk;
+    doc.metadataHashes.push(hashContent(rest));
+  }
+
+  const result = {};
+  for (const [key, doc] of documents.entries()) {
+    result[key] = {
+      source: doc.source,
+      fingerprint: hashContent([...doc.chunks, ...doc.metadataHashes].join('|')),
+      chunks: doc.chunks
+    };
+  }
+  return result;
+}
+
+/**
+ * Compare two fingerprint maps and classify every document.
+ */
+export function diffDocuments(previous = {}, next = {}) {
+  const diff = { added: [], updated: [], removed: [], unchanged: [] };
+  for (const [key, doc] of Object.entries(next)) {
+    const before = previous[key];
+    if (!before) diff.added.push(key);
+    else if (before.fingerprint !== doc.fingerprint) diff.updated.push(key);
+    else diff.unchanged.push(key);
+  }
+  for (const key of Object.keys(previous)) {
+    if (!next[key]) diff.removed.push(key);
+  }
+  return diff;
+}
+
+/**
+ * Load the previous build's manifest and its stored embeddings as a content-hash → vector map.
+ * Returns null when there is nothing reusable (first build or a corrupt/partial output folder).
+ */
+export function loadPreviousBuild(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  const embeddingsPath = path.join(outputDir, EMBEDDINGS_FILE);
+  if (!fs.existsSync(manifestPath) || !fs.existsSync(embeddingsPath)) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const buffer = fs.readFileSync(embeddingsPath);
+    const floats = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+    const { dimension, rows = [] } = manifest;
+
+    if (!dimension || floats.length !== rows.length * dimension) {
+      console.warn('⚠️  Stored embeddings do not match manifest; ignoring previous build.');
+      return null;
+    }
+
+    const vectors = new Map();
+    rows.forEach((hash, row) => {
+      if (!vectors.has(hash)) {
+        vectors.set(hash, Float32Array.from(floats.subarray(row * dimension, (row + 1) * dimension)));
+      }
+    });
+
+    return { manifest, vectors };
+  } catch (error) {
+    console.warn('⚠️  Failed to read previous build manifest:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a file through a temp path and rename it into place, so a crash mid-build never
+ * leaves the server looking at a half-written index.
+ */
+export function writeFileAtomic(targetPath, writer) {
+  const tmpPath = `${targetPath}.tmp`;
+  if (typeof writer === 'function') {
+    writer(tmpPath);
+  } else {
+    fs.writeFileSync(tmpPath, writer);
+  }
+  fs.renameSync(tmpPath, targetPath);
+}
+
+export function writeEmbeddings(outputDir, vectors) {
+  const dimension = vectors[0]?.length || 0;
+  const floats = new Float32Array(vectors.length * dimension);
+  vectors.forEach((vector, row) => floats.set(vector, row * dimension));
+  writeFileAtomic(path.join(outputDir, EMBEDDINGS_FILE), Buffer.from(floats.buffer));
+}
+
+export function writeManifest(outputDir, manifest) {
+  writeFileAtomic(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+export function printDiffReport(diff, stats = {}) {
+  const list = (label, keys) => {
+    console.log(`   ${label} ${keys.length}`);
+    for (const key of keys.slice(0, 20)) {
+      console.log(`      - ${key}`);
+    }
+    if (keys.length > 20) {
+      console.log(`      … and ${keys.length - 20} more`);
+    }
+  };
+
+  console.log('📋 Knowledge base diff:');
+  list('➕ Added:    ', diff.added);
+  list('✏️  Updated:  ', diff.updated);
+  list('➖ Removed:  ', diff.removed);
+  console.log(`   ＝ Unchanged: ${diff.unchanged.length}`);
+  if (typeof stats.embedded === 'number') {
+    console.log(`   🧮 Embedded ${stats.embedded} chunks, reused ${stats.reused} stored vectors`);
+  }
+}
@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+export const DEFAULT_SOURCE_DIR = path.join(projectRoot, 'source-pdfs');
+export const DEFAULT_METADATA_PATH = path.join(projectRoot, 'metadata.json');
+export const DEFAULT_OUTPUT_PATH = path.join(projectRoot, 'processed', 'chunks.json');
+
+const MIN_PAGE_CHARS = 40;
+
+// Fields in kb/metadata.json that describe how a file was prepared rather than what it is about.
+const BUILD_ONLY_FIELDS = ['chunk_strategy', 'page_count'];
+
+const CRAWLER_DATASET_PATTERN = /^dataset_website-content-crawler_.*\.json$/i;
+const WEB_METADATA_KEY = 'web-content.json';
+
+// A line that shows up on at least this share of crawled pages is treated as site chrome.
+const BOILERPLATE_RATIO = Number(process.env.KB_BOILERPLATE_RATIO || 0.1);
+const BOILERPLATE_MIN_PAGES = 4;
+
+// Fields in kb/metadata.json that describe the crawl as a whole and must not leak onto every page.
+const WEB_DATASET_FIELDS = ['document_id', 'referenced_products', 'content_sources'];
+
+const PRODUCT_MENTION = /\b(DL|ML|XD)\s?(\d{2,3}a?)\b/gi;
+
+const normalizeKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\.[a-z0-9]+$/, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'document';
+
+function cleanPageText(text) {
+  return String(text || '')
+    .replace(/\u0000/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Render a PDF page the same way pdf-parse does by default (new line whenever the
+ * baseline moves), but keep the result so callers get text per page.
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+    text += (lastY === undefined || lastY === y) ? item.str : `\n${item.str}`;
+    lastY = y;
+  }
+  return text;
+}
+
+/**
+ * Extract the text of every page in a PDF buffer.
+ * Returns { pages: [{ page, text }], numPages, info }
+ */
+export async function extractPdfPages(buffer) {
+  const pages = [];
+  const result = await pdf(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pages.push({ page: pageData.pageIndex + 1, text: cleanPageText(text) });
+      return text;
+    }
+  });
+
+  pages.sort((a, b) => a.page - b.page);
+  return { pages, numPages: result.numpages, info: result.info || {} };
+}
+
+export function loadSourceMetadata(metadataPath = DEFAULT_METADATA_PATH) {
+  if (!fs.existsSync(metadataPath)) {
+    console.warn(`⚠️  Source metadata not found at ${metadataPath}; documents will use defaults.`);
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+}
+
+/**
+ * Find the kb/metadata.json entry for a file. Keys are file names, but several of them
+ * carry stray whitespace, so fall back to a whitespace/case-insensitive match.
+ */
+export function findMetadataEntry(metadataMap, fileName) {
+  if (metadataMap[fileName]) return metadataMap[fileName];
+  const wanted = normalizeKey(fileName);
+  for (const [key, value] of Object.entries(metadataMap)) {
+    if (normalizeKey(key) === wanted) return value;
+  }
+  return null;
+}
+
+function buildDocumentMetadata(fileName, entry, info, numPages) {
+  const base = { ...(entry || {}) };
+  for (const field of BUILD_ONLY_FIELDS) {
+    delete base[field];
+  }
+
+  return {
+    ...base,
+    document_id: base.document_id || slugify(fileName),
+    title: base.title || (info.Title && String(info.Title).trim()) || fileName.replace(/\.pdf$/i, '').trim(),
+    source: fileName,
+    source_file: fileName,
+    source_type: 'pdf',
+    page_count: numPages
+  };
+}
+
+/**
+ * Ingest every PDF in sourceDir into page-level base documents for chunks.json.
+ * Each page becomes one entry so the build script's chunker never merges text across
+ * pages and every embedding segment keeps the page it came from.
+ * Returns { documents, sources, report }; sources lists the PDFs that parsed.
+ */
+export async function ingestPdfDirectory(options = {}) {
+  const sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
+  const metadataMap = options.metadataMap || loadSourceMetadata(options.metadataPath);
+
+  if (!fs.existsSync(sourceDir)) {
+    throw new Error(`Source PDF folder not found: ${sourceDir}`);
+  }
+
+  const files = fs.readdirSync(sourceDir)
+    .filter(name => name.toLowerCase().endsWith('.pdf'))
+    .sort((a, b) => a.localeCompare(b));
+
+  const documents = [];
+  // Only files that parsed replace their chunks.json entries: a corrupt or locked PDF keeps
+  // the chunks from its last good ingest instead of dropping out of the index.
+  const parsed = [];
+  const report = { files: [], skippedPages: 0, missingMetadata: [], failed: [] };
+
+  for (const fileName of files) {
+    const entry = findMetadataEntry(metadataMap, fileName);
+    if (!entry) {
+      console.warn(`⚠️  No kb/metadata.json entry for "${fileName}"; using defaults.`);
+      report.missingMetadata.push(fileName);
+    }
+
+    let extracted;
+    try {
+      extracted = await extractPdfPages(fs.readFileSync(path.join(sourceDir, fileName)));
+    } catch (error) {
+      console.error(`❌ Failed to parse "${fileName}":`, error.message);
+      report.files.push({ file: fileName, pages: 0, error: error.message });
+      report.failed.push(fileName);
+      continue;
+    }
+
+    const docMeta = buildDocumentMetadata(fileName, entry, extracted.info, extracted.numPages);
+    let kept = 0;
+
+    for (const { page, text } of extracted.pages) {
+      if (text.replace(/\s+/g, '').length < MIN_PAGE_CHARS) {
+        report.skippedPages += 1;
+        continue;
+      }
+      documents.push({
+        id: `${docMeta.document_id}-p${page}`,
+        text,
+        metadata: {
+          ...docMeta,
+          page,
+          total_pages: extracted.numPages
+        }
+      });
+      kept += 1;
+    }
+
+    console.log(`   📄 ${fileName}: ${kept}/${extracted.numPages} pages`);
+    report.files.push({ file: fileName, pages: kept });
+    parsed.push(fileName);
+  }
+
+  return { documents, sources: parsed, report };
+}
+
+const normalizeLine = (line) => line.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Canonical form of a crawled URL: no query string or fragment, no trailing slash.
+ * The crawler follows modal links such as "?emodal=..." that render the same page twice.
+ */
+export function canonicalUrl(rawUrl) {
+  try {
+    const url = new URL(rawUrl);
+    url.search = '';
+    url.hash = '';
+    return url.toString().replace(/\/$/, '');
+  } catch (error) {
+    return String(rawUrl || '').split(/[?#]/)[0];
+  }
+}
+
+function crawlDateFromFileName(fileName) {
+  const match = fileName.match(/(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}Z` : null;
+}
+
+function languageFromUrl(rawUrl) {
+  // hpe.com paths are /<country>/<language>/...
+  const match = String(rawUrl || '').match(/^https?:\/\/[^/]+\/[a-z]{2}\/([a-z]{2})\//i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function titleFromText(text) {
+  const firstLine = String(text || '').split('\n').find(line => line.trim()) || '';
+  return firstLine.replace(/\s*\|\s*HPE.*$/i, '').trim();
+}
+
+function detectProducts(text) {
+  const found = new Set();
+  for (const match of String(text || '').matchAll(PRODUCT_MENTION)) {
+    const model = `${match[1]}${match[2]}`.toUpperCase();
+    // "DL380a" is its own SKU line but still belongs to the DL380 family the router filters on.
+    if (model.endsWith('A')) {
+      found.add(`${model.slice(0, -1)}a`);
+      found.add(model.slice(0, -1));
+    } else {
+      found.add(model);
+    }
+  }
+  return Array.from(found);
+}
+
+/**
+ * Lines repeated across many crawled pages (navigation, footers, CTAs) add noise to every
+ * chunk they land in. Count each distinct line once per page and flag the frequent ones.
+ */
+export function findBoilerplateLines(pages, ratio = BOILERPLATE_RATIO) {
+  const counts = new Map();
+  for (const page of pages) {
+    const seen = new Set(page.text.split('\n').map(normalizeLine).filter(Boolean));
+    for (const line of seen) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(BOILERPLATE_MIN_PAGES, Math.ceil(pages.length * ratio));
+  const boilerplate = new Set();
+  for (const [line, count] of counts.entries()) {
+    if (count >= threshold) boilerplate.add(line);
+  }
+  return boilerplate;
+}
+
+function stripBoilerplate(text, boilerplate, title) {
+  const kept = [];
+  const seen = new Set();
+  const titleKey = normalizeLine(title || '');
+  for (const line of text.split('\n')) {
+    const key = normalizeLine(line);
+    if (!key || boilerplate.has(key) || seen.has(key)) continue;
+    if (kept.length === 0 && titleKey && key.startsWith(titleKey)) continue;
+    seen.add(key);
+    kept.push(line.trim());
+  }
+  return kept.join('\n');
+}
+
+/**
+ * Read one website-content-crawler export into page records. Accepts both the plain
+ * { url, text } export and the full Apify item shape with metadata/crawl blocks.
+ */
+export function readCrawlerDataset(filePath) {
+  const fileName = path.basename(filePath);
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const items = Array.isArray(raw) ? raw : raw.items || [];
+  const fallbackCrawlDate = crawlDateFromFileName(fileName);
+
+  const pages = [];
+  const seenUrls = new Set();
+  let duplicates = 0;
+
+  for (const item of items) {
+    if (!item || !item.url || !item.text) continue;
+    const url = canonicalUrl(item.url);
+    if (seenUrls.has(url)) {
+      duplicates += 1;
+      continue;
+    }
+    seenUrls.add(url);
+
+    const text = cleanPageText(item.text);
+    pages.push({
+      url,
+      text,
+      title: (item.metadata?.title || '').replace(/\s*\|\s*HPE.*$/i, '').trim() || titleFromText(text),
+      language: item.metadata?.languageCode || languageFromUrl(url),
+      crawledAt: item.crawl?.loadedTime || item.loadedTime || fallbackCrawlDate
+    });
+  }
+
+  return { fileName, pages, duplicates };
+}
+
+/**
+ * Ingest every crawler dataset in sourceDir as one web document per URL, with the page
+ * URL as the document source so answers can link straight back to it.
+ */
+export function ingestCrawlerDatasets(options = {}) {
+  const sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
+  const metadataMap = options.metadataMap || loadSourceMetadata(options.metadataPath);
+
+  if (!fs.existsSync(sourceDir)) {
+    return { documents: [], sources: [], report: { datasets: [] } };
+  }
+
+  const files = fs.readdirSync(sourceDir)
+    .filter(name => CRAWLER_DATASET_PATTERN.test(name))
+    .sort((a, b) => a.localeCompare(b));
+
+  const documents = [];
+  const report = { datasets: [] };
+
+  for (const fileName of files) {
+    const { pages, duplicates } = readCrawlerDataset(path.join(sourceDir, fileName));
+    const boilerplate = findBoilerplateLines(pages);
+
+    const entry = findMetadataEntry(metadataMap, fileName) || findMetadataEntry(metadataMap, WEB_METADATA_KEY) || {};
+    const baseMeta = { ...entry };
+    for (const field of [...BUILD_ONLY_FIELDS, ...WEB_DATASET_FIELDS]) {
+      delete baseMeta[field];
+    }
+
+    let kept = 0;
+    for (const page of pages) {
+      const text = stripBoilerplate(page.text, boilerplate, page.title);
+      if (text.replace(/\s+/g, '').length < MIN_PAGE_CHARS) continue;
+
+      const documentId = `web-${slugify(new URL(page.url).pathname)}`;
+      documents.push({
+        id: documentId,
+        text,
+        metadata: {
+          ...baseMeta,
+          document_id: documentId,
+          title: page.title || page.url,
+          source: page.url,
+          source_file: fileName,
+          source_type: 'web',
+          url: page.url,
+          language: page.language,
+          crawled_at: page.crawledAt,
+          referenced_products: detectProducts(`${page.url} ${text}`)
+        }
+      });
+      kept += 1;
+    }
+
+    console.log(`   🌐 ${fileName}: ${kept} pages (${duplicates} duplicate URLs, ${boilerplate.size} boilerplate lines removed)`);
+    report.datasets.push({ file: fileName, pages: kept, duplicates, boilerplateLines: boilerplate.size });
+  }
+
+  return { documents, sources: files, report };
+}
+
+/**
+ * Replace every chunks.json entry that came from an ingested source file with fresh documents.
+ * Entries whose source file is no longer on disk are carried over untouched so hand-curated
+ * content is not silently lost.
+ */
+export function mergeWithExisting(existing, ingested, ingestedSources) {
+  const replaced = new Set(ingestedSources);
+  const carried = (existing || []).filter(doc => {
+    const source = doc?.source || doc?.metadata?.source;
+    const sourceFile = doc?.metadata?.source_file;
+    return !replaced.has(source) && !replaced.has(sourceFile);
+  });
+  return { documents: [...ingested, ...carried], carriedOver: carried.length };
+}
+
+export async function ingestSources(options = {}) {
+  const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+
+  console.log('📥 Ingesting source documents...');
+  const metadataMap = options.metadataMap || loadSourceMetadata(options.metadataPath);
+  const pdfs = await ingestPdfDirectory({ ...options, metadataMap });
+  const web = ingestCrawlerDatasets({ ...options, metadataMap });
+
+  let existing = [];
+  if (fs.existsSync(outputPath)) {
+    const raw = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    existing = Array.isArray(raw) ? raw : raw.documents || [];
+  }
+
+  const { documents, carriedOver } = mergeWithExisting(
+    existing,
+    [...pdfs.documents, ...web.documents],
+    [...pdfs.sources, ...web.sources]
+  );
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(documents, null, 2));
+
+  console.log(`✅ Ingested ${pdfs.documents.length} pages from ${pdfs.sources.length} PDFs`);
+  console.log(`✅ Ingested ${web.documents.length} web pages from ${web.sources.length} crawler datasets`);
+  if (pdfs.report.failed.length) {
+    console.warn(`   ⚠️  Kept the existing chunks of ${pdfs.report.failed.length} PDF(s) that failed to parse: ${pdfs.report.failed.join(', ')}`);
+  }
+  if (pdfs.report.skippedPages) {
+    console.log(`   • Skipped ${pdfs.report.skippedPages} pages with no extractable text`);
+  }
+  if (carriedOver) {
+    console.log(`   • Carried over ${carriedOver} existing chunks without a source file`);
+  }
+  console.log(`   • Wrote ${documents.length} base chunks to ${outputPath}`);
+
+  return { documents, report: { ...pdfs.report, web: web.report } };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  ingestSources().catch(error => {
+    console.error('❌ Failed to ingest sources:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -1,9 +1,17 @@
+import { validateFilter } from './metadata-filter.js';
+
 class SmartRouter {
   constructor() {
     // ⚡ OPTIMIZATION 1: Pre-compile regex patterns for speed
     this.compiledPatterns = {
       simpleGreetings: /^(hi|hello|hey|thanks|thank you|yes|no|ok|okay|sure|tell me more|continue|go on|what else)$/i,
-      questionStarters: /^(what|how|which|tell me|can|does|is|are)/i
+      questionStarters: /^(what|how|which|tell me|can|does|is|are)/i,
+      comparison: /\b(vs\.?|versus|compare[ds]?|comparison|differences?|differ)\b/i,
+      // "X or Y" / "X better than Y" only compare with a product on both sides and a choice to make
+      productChoice: /\b(?:dl|ml)\s?\d+a?(?:\s+gen\s?1[12])?\s+(?:or|(?:is\s+)?better than)\s+(?:the\s+|an?\s+)?(?:dl|ml)\s?\d+a?\b/i,
+      choiceCue: /\b(?:which|better|should (?:i|we))\b/i,
+      generation: /\bgen\s?(11|12)\b/i,
+      comparisonWords: /\b(vs\.?|versus|compare[ds]?|comparison|differences?|differ|better|worse|than|which|is|are|the|between|and|or|with|to|of|what|how|do|does|tell|me|about|please)\b/gi
     };
     
     // ⚡ OPTIMIZATION 2: Flatten routing rules for O(1) lookup
@@ -29,7 +37,13 @@ class SmartRouter {
       },
       "latest_info": {
         match: ['latest', 'recent', 'update', 'news'],
-        route: { document_id: 'web-scraped-content' }
+        // Indexes built before per-URL ingestion tag crawled pages only by their document id
+        route: {
+          $or: [
+            { source_type: 'web' },
+            { document_id: 'web-scraped-content' }
+          ]
+        }
       },
       "virtualization": {
         match: ['vmware', 'kvm', 'virtualization', 'hypervisor', 'vmware alternative'],
@@ -46,6 +60,9 @@ class SmartRouter {
       }
     };
     
+    // Routes are metadata filters; catch typos in them at startup rather than at query time
+    Object.values(routingRules).forEach(rule => validateFilter(rule.route));
+    
     // ⚡ OPTIMIZATION 3: Create sorted keyword map (longest first for multi-word matching)
     for (const [ruleName, rule] of Object.entries(routingRules)) {
       for (const keyword of rule.match) {
@@ -72,8 +89,9 @@ class SmartRouter {
     ];
     
     // ⚡ OPTIMIZATION 6: Technical keywords as Set for O(1) lookup
+    // (pricing is out of scope for the SDR: PolicyGuard answers it before routing)
     this.kbKeywordsSet = new Set([
-      'processor', 'memory', 'storage', 'ilo', 'com', 'feature', 'price', 'cost',
+      'processor', 'memory', 'storage', 'ilo', 'com', 'feature',
       'compare', 'comparison', 'difference', 'generation', 'gen11', 'gen12',
       'sku', 'part number', 'model', 'configuration',
       'power', 'cooling', 'rack', 'dimensions',
@@ -84,7 +102,6 @@ class SmartRouter {
     
     // ⚡ OPTIMIZATION 7: Category patterns pre-compiled
     this.categoryPatterns = [
-      { pattern: /\b(price|cost|pricing)\b/i, category: 'pricing' },
       { pattern: /\b(spec|specification)\b/i, category: 'specs' },
       { pattern: /\b(performance|benchmark)\b/i, category: 'performance' },
       { pattern: /\b(virtualization|vmware|kvm|hypervisor)\b/i, category: 'virtualization' },
@@ -94,7 +111,7 @@ class SmartRouter {
     ];
 
     this.categorySynonyms = {
-      pricing: ['pricing', 'price', 'cost', 'tco', 'total cost', 'roi'],
+      pricing: ['tco', 'total cost', 'roi'],
       specs: ['specs', 'specifications', 'technical specs', 'datasheet', 'configuration'],
       performance: ['performance', 'benchmark', 'speed', 'throughput', 'latency'],
       virtualization: ['virtualization', 'vmware', 'vsphere', 'hypervisor', 'vmware alternative', 'kvm', 'virtual machine'],
@@ -234,6 +251,7 @@ class SmartRouter {
   
   /**
    * ⚡ OPTIMIZED: Extract product filter with caching
+   * Filters use the language in kb/metadata-filter.js.
    */
   extractProductFilter(text) {
     const lowerText = text.toLowerCase();
@@ -244,54 +262,123 @@ class SmartRouter {
       return this.filterCache.get(lowerText);
     }
     
-    let filter = null;
-    
+    const filter = this.withGeneration(this.routeFilter(lowerText), lowerText);
+    this._cacheFilter(lowerText, filter);
+    return filter;
+  }
+
+  routeFilter(lowerText) {
     // 🚫 DISABLE PRODUCT FILTERS FOR CASE STUDIES/SUCCESS STORIES
     // These queries should search ALL documents, not filter by specific product
     // because case study documents have product: "all" in metadata
     const caseStudyKeywords = /case stud|success stor|customer success|customer stor|customer case|customer proof|who uses/i;
     if (caseStudyKeywords.test(lowerText)) {
       console.log('⚡ No filter (case study/success story query)');
-      this._cacheFilter(lowerText, null);
       return null;
     }
     
     // ⚡ FAST PATH 1: Product detection (but use OR filter to include 'all' products)
-    for (const { pattern, product } of this.productPatterns) {
-      if (pattern.test(lowerText)) {
-        filter = { 
-          $or: [
-            { product: product },
-            { product: 'all' },
-            { referenced_products: { $in: [product] } }
-          ]
-        };
-        this._cacheFilter(lowerText, filter);
-        return filter;
-      }
+    // Comparisons keep every product they name, not just the first one matched
+    const products = this.detectProducts(lowerText);
+    if (products.length) {
+      const compared = this.detectComparison(lowerText) ? products : products.slice(0, 1);
+      return {
+        $or: [
+          { product: { $in: compared } },
+          { product: 'all' },
+          { referenced_products: { $in: compared } }
+        ]
+      };
     }
     
     // ⚡ FAST PATH 2: Category detection (pre-compiled patterns)
     for (const { pattern, category } of this.categoryPatterns) {
       if (pattern.test(lowerText)) {
-        filter = this.buildFlexibleCategoryFilter(category);
-        this._cacheFilter(lowerText, filter);
-        return filter;
+        return this.buildFlexibleCategoryFilter(category);
       }
     }
 
     for (const [category, synonyms] of Object.entries(this.categorySynonyms)) {
       if (synonyms.some(term => this.textContainsSynonym(lowerText, term))) {
-        filter = this.buildFlexibleCategoryFilter(category);
-        this._cacheFilter(lowerText, filter);
-        return filter;
+        return this.buildFlexibleCategoryFilter(category);
       }
     }
     
     // No filter found
-    this._cacheFilter(lowerText, null);
     return null;
   }
+
+  /**
+   * "Gen12 ..." narrows any filter to that generation, keeping generation-neutral documents.
+   */
+  withGeneration(filter, lowerText) {
+    const generation = lowerText.match(this.compiledPatterns.generation)?.[1];
+    if (!generation) return filter;
+
+    const generationFilter = {
+      $or: [
+        { 'metadata.generation': { $in: [`gen${generation}`, 'all'] } },
+        { 'metadata.generation': { $exists: false } }
+      ]
+    };
+    return filter ? { $and: [filter, generationFilter] } : generationFilter;
+  }
+  
+  /**
+   * Every product mentioned in the text, in the order they appear
+   */
+  detectProducts(text) {
+    const found = [];
+    for (const { pattern, product } of this.productPatterns) {
+      const match = pattern.exec(text || '');
+      if (match) found.push({ product, index: match.index });
+    }
+    return found
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.product);
+  }
+  
+  /**
+   * Detect "X vs Y" style questions and split them into one sub-query per product.
+   * A bare "or" is not enough: "a DL380 with DL360 or ML350 nodes" names products without
+   * comparing them, while "which is better, DL380 or DL360?" does.
+   * Returns { products, aspect, queries: [{ product, query, filter }] } or null.
+   */
+  detectComparison(text) {
+    const source = text || '';
+    const products = this.detectProducts(source);
+    const { comparison, productChoice, choiceCue } = this.compiledPatterns;
+    const compares = comparison.test(source) || (productChoice.test(source) && choiceCue.test(source));
+    if (products.length < 2 || !compares) {
+      return null;
+    }
+
+    // Whatever is left once products and comparison words are gone is the aspect being compared
+    const aspect = (text || '')
+      .replace(/\b(?:dl|ml)\s?\d+a?\b/gi, ' ')
+      .replace(this.compiledPatterns.comparisonWords, ' ')
+      .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      products,
+      aspect,
+      queries: products.map(product => ({
+        product,
+        // A bare generation ("DL384 vs DL380 Gen12") still needs topic words to retrieve on
+        query: aspect && !/^gen\s?\d+$/i.test(aspect)
+          ? `${product} ${aspect}`
+          : `${product} ${aspect} key features specifications use cases`.replace(/\s+/g, ' '),
+        filter: {
+          $or: [
+            { product },
+            { referenced_products: { $in: [product] } }
+          ]
+        }
+      }))
+    };
+  }
   
   /**
    * ⚡ OPTIMIZED: Fast decision on RAG usage  
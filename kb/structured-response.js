@@ -0,0 +1,144 @@
+import { stripCitations } from './citations.js';
+import { splitSentences } from './groundedness.js';
+
+/**
+ * Structured answers for the chat channel. Instead of one string the model returns JSON with
+ * the part the avatar speaks, the part the chat panel shows, the follow-up question, any
+ * product recommendation, the passages it cited and the discovery facts it picked up.
+ * Output is validated against RESPONSE_SCHEMA; invalid output gets one repair pass by the
+ * model, then a heuristic fallback built from the text.
+ */
+
+export const RESPONSE_FORMATS = ['text', 'structured'];
+
+export const RESPONSE_SCHEMA = {
+  spokenText: 'non-empty string, no citation markers, at most 3 sentences',
+  displayText: 'non-empty string, may cite passages as [1]',
+  followUpQuestion: 'string or null',
+  recommendation: 'null or { "family": string or null, "skus": string[] }',
+  citations: 'number[]',
+  discoveryFacts: 'object of string | number | boolean | string[] | null'
+};
+
+export const STRUCTURED_INSTRUCTIONS = `RESPONSE FORMAT:
+Reply with one JSON object only, no prose around it, with exactly these keys:
+{
+  "spokenText": "what the avatar says aloud: 1-3 short sentences, no [n] markers",
+  "displayText": "the full answer for the chat panel, citing passages as [n]",
+  "followUpQuestion": "the one discovery question you ask next, or null",
+  "recommendation": { "family": "e.g. DL380 Gen11, or null", "skus": ["APAC Smart Choice part numbers, e.g. P84627-375"] } or null,
+  "citations": [passage numbers used in displayText],
+  "discoveryFacts": { "role", "industry", "users", "workloads", "needs", "timeline", ... only what the user stated }
+}`;
+
+const SKU_PATTERN = /\bP\d{5}-[A-Z0-9]{3}\b/g;
+const FAMILY_PATTERN = /\b(?:DL|ML)\s?\d+a?(?:\s+Gen\s?1[0-2])?\b/i;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFactValue = (value) => value === null
+  || ['string', 'number', 'boolean'].includes(typeof value)
+  || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+/**
+ * Check a parsed object against RESPONSE_SCHEMA. Returns a list of problems (empty when valid).
+ */
+export function validateStructuredResponse(value) {
+  if (!isPlainObject(value)) return ['response must be a JSON object'];
+  const errors = [];
+
+  for (const key of ['spokenText', 'displayText']) {
+    if (typeof value[key] !== 'string' || !value[key].trim()) errors.push(`${key} must be a non-empty string`);
+  }
+  if (value.followUpQuestion !== null && typeof value.followUpQuestion !== 'string') {
+    errors.push('followUpQuestion must be a string or null');
+  }
+  if (value.recommendation !== null) {
+    if (!isPlainObject(value.recommendation)) {
+      errors.push('recommendation must be an object or null');
+    } else {
+      const { family, skus } = value.recommendation;
+      if (family !== null && typeof family !== 'string') errors.push('recommendation.family must be a string or null');
+      if (!Array.isArray(skus) || !skus.every(sku => typeof sku === 'string')) errors.push('recommendation.skus must be an array of strings');
+    }
+  }
+  if (!Array.isArray(value.citations) || !value.citations.every(Number.isInteger)) {
+    errors.push('citations must be an array of integers');
+  }
+  if (!isPlainObject(value.discoveryFacts)) {
+    errors.push('discoveryFacts must be an object');
+  } else {
+    for (const [fact, factValue] of Object.entries(value.discoveryFacts)) {
+      if (!isFactValue(factValue)) errors.push(`discoveryFacts.${fact} must be a string, number, boolean, string array or null`);
+    }
+  }
+
+  const unknown = Object.keys(value).filter(key => !(key in RESPONSE_SCHEMA));
+  if (unknown.length) errors.push(`unexpected keys: ${unknown.join(', ')}`);
+  return errors;
+}
+
+/**
+ * Parse model output into a valid structured response.
+ * Accepts a bare object, a ```json fenced block or an object surrounded by stray prose.
+ * Returns { value, errors } where value is null unless the output validated.
+ */
+export function parseStructuredResponse(raw) {
+  const text = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return { value: null, errors: ['no JSON object found'] };
+
+  let value;
+  try {
+    value = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return { value: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  // Missing optional keys are filled in rather than sent back for repair.
+  if (isPlainObject(value)) {
+    value = { followUpQuestion: null, recommendation: null, citations: [], discoveryFacts: {}, ...value };
+  }
+  const errors = validateStructuredResponse(value);
+  return errors.length ? { value: null, errors } : { value, errors: [] };
+}
+
+/**
+ * Messages asking the model to fix its own output against the schema.
+ */
+export function repairMessages(raw, errors) {
+  return [
+    {
+      role: 'system',
+      content: `Fix the JSON below so it is valid and matches this schema exactly. Keep the wording. Reply with the JSON object only.\n${JSON.stringify(RESPONSE_SCHEMA, null, 2)}`
+    },
+    { role: 'user', content: `Problems: ${errors.join('; ')}\n\n${raw}` }
+  ];
+}
+
+/**
+ * Last resort: derive the structure from plain answer text. If the model produced broken
+ * JSON, its displayText/spokenText strings are salvaged where possible.
+ */
+export function structureFromText(raw) {
+  let text = String(raw || '').trim();
+  if (text.startsWith('{') || text.startsWith('```')) {
+    const field = (name) => text.match(new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`))?.[1];
+    const salvaged = field('displayText') || field('spokenText');
+    text = salvaged ? salvaged.replace(/\\"/g, '"').replace(/\\n/g, '\n') : '';
+  }
+
+  const sentences = splitSentences(stripCitations(text));
+  const followUpQuestion = [...sentences].reverse().find(sentence => /[?？]$/.test(sentence.trim())) || null;
+  const family = text.match(FAMILY_PATTERN)?.[0]?.replace(/\s+/g, ' ').toUpperCase().replace('GEN', 'Gen') || null;
+  const skus = Array.from(new Set(text.match(SKU_PATTERN) || []));
+
+  return {
+    spokenText: sentences.slice(0, 3).join(' ').trim(),
+    displayText: text,
+    followUpQuestion,
+    recommendation: family || skus.length ? { family, skus } : null,
+    citations: [],
+    discoveryFacts: {}
+  };
+}
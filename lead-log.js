@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Where callback requests go once the SDR hands off. Conversation metadata expires with its
+ * TTL, so each captured lead (contact details plus the discovery facts so far) is appended to
+ * a JSONL file that outlives the conversation and that sales can read via /api/admin/leads.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LEADS_LOG = path.join(__dirname, 'logs', 'leads.jsonl');
+
+const RECENT_LEADS = 200;
+
+class LeadLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file]  LEADS_LOG, default logs/leads.jsonl; "off" keeps leads in memory only
+   */
+  constructor({ file = process.env.LEADS_LOG || DEFAULT_LEADS_LOG } = {}) {
+    this.file = file === 'off' ? null : file;
+    this.recent = [];
+    this.count = 0;
+    this.writeChain = Promise.resolve();
+    if (!this.file) {
+      console.warn('⚠️  LEADS_LOG is off: captured leads are only kept in memory until restart');
+    }
+  }
+
+  /**
+   * Record a lead: kept in memory and appended to the leads log.
+   * @param {object} entry  { userId, email, phone, language, facts, ... }
+   */
+  record(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    this.count += 1;
+    this.recent.push(record);
+    if (this.recent.length > RECENT_LEADS) this.recent.shift();
+
+    if (this.file) {
+      const file = this.file;
+      this.writeChain = this.writeChain
+        .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(record)}\n`))
+        .catch(error => console.error('⚠️ Lead log write failed:', error.message));
+    }
+    return record;
+  }
+
+  /**
+   * Latest leads, newest first. Read from the log when there is one, so leads from before a
+   * restart are included.
+   */
+  async recentLeads(limit = 50) {
+    if (!this.file) return this.recent.slice(-limit).reverse();
+    await this.writeChain;
+    let content;
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n').filter(Boolean).slice(-limit).reverse().flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  describe() {
+    return { file: this.file, recorded: this.count };
+  }
+}
+
+export default LeadLog;
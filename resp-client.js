@@ -0,0 +1,193 @@
+import net from 'net';
+
+/**
+ * Minimal Redis protocol (RESP2) client: one connection, commands answered in order.
+ * Enough for the conversation store (GET, SET ... PX, DEL, SCAN, PING) against Redis,
+ * Valkey, KeyDB or the test stand-in (test/helpers/redis-standin.js), without a dependency.
+ * The connection is opened on the first command and again after it drops.
+ */
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ */
+export function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply from buffer at `start`. Returns { value, offset } or null when the reply
+ * is not complete yet. Error replies come back as RedisError values.
+ */
+export function parseReply(buffer, start = 0) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+class RespClient {
+  /**
+   * @param {string} [url]  redis://[:password@]host[:port][/db], default redis://127.0.0.1:6379
+   * @param {object} [options]
+   * @param {number} [options.timeout]  ms per command before the connection is dropped
+   */
+  constructor(url = 'redis://127.0.0.1:6379', { timeout = 2000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port || 6379);
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.db = Number(parsed.pathname.replace('/', '') || 0);
+    this.timeout = timeout;
+    this.socket = null;
+    this.current = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  get url() {
+    return `redis://${this.host}:${this.port}/${this.db}`;
+  }
+
+  connect() {
+    if (this.connecting) return this.connecting;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.current = socket;
+      socket.setNoDelay(true);
+      const connectTimer = setTimeout(() => {
+        socket.destroy(new RedisError(`Connecting to ${this.host}:${this.port} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      socket.once('connect', () => {
+        clearTimeout(connectTimer);
+        this.socket = socket;
+        const setup = [];
+        if (this.password) setup.push(this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]));
+        if (this.db) setup.push(this.send(['SELECT', this.db]));
+        Promise.all(setup).then(() => resolve(socket), reject);
+      });
+      // Events from a connection that was already dropped must not touch its successor.
+      socket.on('data', (chunk) => {
+        if (this.current === socket) this.onData(chunk);
+      });
+      socket.on('error', (error) => {
+        clearTimeout(connectTimer);
+        if (this.current === socket) this.drop(error, reject);
+      });
+      socket.on('close', () => {
+        clearTimeout(connectTimer);
+        if (this.current === socket) this.drop(new RedisError('Connection closed'), reject);
+      });
+    });
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.pending.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer);
+      } catch (error) {
+        // Out of step with the server: no later reply can be matched to its command.
+        this.drop(error);
+        return;
+      }
+      if (!reply) return;
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+      if (reply.value instanceof RedisError) reject(reply.value);
+      else resolve(reply.value);
+    }
+  }
+
+  drop(error, rejectConnect = null) {
+    const socket = this.current;
+    this.current = null;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    for (const { reject, timer } of this.pending.splice(0)) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    if (rejectConnect) rejectConnect(error);
+    if (socket && !socket.destroyed) socket.destroy();
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new RedisError('Not connected'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        this.drop(new RedisError(`${args[0]} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async close() {
+    if (!this.socket) return;
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // Already gone
+    }
+    this.drop(new RedisError('Client closed'));
+  }
+}
+
+export default RespClient;
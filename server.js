@@ -7,6 +7,7 @@ import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 
 import https from 'https';
 import http from 'http';
@@ -33,6 +34,17 @@ const httpAgent = new http.Agent({
 import OptimizedRAGEngine from './kb/optimized-rag-engine.js';
 import SmartRouter from './kb/smart-router.js';
 import ConversationManager from './conversation-manager.js';
+import LeadLog from './lead-log.js';
+import QueryRewriter from './kb/query-rewriter.js';
+import LLMGateway from './kb/llm-provider.js';
+import PromptLibrary, { DEFAULT_PROMPT_VERSION } from './kb/prompt-library.js';
+import { stripCitations } from './kb/citations.js';
+import { FilterError, validateFilter } from './kb/metadata-filter.js';
+import { RESPONSE_FORMATS, structureFromText } from './kb/structured-response.js';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, detectLanguage, normalizeLanguage } from './kb/language.js';
+import PolicyGuard from './kb/policy-guard.js';
+import { detectIntent } from './kb/dialogue-flow.js';
+import { extractSlots } from './kb/discovery-slots.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -49,6 +61,9 @@ const CONFIG = {
   HEYGEN_AVATAR_ID: process.env.HEYGEN_AVATAR_ID,
   HEYGEN_VOICE_ID: process.env.HEYGEN_VOICE_ID,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN,
+  KB_WATCH: process.env.KB_WATCH !== 'false',
+  CONVERSATION_STORE: process.env.CONVERSATION_STORE || 'memory',
   PORT: process.env.PORT || 3000
 };
 
@@ -60,13 +75,27 @@ const HEYGEN_API = {
   STOP: '/v1/streaming.stop'
 };
 
-const openai = new OpenAI({ 
-  apiKey: CONFIG.OPENAI_API_KEY,
-  timeout: 8000,  // ⚡ SPEED: Reduced for faster responses
-  maxRetries: 0   // ⚡ No retries for speed
-});
+// 🎤 Transcription is OpenAI-only; without a key the text chat still works
+const openai = CONFIG.OPENAI_API_KEY
+  ? new OpenAI({ 
+    apiKey: CONFIG.OPENAI_API_KEY,
+    timeout: 8000,  // ⚡ SPEED: Reduced for faster responses
+    maxRetries: 0   // ⚡ No retries for speed
+  })
+  : null;
+
+// 🧠 Chat completions go through the provider configured per route (LLM_PROVIDER, LLM_MODEL, ...)
+const llm = new LLMGateway();
+
+// 🗒️ System prompt, persona, greeting and fallback lines come from kb/prompts/<PROMPT_VERSION>/
+const prompts = new PromptLibrary();
+
+// 🛡️ Scope rules (pricing, contracts, competitors, ...) from kb/policies/<POLICY_VERSION>.json
+const policyGuard = new PolicyGuard({ prompts });
 
 const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'gpt-4o-mini-transcribe';
+// Pin one language (e.g. "en") for faster transcription; unset, the model detects it per turn.
+const TRANSCRIPTION_LANGUAGE = normalizeLanguage(process.env.TRANSCRIPTION_LANGUAGE);
 
 const activeSessions = new Map();
 const responseCache = new Map();
@@ -85,11 +114,31 @@ const normalizeForComparison = (text) => {
   return text.trim().toLowerCase().replace(/[’]/g, "'");
 };
 
+const isFallbackText = (normalized) =>
+  FALLBACK_PREFIXES.some(prefix => normalized.startsWith(prefix)) ||
+  prompts.fallbackMessages().some(message => normalized.startsWith(normalizeForComparison(message)));
+
 const isCacheEntryValuable = (entry) => {
   if (!entry || typeof entry !== 'object') return false;
 
   const normalized = normalizeForComparison(entry.responseText);
-  if (!normalized || FALLBACK_PREFIXES.some(prefix => normalized.startsWith(prefix))) {
+  if (!normalized || isFallbackText(normalized)) {
+    return false;
+  }
+
+  // Answers written under another prompt version would mix voices (entries from before
+  // versioning were written with the default prompt)
+  if ((entry.promptVersion || DEFAULT_PROMPT_VERSION) !== prompts.version) {
+    return false;
+  }
+
+  // Canned replies to "yes", "no thanks" or "hi" would bypass the dialogue state machine
+  if (!entry.usedRAG) {
+    return false;
+  }
+
+  // Answers cached before the output policy existed may quote prices
+  if (policyGuard.checkOutput(entry.responseText).violations.length) {
     return false;
   }
 
@@ -218,10 +267,12 @@ async function autoPrewarmCache() {
       
       if (smartRouter.shouldUseRAG(classification)) {
         const filter = smartRouter.extractProductFilter(query);
+        const comparison = smartRouter.detectComparison(query);
         
         const result = await ragEngine.query(query, {
-          topK: 2,
+          topK: comparison ? 2 * comparison.products.length : 2,
           filter: filter,
+          comparison,
           minScore: 0.7
         });
 
@@ -230,7 +281,8 @@ async function autoPrewarmCache() {
           responseText: result?.answer,
           sources: result?.sources,
           usedRAG: true,
-          confidence: result?.confidence
+          confidence: result?.confidence,
+          promptVersion: result?.promptVersion
         });
 
         if (!hasSources || result?.noResults || !meaningfulResponse) {
@@ -245,6 +297,7 @@ async function autoPrewarmCache() {
           usedRAG: true,
           classification: classification.type,
           confidence: result.confidence,
+          promptVersion: result.promptVersion,
           timestamp: Date.now()
         };
         
@@ -340,12 +393,19 @@ function calculateSimilarity(str1, str2) {
  * Get cached response with semantic matching
  * Finds responses even if query is phrased differently
  */
-function getCachedResponse(query) {
+function getCachedResponse(query, language = DEFAULT_LANGUAGE) {
+  // Follow-ups mean something different in every conversation
+  if (queryRewriter.isFollowUp(query)) return null;
+  // Out-of-scope questions go through the policy guard so every decision is audited
+  if (policyGuard.checkInput(query).action !== 'allow') return null;
+
   const key = query.toLowerCase().trim();
+  // Entries from before language detection were all English
+  const inLanguage = (entry) => (entry.response.language || DEFAULT_LANGUAGE) === language;
   
   // Try exact match first (fastest)
   const exactMatch = responseCache.get(key);
-  if (exactMatch && Date.now() - exactMatch.timestamp < CACHE_TTL) {
+  if (exactMatch && Date.now() - exactMatch.timestamp < CACHE_TTL && inLanguage(exactMatch)) {
     console.log('⚡ Response cache hit (exact match)!');
     return exactMatch.response;
   }
@@ -356,7 +416,7 @@ function getCachedResponse(query) {
   const SIMILARITY_THRESHOLD = 0.75; // 75% similarity required
   
   for (const [cachedKey, cachedValue] of responseCache.entries()) {
-    if (Date.now() - cachedValue.timestamp >= CACHE_TTL) continue;
+    if (Date.now() - cachedValue.timestamp >= CACHE_TTL || !inLanguage(cachedValue)) continue;
     
     const similarity = calculateSimilarity(query, cachedKey);
     
@@ -375,8 +435,28 @@ function getCachedResponse(query) {
 }
 
 function cacheResponse(query, response) {
+  if (queryRewriter.isFollowUp(query)) {
+    console.log(`⏭️  Skipping cache for follow-up: "${query.substring(0, 50)}..."`);
+    return;
+  }
+
+  if (response?.degraded) {
+    console.log(`⏭️  Skipping cache for degraded answer: "${query.substring(0, 50)}..."`);
+    return;
+  }
+
+  if (response?.method === 'policy') {
+    console.log(`⏭️  Skipping cache for policy response: "${query.substring(0, 50)}..."`);
+    return;
+  }
+
+  if (!response?.usedRAG) {
+    console.log(`⏭️  Skipping cache for conversational reply: "${query.substring(0, 50)}..."`);
+    return;
+  }
+
   const normalized = normalizeForComparison(response?.responseText);
-  if (normalized && FALLBACK_PREFIXES.some(prefix => normalized.startsWith(prefix))) {
+  if (normalized && isFallbackText(normalized)) {
     console.log(`⏭️  Skipping cache for fallback response: "${query.substring(0, 50)}..."`);
     return;
   }
@@ -397,13 +477,46 @@ function cacheResponse(query, response) {
 // ============================================
 // ⚡ NEW: Initialize Optimized RAG Engine, Smart Router, and Conversation Manager
 // ============================================
-const ragEngine = new OptimizedRAGEngine();
+const ragEngine = new OptimizedRAGEngine({ llm, prompts });
 const smartRouter = new SmartRouter();
-const conversationManager = new ConversationManager();
+// 💬 Conversations live in the configured store (CONVERSATION_STORE: memory, file or redis)
+const conversationManager = new ConversationManager({ store: CONFIG.CONVERSATION_STORE });
+// 📇 Callback requests outlive the conversation: appended to logs/leads.jsonl (LEADS_LOG)
+const leadLog = new LeadLog();
+const queryRewriter = new QueryRewriter({
+  detectProducts: (text) => smartRouter.detectProducts(text),
+  llm
+});
+
+// 🔄 A rebuilt knowledge base makes every cached answer suspect: drop them all on swap
+ragEngine.on('reload', ({ version }) => {
+  const flushed = responseCache.size;
+  responseCache.clear();
+  try {
+    if (fs.existsSync(PERSISTENT_CACHE_FILE)) {
+      fs.writeFileSync(PERSISTENT_CACHE_FILE, JSON.stringify({}, null, 2));
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to reset persistent cache:', error.message);
+  }
+  console.log(`🧹 Knowledge base v${version}: flushed ${flushed} cached responses`);
+});
+
+if (CONFIG.KB_WATCH) {
+  try {
+    ragEngine.watchKnowledgeBase();
+  } catch (error) {
+    console.warn('⚠️  Knowledge base watcher unavailable:', error.message);
+  }
+}
 
 console.log('✅ Optimized RAG Engine created (will initialize on first use)');
 console.log('✅ Smart Router initialized');
 console.log('✅ Conversation Manager initialized');
+conversationManager.listConversations().then(userIds => {
+  const store = conversationManager.describe();
+  console.log(`💬 Conversation store: ${store.kind}${store.url ? ` (${store.url})` : store.dir ? ` (${store.dir})` : ''}, ${userIds.length} stored conversation(s)`);
+});
 
 // 💾 Load persistent cache from disk (or generate if missing)
 async function initializeCache() {
@@ -460,7 +573,7 @@ setInterval(() => {
   
   // Warning if memory usage is high
   if (memUsage.heapUsed > 500 * 1024 * 1024) {
-    console.log(`   ⚠️  HIGH MEMORY USAGE - Consider upgrading to Redis`);
+    console.log(`   ⚠️  HIGH MEMORY USAGE - Consider CONVERSATION_STORE=redis`);
   }
 }, 5 * 60 * 1000); // Every 5 minutes
 
@@ -509,9 +622,10 @@ function validateConfig() {
   const required = [
     'HEYGEN_API_KEY',
     'HEYGEN_AVATAR_ID',
-    'HEYGEN_VOICE_ID',
-    'OPENAI_API_KEY'
+    'HEYGEN_VOICE_ID'
   ];
+  // A local or scripted LLM provider only needs the OpenAI key for speech transcription
+  if (llm.needsOpenAIKey()) required.push('OPENAI_API_KEY');
   
   const missing = required.filter(key => !CONFIG[key]);
   
@@ -520,6 +634,14 @@ function validateConfig() {
     process.exit(1);
   }
   
+  if (!CONFIG.OPENAI_API_KEY) {
+    console.warn('⚠️  OPENAI_API_KEY not set: speech transcription is disabled');
+  }
+  const routes = Object.entries(llm.describe())
+    .map(([route, { provider, model, fallback }]) => `${route}=${provider}:${model}${fallback ? ` (fallback ${fallback.provider}:${fallback.model})` : ''}`)
+    .join(', ');
+  console.log(`🧠 LLM routes: ${routes}`);
+  console.log(`🗒️  Prompt version: ${prompts.version}`);
   console.log('✅ All environment variables loaded');
 }
 
@@ -737,7 +859,7 @@ function splitTextIntoChunks(text, maxSize) {
   return chunks;
 }
 
-async function closeAvatarSession(userId) {
+async function closeAvatarSession(userId, { keepConversation = false } = {}) {
   const session = activeSessions.get(userId);
   
   if (session) {
@@ -748,8 +870,8 @@ async function closeAvatarSession(userId) {
       
       activeSessions.delete(userId);
       
-      // Clear conversation history
-      conversationManager.clearConversation(userId);
+      // Clear conversation history (kept on shutdown so the user can resume after a restart)
+      if (!keepConversation) conversationManager.clearConversation(userId);
       
       console.log(`✅ Session closed: ${userId}`);
     } catch (error) {
@@ -763,83 +885,197 @@ async function closeAvatarSession(userId) {
 // INTELLIGENT CONVERSATION HANDLER 
 // ============================================
 
+/**
+ * Search plan for the RAG path: standalone rewrite, filter, comparison and limits.
+ * Shared with /api/debug/retrieval so the debugger runs exactly the search users get.
+ */
+async function planRetrieval(userQuery, userId, classification, { history = [], filter: callerFilter = null } = {}) {
+  const topK = classification.type === 'route' ? 4 : 3;
+  const minScore = classification.type === 'route' ? 0.42 : 0.38;
+
+  // 🔁 Follow-ups ("what about its memory?") are searched as standalone queries
+  const queryRewrite = await queryRewriter.rewrite(userQuery, {
+    history,
+    previousQuery: conversationManager.getMetadata(userId).lastSearchQuery || null
+  });
+  const routedFilter = smartRouter.extractProductFilter(queryRewrite.rewritten);
+  // A caller-supplied filter narrows the routed one further
+  const filter = callerFilter && routedFilter
+    ? { $and: [routedFilter, callerFilter] }
+    : callerFilter || routedFilter;
+  const comparison = smartRouter.detectComparison(queryRewrite.rewritten);
+
+  return {
+    queryRewrite,
+    filter,
+    comparison,
+    topK: comparison ? Math.max(topK, 2 * comparison.products.length) : topK,
+    minScore
+  };
+}
+
 /**
  * Handle conversations using RAG only (no Voiceflow fallback)
  * Eliminates external runtime latency and avoids extra OpenAI calls
  */
-async function handleConversation(userQuery, userId, classification, tracker = null) {
+/**
+ * Language of a user turn: the one the client asked for, else the one detected in the text.
+ * Turns too short to tell keep the conversation's previous language.
+ */
+function resolveTurnLanguage(userId, text, requested = null) {
+  const explicit = normalizeLanguage(requested);
+  if (explicit) return explicit;
+  const previous = conversationManager.getMetadata(userId).language || DEFAULT_LANGUAGE;
+  return detectLanguage(text, { fallback: previous }).language;
+}
+
+/**
+ * The structured chat response for an answer. Model output is used when the engine produced
+ * it; scripted replies (discovery, repeat, fallback lines) get a structure derived from the text.
+ * Discovery facts merge what the conversation manager found with what the model picked up.
+ */
+function buildStructuredResponse(userId, text, structured = null) {
+  const value = structured || { ...structureFromText(text), repair: 'text' };
+  const known = Object.fromEntries(Object.entries(conversationManager.extractDiscoveredFacts(userId))
+    .filter(([, fact]) => fact !== null && !(Array.isArray(fact) && !fact.length)));
+  const detected = Object.fromEntries(Object.entries(value.discoveryFacts || {})
+    .filter(([, fact]) => fact !== null));
+  return { ...value, discoveryFacts: { ...known, ...detected } };
+}
+
+/**
+ * Output policy: drop sentences quoting prices, discounts or commitments from the answer (and
+ * from the chat panel text of a structured answer) and offer a callback in their place.
+ * Returns { ragResult, removed } with removed the number of sentences taken out.
+ */
+function applyOutputPolicy(userId, ragResult, language) {
+  const answer = policyGuard.checkOutput(ragResult.answer);
+  const display = ragResult.structured ? policyGuard.checkOutput(ragResult.structured.displayText) : null;
+  const violations = [...answer.violations, ...(display?.violations || [])];
+  const rules = Array.from(new Set(violations.flatMap(violation => violation.rules)));
+
+  policyGuard.audit({
+    stage: 'output',
+    action: violations.length ? 'redact' : 'pass',
+    rules,
+    matched: Array.from(new Set(violations.flatMap(violation => violation.matched))),
+    removed: violations.map(violation => violation.sentence),
+    userId,
+    language,
+    text: ragResult.answer
+  });
+  if (!violations.length) return { ragResult, removed: 0 };
+
+  console.log(`🛡️ [${userId}] Policy removed ${violations.length} sentence(s) quoting ${rules.join(', ')}`);
+  const withOffer = (checked) => {
+    if (!checked.violations.length) return checked.text;
+    const offer = checked.template ? prompts.render(checked.template, {}, { language }) : '';
+    return `${checked.text} ${offer}`.trim();
+  };
+  const text = withOffer(answer);
+  return {
+    ragResult: {
+      ...ragResult,
+      answer: text,
+      ...(display ? { structured: { ...ragResult.structured, spokenText: text, displayText: withOffer(display) } } : {})
+    },
+    removed: violations.length
+  };
+}
+
+async function handleConversation(userQuery, userId, classification, tracker = null, options = {}) {
   const startTime = Date.now();
-  const filter = smartRouter.extractProductFilter(userQuery);
-  const topK = classification.type === 'route' ? 4 : 3;
-  const minScore = classification.type === 'route' ? 0.42 : 0.38;
 
-  let buffer = '';
   let firstTokenTime = null;
   const spokenSegments = [];
   let speechChain = Promise.resolve();
 
+  // Citation markers ("[1]") belong in the chat transcript, not in the avatar's voice
   const enqueueSpeech = (segment) => {
-    if (!segment || !segment.trim()) return;
+    const spoken = stripCitations(segment).trim();
+    if (!spoken) return;
     speechChain = speechChain
-      .then(() => makeAvatarSpeak(userId, segment.trim(), 'repeat'))
+      .then(() => makeAvatarSpeak(userId, spoken, 'repeat'))
       .catch(err => console.error('Avatar speak error:', err.message || err));
   };
 
-  const flushBuffer = () => {
-    const segment = buffer.trim();
-    if (!segment) {
-      buffer = '';
-      return;
-    }
-    spokenSegments.push(segment);
-    enqueueSpeech(segment);
-    buffer = '';
+  // The RAG engine hands over each sentence once it passed the groundedness check; sentences
+  // the output policy would remove are never spoken
+  const speakSentence = (sentence) => {
+    if (policyGuard.screenSentence(sentence)) return;
+    spokenSegments.push(sentence);
+    enqueueSpeech(sentence);
   };
 
-  const shouldFlush = () => /[.!?]\s$/.test(buffer) || buffer.length >= 220;
+  const markFirstToken = () => {
+    if (firstTokenTime) return;
+    firstTokenTime = Date.now() - startTime;
+    if (tracker) tracker.mark('firstToken');
+  };
 
-  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+  const normalize = (text) => stripCitations(text).replace(/\s+/g, ' ').trim();
+  const language = options.language || resolveTurnLanguage(userId, userQuery);
 
   try {
     console.log(`🧠 [${userId}] Intelligent conversation handling`);
 
     // 🧠 ADD USER MESSAGE TO CONVERSATION HISTORY
     conversationManager.addMessage(userId, 'user', userQuery);
-
-    // 🧠 CHECK IF WE HAVE ENOUGH INFO TO RECOMMEND
-    const canRecommend = conversationManager.canRecommend(userId);
-    const discoveredFacts = conversationManager.extractDiscoveredFacts(userId);
-
-    // Check if this is a discovery conversation that needs SDR approach
-    const lowerQuery = userQuery.toLowerCase();
-    const isRepeatQuestion = (
-      (lowerQuery.includes('already') && (lowerQuery.includes('told') || lowerQuery.includes('shared'))) ||
-      lowerQuery.includes('i have already') ||
-      lowerQuery.includes('repeating')
-    );
-    
-    const needsRecommendation = (
-      canRecommend || 
-      lowerQuery.includes('recommend') ||
-      lowerQuery.includes('which server') ||
-      lowerQuery.includes('best server') ||
-      lowerQuery.includes('can you not tell')
-    );
-
-    const needsSDRDiscovery = (
-      lowerQuery.includes('help') || 
-      lowerQuery.includes('can you help') ||
-      lowerQuery.includes('how can you') ||
-      (lowerQuery.includes('bank') && lowerQuery.includes('cto')) ||
-      (lowerQuery.includes('identify') && lowerQuery.includes('server')) ||
-      (lowerQuery.includes('best') && lowerQuery.includes('need')) ||
-      lowerQuery.includes('not yet')
-    );
+    const previousLanguage = conversationManager.getMetadata(userId).language || DEFAULT_LANGUAGE;
+    if (language !== previousLanguage) {
+      console.log(`🌐 [${userId}] Language: ${previousLanguage} → ${language}`);
+    }
+    conversationManager.setMetadata(userId, { language });
+
+    // 🛡️ Pricing, contracts, competitors and other off-scope topics get a redirect or callback offer
+    const inputDecision = policyGuard.checkInput(userQuery);
+    policyGuard.audit({
+      stage: 'input',
+      action: inputDecision.action,
+      topic: inputDecision.topic ?? null,
+      matched: inputDecision.matched ?? [],
+      userId,
+      language,
+      text: userQuery
+    });
+    const isPolicyResponse = inputDecision.action !== 'allow';
+
+    // 🧭 DIALOGUE STATE - Intent and filled slots pick the next step of the SDR flow
+    // (a policy reply leaves the flow where it was)
+    const { state: currentState } = conversationManager.getDialogue(userId);
+    const dialogue = isPolicyResponse
+      ? { state: currentState, previous: currentState, reply: 'policy', intent: null }
+      : conversationManager.advanceDialogue(userId, userQuery, { classification });
+    if (dialogue.intent === 'provide_contact') {
+      const { lead, userTurns } = conversationManager.getMetadata(userId);
+      leadLog.record({
+        userId,
+        email: lead.email,
+        phone: lead.phone,
+        language,
+        turn: userTurns,
+        facts: conversationManager.extractDiscoveredFacts(userId)
+      });
+    }
+    const scripted = (answer, confidence = 0.9) => ({
+      answer,
+      sources: [],
+      confidence,
+      latency: Date.now() - startTime,
+      usedSDRFallback: true,
+      noResults: false
+    });
 
     let ragResult;
+    let queryRewrite = null;
 
-    // 🎯 RECOMMENDATION PATH - User has given enough info
-    if (needsRecommendation) {
+    // 🛡️ POLICY PATH - Off-scope topic, answered from the policy's template
+    if (isPolicyResponse) {
+      console.log(`🛡️ [${userId}] Policy ${inputDecision.action} (${inputDecision.topic}): ${inputDecision.matched.join(', ')}`);
+      ragResult = scripted(prompts.render(inputDecision.template, {}, { language }));
+    }
+    // 🎯 RECOMMENDATION PATH - User has given enough info or asked for one
+    else if (dialogue.reply === 'recommendation') {
       console.log(`🎯 [${userId}] Ready to recommend! Using RAG with recommendation context`);
       const recommendationPrompt = conversationManager.getRecommendationPrompt(userId);
       
@@ -848,80 +1084,75 @@ async function handleConversation(userQuery, userId, classification, tracker = n
         filter: null, // Get broader results for recommendation
         minScore: 0.35,
         stream: true,
-        conversationHistory: conversationManager.getFormattedHistory(userId),
+        format: options.format,
+        language,
+        history: conversationManager.getHistory(userId),
         onToken: ({ token }) => {
-          if (!token) return;
-          buffer += token;
-          if (!firstTokenTime) {
-            firstTokenTime = Date.now() - startTime;
-            if (tracker) tracker.mark('firstToken');
-          }
-          if (shouldFlush()) flushBuffer();
-        }
+          if (token) markFirstToken();
+        },
+        onSentence: speakSentence
       });
     } 
     // 🚫 REPEAT DETECTION - User says they already told us
-    else if (isRepeatQuestion) {
+    else if (dialogue.reply === 'repeat') {
       console.log(`⚠️ [${userId}] User says they already shared info - apologizing and moving forward`);
       const facts = conversationManager.extractDiscoveredFacts(userId);
-      let response = "You're absolutely right, my apologies! ";
+      let response;
       
       if (facts.users && facts.workloads.length > 0) {
-        response += `Based on what you've shared—${facts.users} users handling ${facts.workloads.join(' and ')} workloads`;
-        if (facts.needs.length > 0) response += ` with focus on ${facts.needs.join(' and ')}`;
-        response += `—let me recommend the right ProLiant solution for you. Give me just a moment to pull the specifics.`;
+        let summary = `${facts.users} users handling ${facts.workloads.join(' and ')} workloads`;
+        if (facts.needs.length > 0) summary += ` with focus on ${facts.needs.join(' and ')}`;
+        response = prompts.render('repeatWithFacts', { facts: summary }, { language });
       } else {
-        response += "Let me review what you've told me and get you a proper recommendation.";
+        response = prompts.render('repeatWithoutFacts', {}, { language });
       }
       
-      ragResult = {
-        answer: response,
-        sources: [],
-        confidence: 0.9,
-        latency: 50,
-        usedSDRFallback: true,
-        noResults: false
-      };
+      ragResult = scripted(response);
     }
     // 🎯 DISCOVERY PATH - Continue asking questions
-    else if (needsSDRDiscovery) {
+    else if (dialogue.reply === 'discovery') {
       console.log(`🎯 [${userId}] Using SDR discovery approach`);
-      ragResult = {
-        answer: ragEngine.generateSDRDiscoveryResponse(userQuery),
-        sources: [],
-        confidence: 0.8,
-        latency: 50,
-        usedSDRFallback: true,
-        noResults: false
-      };
+      ragResult = scripted(ragEngine.generateSDRDiscoveryResponse(userQuery, language), 0.8);
+    }
+    // 📇 LEAD CAPTURE / HANDOFF - Ask for contact details, or confirm the callback
+    else if (['leadCapture', 'leadDeclined', 'handoff', 'handoffClosing'].includes(dialogue.reply)) {
+      console.log(`📇 [${userId}] SDR ${dialogue.reply} reply`);
+      ragResult = scripted(prompts.render(dialogue.reply, {}, { language }));
     } 
     // 📚 RAG PATH - Technical question with conversation context
     else {
       console.log(`📚 [${userId}] Using RAG with conversation context`);
+
+      const plan = await planRetrieval(userQuery, userId, classification, {
+        history: conversationManager.getHistory(userId).slice(0, -1),
+        filter: options.filter
+      });
+      queryRewrite = plan.queryRewrite;
+      if (queryRewrite.method !== 'none') {
+        console.log(`🔁 [${userId}] Rewrote follow-up (${queryRewrite.method}): "${queryRewrite.original}" → "${queryRewrite.rewritten}"`);
+      }
+      conversationManager.setMetadata(userId, { lastSearchQuery: queryRewrite.rewritten });
+
       ragResult = await ragEngine.query(userQuery, {
-        topK,
-        filter,
-        minScore,
+        searchQuery: queryRewrite.rewritten,
+        topK: plan.topK,
+        filter: plan.filter,
+        comparison: plan.comparison,
+        minScore: plan.minScore,
         stream: true,
-        conversationHistory: conversationManager.getFormattedHistory(userId, 4),
+        format: options.format,
+        language,
+        history: conversationManager.getHistory(userId).slice(0, -1),
         onToken: ({ token }) => {
-          if (!token) return;
-          buffer += token;
-          if (!firstTokenTime) {
-            firstTokenTime = Date.now() - startTime;
-            if (tracker) {
-              tracker.mark('firstToken');
-            }
-          }
-          if (shouldFlush()) {
-            flushBuffer();
-          }
-        }
+          if (token) markFirstToken();
+        },
+        onSentence: speakSentence
       });
     }
 
-    if (buffer.trim()) {
-      flushBuffer();
+    let policyRemoved = 0;
+    if (!isPolicyResponse && ragResult?.answer) {
+      ({ ragResult, removed: policyRemoved } = applyOutputPolicy(userId, ragResult, language));
     }
 
     const finalAnswer = ragResult?.answer && ragResult.answer.trim() ? ragResult.answer.trim() : null;
@@ -948,30 +1179,56 @@ async function handleConversation(userQuery, userId, classification, tracker = n
       enqueueSpeech(finalAnswer);
     }
 
-    const success = ragResult && !ragResult.noResults && finalAnswer;
+    const success = !isPolicyResponse && ragResult && !ragResult.noResults && finalAnswer;
     const isSDRResponse = ragResult?.usedSDRFallback && finalAnswer;
     
     let text, method;
     
-    if (success) {
+    if (isPolicyResponse && finalAnswer) {
+      text = finalAnswer;
+      method = 'policy';
+    } else if (success) {
       text = finalAnswer;
       method = 'rag';
     } else if (isSDRResponse) {
       text = finalAnswer;
       method = 'sdr_discovery';
     } else {
-      text = "Thanks for your question! To give you the most accurate guidance, could you help me understand your specific needs? Are you looking at servers for virtualization, databases, analytics, or other workloads?";
+      text = prompts.render('clarify', {}, { language });
       method = 'fallback';
       spokenSegments.push(text);
       enqueueSpeech(text);
     }
 
+    const structured = options.format === 'structured'
+      ? buildStructuredResponse(userId, text, success || isSDRResponse ? ragResult.structured : null)
+      : null;
+
     // 🧠 SAVE ASSISTANT RESPONSE TO CONVERSATION HISTORY
-    conversationManager.addMessage(userId, 'assistant', text);
+    conversationManager.addMessage(userId, 'assistant', structured?.displayText || text);
 
     return {
       text,
+      structured,
       sources: success ? ragResult.sources : [],
+      filterStatus: success ? ragResult.filterStatus || 'none' : null,
+      queryRewrite,
+      groundedness: success ? ragResult.groundedness ?? null : null,
+      promptVersion: ragResult?.promptVersion || prompts.version,
+      promptTokens: ragResult?.promptTokens ?? null,
+      degraded: success ? ragResult.degraded ?? null : null,
+      policy: {
+        action: inputDecision.action,
+        topic: inputDecision.topic ?? null,
+        removedSentences: policyRemoved
+      },
+      dialogue: {
+        state: dialogue.state,
+        previous: dialogue.previous,
+        intent: dialogue.intent,
+        reply: dialogue.reply
+      },
+      language,
       method,
       latency: ragResult?.latency || Date.now() - startTime,
       ttft: firstTokenTime
@@ -979,12 +1236,15 @@ async function handleConversation(userQuery, userId, classification, tracker = n
 
   } catch (error) {
     console.error(`❌ [${userId}] Conversation error:`, error.message);
-    const fallback = "I'm experiencing a brief technical hiccup. While I sort that out, could you tell me what's driving your server evaluation? Are you looking at replacing existing infrastructure, expanding capacity, or addressing specific performance needs?";
+    const fallback = prompts.render('error', {}, { language });
     enqueueSpeech(fallback);
     return {
       text: fallback,
+      structured: options.format === 'structured' ? buildStructuredResponse(userId, fallback) : null,
       sources: [],
       method: 'error_fallback',
+      promptVersion: prompts.version,
+      language,
       latency: Date.now() - startTime,
       ttft: firstTokenTime
     };
@@ -995,7 +1255,7 @@ async function handleConversation(userQuery, userId, classification, tracker = n
 // SPEECH-TO-TEXT FUNCTION
 // ============================================
 
-async function transcribeAudio(audioBase64) {
+async function transcribeAudio(audioBase64, { language = TRANSCRIPTION_LANGUAGE } = {}) {
   try {
     console.log('🎤 Transcribing...');
     const startTime = Date.now();
@@ -1005,6 +1265,10 @@ async function transcribeAudio(audioBase64) {
     const audioSizeKB = (audioBuffer.length / 1024).toFixed(2);
     console.log(`📦 Audio size: ${audioSizeKB} KB`);
     
+    if (!openai) {
+      throw new Error('Speech transcription needs OPENAI_API_KEY');
+    }
+    
     const file = await toFile(audioBuffer, 'audio.webm', {
       type: 'audio/webm'
     });
@@ -1022,7 +1286,7 @@ async function transcribeAudio(audioBase64) {
       const transcription = await openai.audio.transcriptions.create({
         file: file,
         model: TRANSCRIPTION_MODEL,
-        language: 'en',              // ⚡ Explicit language = 30% faster
+        ...(language ? { language } : {}), // ⚡ Explicit language = 30% faster; otherwise detected
         response_format: 'text',      // ⚡ Fastest format
         temperature: 0,               // ⚡ Deterministic = faster
         prompt: 'HPE ProLiant server' // ⚡ Shorter prompt for speed
@@ -1047,7 +1311,7 @@ async function transcribeAudio(audioBase64) {
           const transcription = await openai.audio.transcriptions.create({
             file: file,
             model: TRANSCRIPTION_MODEL,
-            language: 'en',
+            ...(language ? { language } : {}),
             response_format: 'text'
           });
           const text = transcription.trim();
@@ -1068,7 +1332,7 @@ async function transcribeAudio(audioBase64) {
           const transcription = await openai.audio.transcriptions.create({
             file: file,
             model: TRANSCRIPTION_MODEL,
-            language: 'en',
+            ...(language ? { language } : {}),
             response_format: 'text'
           });
           const text = transcription.trim();
@@ -1095,12 +1359,19 @@ async function transcribeAudio(audioBase64) {
 // ============================================
 
 app.get('/api/health', (req, res) => {
+  // Degraded: every answer model is behind an open circuit, so answers are read from the KB
   res.json({
-    status: 'ok',
+    status: llm.isAvailable('answer') ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
     activeSessions: activeSessions.size,
     cacheSize: responseCache.size,
-    ragEnabled: true
+    ragEnabled: true,
+    llm: llm.describe(),
+    promptVersion: prompts.version,
+    policyVersion: policyGuard.version,
+    conversationStore: conversationManager.describe().kind,
+    languages: prompts.languages,
+    transcription: Boolean(openai)
   });
 });
 
@@ -1197,7 +1468,7 @@ app.post('/api/start-session', async (req, res) => {
 
 app.post('/api/session-ready', async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, language = null } = req.body;
     
     if (!userId) {
       return res.status(400).json({ success: false, error: 'userId is required' });
@@ -1225,13 +1496,14 @@ app.post('/api/session-ready', async (req, res) => {
     console.log(`✅ Session ready: ${userId}`);
 
     // ⚡ INSTANT GREETING: Pre-cached welcome message (no Voiceflow delay)
-        const instantWelcome = "Hi, I'm the HPE team's virtual SDR for ProLiant. May I ask a few quick questions to match the right option for you?";
+    const instantWelcome = prompts.render('greeting', {}, { language: normalizeLanguage(language) || DEFAULT_LANGUAGE });
     
     // Return immediately with instant greeting
     res.json({ 
       success: true, 
       message: 'Session ready',
-      welcomeText: instantWelcome
+      welcomeText: instantWelcome,
+      promptVersion: prompts.version
     });
 
     // ⚡ Make avatar speak instantly (fire-and-forget, no Voiceflow wait)
@@ -1255,7 +1527,7 @@ app.post('/api/speak', async (req, res) => {
   const tracker = new LatencyTracker(requestId);
   
   try {
-    const { userId, audioData } = req.body;
+    const { userId, audioData, language: requestedLanguage = null } = req.body;
     
     if (!userId || !audioData) {
       return res.status(400).json({ 
@@ -1269,7 +1541,9 @@ app.post('/api/speak', async (req, res) => {
     // STEP 1: Transcribe with error handling
     let transcribedText;
     try {
-      transcribedText = await transcribeAudio(audioData);
+      transcribedText = await transcribeAudio(audioData, {
+        language: normalizeLanguage(requestedLanguage) || TRANSCRIPTION_LANGUAGE
+      });
       tracker.mark('transcriptionEnd');
       
       if (!transcribedText || transcribedText.trim() === '') {
@@ -1300,8 +1574,11 @@ app.post('/api/speak', async (req, res) => {
       
       return;
     }
+    await conversationManager.load(userId);
+    const language = resolveTurnLanguage(userId, transcribedText, requestedLanguage);
+
     // ⚡ CHECK CACHE FIRST
-    const cachedResult = getCachedResponse(transcribedText);
+    const cachedResult = getCachedResponse(transcribedText, language);
     if (cachedResult) {
       console.log(`⚡ [${requestId}] Using cached response`);
       
@@ -1312,6 +1589,11 @@ app.post('/api/speak', async (req, res) => {
         sources: cachedResult.sources || [],
         usedRAG: cachedResult.usedRAG || false,
         classification: cachedResult.classification || 'cached',
+        filterStatus: cachedResult.filterStatus ?? null,
+        groundedness: cachedResult.groundedness ?? null,
+        promptVersion: cachedResult.promptVersion ?? null,
+        dialogue: { state: conversationManager.getDialogue(userId).state },
+        language,
         cached: true
       });
       
@@ -1340,7 +1622,7 @@ app.post('/api/speak', async (req, res) => {
     
   // ⚡ OPTIMIZED: Use intelligent conversation handler (no Voiceflow latency)
   tracker.mark('responseStart');
-  const conversationResult = await handleConversation(transcribedText, userId, classification, tracker);
+  const conversationResult = await handleConversation(transcribedText, userId, classification, tracker, { language });
     
     responseText = conversationResult.text;
     sources = conversationResult.sources;
@@ -1358,13 +1640,18 @@ app.post('/api/speak', async (req, res) => {
       throw new Error('No response generated');
     }
     
-    // ⚡ CACHE THE RESPONSE
-    cacheResponse(transcribedText, {
+    // ⚡ CACHE THE RESPONSE (knowledge-base answers only: other replies depend on the dialogue state)
+    if (conversationResult.dialogue?.reply === 'technical') cacheResponse(transcribedText, {
       responseText,
       sources,
       usedRAG,
       classification: classification.type,
       method: responseMethod,
+      filterStatus: conversationResult.filterStatus ?? null,
+      groundedness: conversationResult.groundedness ?? null,
+      promptVersion: conversationResult.promptVersion ?? null,
+      language,
+      degraded: conversationResult.degraded ?? null,
       ttft: conversationResult.ttft ?? null
     });
     
@@ -1377,6 +1664,15 @@ app.post('/api/speak', async (req, res) => {
       usedRAG: usedRAG,
       classification: classification.type,
       method: responseMethod,
+      filterStatus: conversationResult.filterStatus ?? null,
+      queryRewrite: conversationResult.queryRewrite ?? null,
+      groundedness: conversationResult.groundedness ?? null,
+      promptVersion: conversationResult.promptVersion ?? null,
+      promptTokens: conversationResult.promptTokens ?? null,
+      degraded: conversationResult.degraded ?? null,
+      policy: conversationResult.policy ?? null,
+      dialogue: conversationResult.dialogue ?? null,
+      language,
       ttft: conversationResult.ttft ?? null
     });
     
@@ -1399,7 +1695,7 @@ app.post('/api/chat', async (req, res) => {
   const tracker = new LatencyTracker(requestId);
   
   try {
-    const { userId, message } = req.body;
+    const { userId, message, filter = null, format = 'text', language: requestedLanguage = null } = req.body;
     
     if (!userId || !message) {
       return res.status(400).json({ 
@@ -1408,13 +1704,41 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
+    if (!RESPONSE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${RESPONSE_FORMATS.join(', ')}`
+      });
+    }
+    const structured = format === 'structured';
+
+    if (requestedLanguage && !normalizeLanguage(requestedLanguage)) {
+      return res.status(400).json({
+        success: false,
+        error: `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+      });
+    }
+    await conversationManager.load(userId);
+    const language = resolveTurnLanguage(userId, message, requestedLanguage);
+
+    try {
+      validateFilter(filter);
+    } catch (error) {
+      if (!(error instanceof FilterError)) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     console.log(`💬 [${requestId}] Chat: ${userId}`);
     console.log(`📝 [${requestId}] User: "${message}"`);
     
     tracker.mark('transcriptionEnd'); // No actual transcription for text
     
-    // ⚡ CHECK CACHE FIRST
-    const cachedResult = getCachedResponse(message);
+    // ⚡ CHECK CACHE FIRST (cached answers were not filtered the way this caller asks, and are text only)
+    const cachedResult = filter || structured ? null : getCachedResponse(message, language);
     if (cachedResult) {
       console.log(`⚡ [${requestId}] Using cached response`);
       
@@ -1425,6 +1749,11 @@ app.post('/api/chat', async (req, res) => {
         sources: cachedResult.sources || [],
         usedRAG: cachedResult.usedRAG || false,
         classification: cachedResult.classification || 'cached',
+        filterStatus: cachedResult.filterStatus ?? null,
+        groundedness: cachedResult.groundedness ?? null,
+        promptVersion: cachedResult.promptVersion ?? null,
+        dialogue: { state: conversationManager.getDialogue(userId).state },
+        language,
         cached: true
       });
       
@@ -1446,7 +1775,7 @@ app.post('/api/chat', async (req, res) => {
     console.log(`🧠 [${requestId}] Classification:`, classification);
     
   tracker.mark('responseStart');
-  const conversationResult = await handleConversation(message, userId, classification, tracker);
+  const conversationResult = await handleConversation(message, userId, classification, tracker, { filter, format, language });
     const responseText = conversationResult.text;
     const sources = conversationResult.sources;
     const usedRAG = (conversationResult.method === 'rag');
@@ -1463,25 +1792,42 @@ app.post('/api/chat', async (req, res) => {
       throw new Error('No response generated');
     }
     
-    // ⚡ CACHE THE RESPONSE
-    cacheResponse(message, {
-      responseText,
-      sources,
-      usedRAG,
-      classification: classification.type,
-      method: responseMethod,
-      ttft: conversationResult.ttft ?? null
-    });
+    // ⚡ CACHE THE RESPONSE (knowledge-base answers only: other replies depend on the dialogue state)
+    if (!filter && !structured && conversationResult.dialogue?.reply === 'technical') {
+      cacheResponse(message, {
+        responseText,
+        sources,
+        usedRAG,
+        classification: classification.type,
+        method: responseMethod,
+        filterStatus: conversationResult.filterStatus ?? null,
+        groundedness: conversationResult.groundedness ?? null,
+        promptVersion: conversationResult.promptVersion ?? null,
+        language,
+        degraded: conversationResult.degraded ?? null,
+        ttft: conversationResult.ttft ?? null
+      });
+    }
     
     // Send response immediately
     res.json({
       success: true,
       userMessage: message,
       avatarResponse: responseText,
+      ...(structured ? { structured: conversationResult.structured } : {}),
       sources: sources,
       usedRAG: usedRAG,
       classification: classification.type,
       method: responseMethod,
+      filterStatus: conversationResult.filterStatus ?? null,
+      queryRewrite: conversationResult.queryRewrite ?? null,
+      groundedness: conversationResult.groundedness ?? null,
+      promptVersion: conversationResult.promptVersion ?? null,
+      promptTokens: conversationResult.promptTokens ?? null,
+      degraded: conversationResult.degraded ?? null,
+      policy: conversationResult.policy ?? null,
+      dialogue: conversationResult.dialogue ?? null,
+      language,
       ttft: conversationResult.ttft ?? null
     });
     
@@ -1536,32 +1882,104 @@ app.get('/api/rag-stats', (req, res) => {
     : {};
   res.json({
     cache: ragStats,
+    knowledgeBase: ragEngine.getKnowledgeBaseInfo(),
     router: 'smart-router',
     status: 'operational',
     routerStats: smartRouter.getCacheStats()
   });
 });
 
+// ============================================
+// ADMIN: Hot-reload the knowledge base
+// ============================================
+// Admin routes fail closed: without ADMIN_TOKEN they are refused, not open to everyone
+if (!CONFIG.ADMIN_TOKEN) {
+  console.warn('⚠️  ADMIN_TOKEN is not set: /api/admin/* routes are disabled');
+}
+
+function requireAdmin(req, res, next) {
+  if (!CONFIG.ADMIN_TOKEN) {
+    return res.status(403).json({ success: false, error: 'Admin routes are disabled (ADMIN_TOKEN is not set)' });
+  }
+  const given = Buffer.from(String(req.get('x-admin-token') || ''));
+  const expected = Buffer.from(CONFIG.ADMIN_TOKEN);
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+  return res.status(401).json({ success: false, error: 'Invalid admin token' });
+}
+
+app.post('/api/admin/reload-kb', requireAdmin, async (req, res) => {
+  try {
+    const result = await ragEngine.reloadKnowledgeBase();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Knowledge base reload failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      knowledgeBase: ragEngine.getKnowledgeBaseInfo()
+    });
+  }
+});
+
+// ============================================
+// ADMIN: Policy decisions for compliance review
+// ============================================
+// Policy decisions and leads carry user IDs, excerpts and contact details: only registered when an admin token is configured
+if (CONFIG.ADMIN_TOKEN) {
+  app.get('/api/admin/policy-audit', requireAdmin, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json({
+      success: true,
+      policy: policyGuard.describe(),
+      decisions: policyGuard.recentDecisions(limit)
+    });
+  });
+
+  // Callback requests captured at handoff, with contact details: same protection as the audit
+  app.get('/api/admin/leads', requireAdmin, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    try {
+      res.json({ success: true, log: leadLog.describe(), leads: await leadLog.recentLeads(limit) });
+    } catch (error) {
+      console.error('❌ Reading leads failed:', error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
 // ============================================
 // NEW: Debug Endpoints for Monitoring Routing
 // ============================================
-app.post('/api/debug/classify', (req, res) => {
+app.post('/api/debug/classify', async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, userId } = req.body;
     
     if (!text) {
       return res.status(400).json({ error: 'text is required' });
     }
     
+    await conversationManager.load(userId);
     const classification = smartRouter.classifyQuestion(text);
-    const filter = smartRouter.extractProductFilter(text);
+    // With a userId, show how the text would be rewritten against that conversation
+    const queryRewrite = userId
+      ? await queryRewriter.rewrite(text, {
+        history: conversationManager.getHistory(userId),
+        previousQuery: conversationManager.getMetadata(userId).lastSearchQuery || null
+      })
+      : null;
+    const filter = smartRouter.extractProductFilter(queryRewrite?.rewritten || text);
     const shouldUseRAG = smartRouter.shouldUseRAG(classification);
     const shouldUseIntelligent = smartRouter.shouldUseIntelligentResponse(classification);
+    const intent = detectIntent(text, { classification, slotsFilled: extractSlots(text).updates.length });
     
     res.json({
       input: text,
       classification,
+      intent,
+      dialogueState: userId ? conversationManager.getDialogue(userId).state : null,
+      queryRewrite,
       filter,
+      comparison: smartRouter.detectComparison(queryRewrite?.rewritten || text),
       routing: {
         shouldUseRAG,
         shouldUseIntelligent,
@@ -1574,6 +1992,50 @@ app.post('/api/debug/classify', (req, res) => {
   }
 });
 
+// Runs the RAG path's retrieval for a message without answering or touching the conversation:
+// every candidate with its score and why it was dropped, the unfiltered retry, the final context.
+app.post('/api/debug/retrieval', async (req, res) => {
+  try {
+    const { text, userId, filter = null, language: requestedLanguage = null } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    validateFilter(filter);
+    await conversationManager.load(userId);
+    const language = resolveTurnLanguage(userId, text, requestedLanguage);
+
+    const classification = smartRouter.classifyQuestion(text);
+    const plan = await planRetrieval(text, userId, classification, {
+      history: userId ? conversationManager.getHistory(userId) : [],
+      filter
+    });
+    const explanation = await ragEngine.explain(text, {
+      history: userId ? conversationManager.getHistory(userId) : undefined,
+      searchQuery: plan.queryRewrite.rewritten,
+      topK: plan.topK,
+      filter: plan.filter,
+      comparison: plan.comparison,
+      minScore: plan.minScore,
+      language
+    });
+
+    res.json({
+      input: text,
+      language,
+      classification,
+      queryRewrite: plan.queryRewrite,
+      ...explanation
+    });
+
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/debug/cache', (req, res) => {
   try {
     const cacheEntries = [];
@@ -1611,9 +2073,13 @@ app.get('/api/debug/cache', (req, res) => {
 // ============================================
 // NEW: Debug endpoint for conversation memory
 // ============================================
-app.get('/api/debug/conversations', (req, res) => {
+app.get('/api/debug/conversations', async (req, res) => {
   try {
-    const activeConvs = conversationManager.getActiveConversations();
+    // Every conversation in the store, not just the ones this instance has served
+    const activeConvs = await conversationManager.listConversations();
+    for (const userId of activeConvs) {
+      await conversationManager.load(userId);
+    }
     const memUsage = process.memoryUsage();
     
     const conversationDetails = activeConvs.map(userId => {
@@ -1625,13 +2091,17 @@ app.get('/api/debug/conversations', (req, res) => {
         userId: userId.substring(0, 15) + '...',
         messageCount: history.length,
         discoveredFacts: facts,
+        slots: conversationManager.getSlots(userId),
         canRecommend,
+        dialogue: conversationManager.getDialogue(userId),
+        hasContact: Boolean(conversationManager.getMetadata(userId).lead),
         lastUpdated: history[history.length - 1]?.timestamp
       };
     });
     
     res.json({
       totalActiveConversations: activeConvs.length,
+      store: conversationManager.describe(),
       memoryUsage: {
         heapUsed: `${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`,
         heapTotal: `${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`,
@@ -1666,8 +2136,9 @@ process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down...');
   
   for (const userId of activeSessions.keys()) {
-    await closeAvatarSession(userId);
+    await closeAvatarSession(userId, { keepConversation: true });
   }
+  await conversationManager.close();
   
   process.exit(0);
 });
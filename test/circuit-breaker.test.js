@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CircuitBreaker from '../kb/circuit-breaker.js';
+import LLMGateway, { LLMUnavailableError, ScriptedProvider } from '../kb/llm-provider.js';
+
+const outage = () => Object.assign(new Error('upstream unavailable'), { status: 503 });
+
+test('the breaker opens after threshold failures and lets one trial through after the cooldown', () => {
+  let clock = 0;
+  const breaker = new CircuitBreaker({ name: 'test', threshold: 2, cooldownMs: 1000, now: () => clock });
+
+  breaker.recordFailure(outage());
+  assert.equal(breaker.state, 'closed');
+  breaker.recordFailure(outage());
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+
+  clock = 1000;
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.allowRequest(), false, 'only one trial call');
+
+  breaker.recordFailure(outage());
+  assert.equal(breaker.state, 'open', 'a failed trial reopens the circuit');
+  clock = 2000;
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.describe().opens, 2);
+});
+
+test('the gateway fails fast once the answer circuit is open, then recovers', async () => {
+  let healthy = false;
+  const provider = new ScriptedProvider({
+    script: [{
+      reply: () => {
+        if (!healthy) throw outage();
+        return 'The DL380 is a 2U server.';
+      }
+    }]
+  });
+  const gateway = new LLMGateway({
+    env: { LLM_RETRY_DELAY: '0', LLM_BREAKER_THRESHOLD: '2', LLM_BREAKER_COOLDOWN: '1000' },
+    providers: { answer: provider }
+  });
+  let clock = 0;
+  gateway.breakers.get('answer:primary').now = () => clock;
+  const request = { messages: [{ role: 'user', content: 'How tall is the DL380?' }] };
+
+  // Each failing call is retried once: two calls reach the provider four times
+  for (let i = 0; i < 2; i += 1) {
+    await assert.rejects(gateway.complete('answer', request), LLMUnavailableError);
+  }
+  assert.equal(provider.calls.length, 4);
+  assert.equal(gateway.isAvailable('answer'), false);
+
+  await assert.rejects(gateway.complete('answer', request), error => error.cause?.code === 'CIRCUIT_OPEN');
+  assert.equal(provider.calls.length, 4, 'an open circuit does not call the provider');
+
+  clock = 1000;
+  healthy = true;
+  assert.deepEqual(await gateway.complete('answer', request), { text: 'The DL380 is a 2U server.', model: 'scripted' });
+  assert.equal(gateway.describe().answer.breaker.state, 'closed');
+});
+
+test('a stream that fails before its first token counts against the breaker', async () => {
+  const provider = new ScriptedProvider({ script: [{ reply: () => { throw outage(); } }] });
+  const gateway = new LLMGateway({
+    env: { LLM_RETRY_DELAY: '0', LLM_BREAKER_THRESHOLD: '1' },
+    providers: { answer: provider }
+  });
+  const drain = async () => {
+    for await (const delta of gateway.stream('answer', { messages: [] })) assert.fail(`unexpected ${delta}`);
+  };
+  await assert.rejects(drain(), LLMUnavailableError);
+  assert.equal(gateway.describe().answer.breaker.state, 'open');
+});
+
+test('a bad request is thrown as is and does not open the circuit', async () => {
+  const badRequest = () => Object.assign(new Error('context length exceeded'), { status: 400 });
+  const provider = new ScriptedProvider({ script: [{ reply: () => { throw badRequest(); } }] });
+  const gateway = new LLMGateway({
+    env: { LLM_RETRY_DELAY: '0', LLM_BREAKER_THRESHOLD: '1', LLM_FALLBACK_MODEL: 'small' },
+    providers: { answer: provider }
+  });
+  const fallback = gateway.providerFor(gateway.routes.answer.fallback);
+  const request = { messages: [{ role: 'user', content: 'How tall is the DL380?' }] };
+
+  for (let i = 0; i < 3; i += 1) {
+    await assert.rejects(gateway.complete('answer', request), error => error.status === 400);
+  }
+  const drain = async () => {
+    for await (const delta of gateway.stream('answer', request)) assert.fail(`unexpected ${delta}`);
+  };
+  await assert.rejects(drain(), error => error.status === 400);
+
+  assert.equal(provider.calls.length, 4, 'no retry');
+  assert.equal(fallback.calls.length, 0, 'no fallback');
+  const { breaker } = gateway.describe().answer;
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.failures, 0);
+});
+
+test('a bad request during the half-open trial frees the trial slot', async () => {
+  let clock = 0;
+  const breaker = new CircuitBreaker({ name: 'test', threshold: 1, cooldownMs: 1000, now: () => clock });
+  breaker.recordFailure(outage());
+  clock = 1000;
+  assert.equal(breaker.allowRequest(), true);
+  breaker.release();
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), true, 'the next call may try again');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCitations, stripCitations } from '../kb/citations.js';
+
+const blocks = [1, 2, 3].map(citation => ({ citation, source: `doc-${citation}` }));
+
+test('cited blocks come back in order of first mention', () => {
+  const { answer, cited } = extractCitations('The DL380 takes 32 DIMMs [2]. It supports GPUs [1, 2].', blocks);
+  assert.equal(answer, 'The DL380 takes 32 DIMMs [2]. It supports GPUs [1, 2].');
+  assert.deepEqual(cited.map(block => block.citation), [2, 1]);
+});
+
+test('markers for blocks that do not exist are removed', () => {
+  const { answer, cited } = extractCitations('It has iLO 7 [7]. It is 2U [3, 9].', blocks);
+  assert.equal(answer, 'It has iLO 7. It is 2U [3].');
+  assert.deepEqual(cited.map(block => block.citation), [3]);
+});
+
+test('an answer without markers cites nothing', () => {
+  assert.deepEqual(extractCitations('No context was used.', blocks), { answer: 'No context was used.', cited: [] });
+  assert.deepEqual(extractCitations(null, blocks), { answer: '', cited: [] });
+});
+
+test('stripCitations leaves clean text for speech', () => {
+  assert.equal(stripCitations('It supports GPUs [1, 2]. It is 2U [3].'), 'It supports GPUs. It is 2U.');
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assembleContext, buildChunkIndex, estimateTokens, mergeOverlap, renderBlock } from '../kb/context-builder.js';
+
+// Chunks cut the way the build does: fixed windows that repeat the last OVERLAP characters
+const SIZE = 60;
+const OVERLAP = 15;
+const BROCHURE = 'The DL380 Gen11 is a 2U rack server. It takes two Xeon processors. Memory goes up to 8 TB of DDR5. '
+  + 'Storage bays hold up to 36 SFF drives. iLO 6 handles remote management. Power supplies are redundant.';
+const WEB_PAGE = 'The ML350 Gen11 is a tower server for branch offices. It can be converted to a 5U rack server later on.';
+
+function cut(text, base) {
+  const chunks = [];
+  for (let start = 0, index = 0; start < text.length - OVERLAP; start += SIZE - OVERLAP, index += 1) {
+    chunks.push({ ...base(index), text: text.slice(start, start + SIZE) });
+  }
+  return chunks;
+}
+
+const METADATA = [
+  ...cut(BROCHURE, index => ({
+    id: `dl380-p4-${index}`,
+    source: 'dl380-quickspecs.pdf',
+    document_id: 'dl380-quickspecs',
+    title: 'HPE ProLiant DL380 Gen11 QuickSpecs',
+    metadata: { original_id: 'dl380-quickspecs-p4', chunk_index: index, page: 4 }
+  })),
+  ...cut(WEB_PAGE, index => ({
+    id: `ml350-web-${index}`,
+    source: 'https://www.hpe.com/in/en/proliant-ml350.html',
+    url: 'https://www.hpe.com/in/en/proliant-ml350.html',
+    title: 'HPE ProLiant ML350 Gen11',
+    metadata: { original_id: 'ml350-web', chunk_index: index }
+  }))
+];
+const chunkIndex = buildChunkIndex(METADATA);
+const hit = (id) => ({ id, metadata: METADATA.find(record => record.id === id) });
+const brochureChunks = METADATA.filter(record => record.source === 'dl380-quickspecs.pdf').length;
+
+test('consecutive chunks are joined without the text their overlap repeats', () => {
+  const [first, second] = METADATA;
+  assert.equal(mergeOverlap(first.text, second.text), BROCHURE.slice(0, 2 * SIZE - OVERLAP));
+  assert.equal(mergeOverlap('Up to 8 TB', 'of memory.'), 'Up to 8 TB of memory.', 'no overlap');
+  assert.equal(mergeOverlap('ends with DDR5', 'DDR5 memory'), 'ends with DDR5 DDR5 memory', 'too short to be an overlap');
+});
+
+test('a hit is widened by its neighbours from the same document, in document order', () => {
+  const context = assembleContext([hit('dl380-p4-2')], chunkIndex, { window: 1, tokenBudget: 1000 });
+  assert.equal(context.blocks.length, 1);
+  const [block] = context.blocks;
+  assert.deepEqual(block.chunkIds, ['dl380-p4-1', 'dl380-p4-2', 'dl380-p4-3']);
+  assert.deepEqual(block.hitIds, ['dl380-p4-2']);
+  assert.equal(block.text, BROCHURE.slice(SIZE - OVERLAP, 4 * (SIZE - OVERLAP) + OVERLAP));
+  assert.equal(block.page, 4);
+  assert.equal(block.documentId, 'dl380-quickspecs');
+  assert.equal(context.text, `[1] HPE ProLiant DL380 Gen11 QuickSpecs, p. 4\n${block.text}`);
+  assert.equal(context.tokens, [1, 2, 3].reduce((sum, row) => sum + estimateTokens(METADATA[row].text), 0));
+});
+
+test('each document becomes one block, numbered from firstCitation in the order the hits ranked', () => {
+  const context = assembleContext([hit('ml350-web-0'), hit('dl380-p4-0'), hit('dl380-p4-4')], chunkIndex, {
+    mode: 'chunk',
+    tokenBudget: 1000,
+    firstCitation: 3
+  });
+  assert.deepEqual(context.blocks.map(block => [block.citation, block.chunkIds]), [
+    [3, ['ml350-web-0']],
+    [4, ['dl380-p4-0', 'dl380-p4-4']]
+  ]);
+  // Chunks that are not neighbours are marked as a gap rather than run together
+  assert.equal(context.blocks[1].text, `${METADATA[0].text} … ${METADATA[4].text}`);
+  assert.equal(renderBlock(context.blocks[0]).split('\n')[0], '[3] HPE ProLiant ML350 Gen11 (https://www.hpe.com/in/en/proliant-ml350.html)');
+});
+
+test('the token budget is spent on the hits first, then on neighbours one step at a time', () => {
+  const perChunk = estimateTokens(METADATA[0].text);
+
+  // Room for the two hits and one neighbour on each side of the first
+  const context = assembleContext([hit('dl380-p4-2'), hit('ml350-web-1')], chunkIndex, { window: 2, tokenBudget: perChunk * 4 });
+  assert.deepEqual(context.blocks.map(block => block.chunkIds), [['dl380-p4-1', 'dl380-p4-2', 'dl380-p4-3'], ['ml350-web-1']]);
+  assert.ok(context.tokens <= perChunk * 4);
+
+  // The best hit is kept even when it alone is over the budget; nothing else is
+  const tight = assembleContext([hit('dl380-p4-2'), hit('ml350-web-1')], chunkIndex, { tokenBudget: 1 });
+  assert.deepEqual(tight.blocks.map(block => block.chunkIds), [['dl380-p4-2']]);
+  assert.equal(tight.tokens, perChunk);
+});
+
+test('section mode takes the whole document while the budget lasts', () => {
+  const context = assembleContext([hit('dl380-p4-1')], chunkIndex, { mode: 'section', tokenBudget: 10000 });
+  assert.equal(context.blocks[0].chunkIds.length, brochureChunks);
+  assert.equal(context.blocks[0].text, BROCHURE);
+});
+
+test('hits from a snapshot that has been swapped out are left out', () => {
+  const stale = { id: 'dl380-p4-2', metadata: { ...METADATA[2] } };
+  assert.deepEqual(assembleContext([stale], chunkIndex).blocks, []);
+  assert.deepEqual(assembleContext([hit('dl380-p4-2')], null).blocks, []);
+});
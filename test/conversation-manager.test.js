@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ConversationManager from '../conversation-manager.js';
+import { MemoryStore } from '../conversation-store.js';
+
+test('a conversation saved without slots keeps its earlier facts when a new turn arrives', async () => {
+  const store = new MemoryStore();
+  const now = Date.now();
+  await store.set('carol', {
+    messages: [
+      { role: 'user', content: 'We have 300 users in a hospital', timestamp: now },
+      { role: 'assistant', content: 'What workloads do you run?', timestamp: now }
+    ],
+    metadata: { language: 'en' },
+    lastUpdated: now
+  });
+
+  const manager = new ConversationManager({ store });
+  await manager.load('carol');
+  manager.addMessage('carol', 'user', 'we run 40 VMs on VMware');
+
+  const facts = manager.extractDiscoveredFacts('carol');
+  assert.equal(facts.users, 300);
+  assert.equal(facts.industry, 'healthcare');
+  assert.equal(facts.vms, 40);
+  assert.equal(manager.getMetadata('carol').userTurns, 2);
+  assert.equal(manager.getSlots('carol').vms.turn, 2);
+  await manager.close();
+});
@@ -0,0 +1,117 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStore, MemoryStore, RedisStore } from '../conversation-store.js';
+import { createStandin } from './helpers/redis-standin.js';
+import ConversationManager from '../conversation-manager.js';
+
+// Every store must behave the same: the cases below run against memory, file and Redis
+// (the RESP stand-in, on a free port). Stores and stand-in share one clock, which each test
+// starts at the real time (ConversationManager stamps turns with Date.now) and advances.
+const TTL = 1000;
+let clock;
+const now = () => clock;
+
+let standin;
+let redisUrl;
+let tempDir;
+
+before(async () => {
+  standin = createStandin({ now });
+  await new Promise(resolve => standin.server.listen(0, '127.0.0.1', resolve));
+  redisUrl = `redis://127.0.0.1:${standin.server.address().port}`;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+});
+
+beforeEach(() => {
+  clock = Date.now();
+});
+
+after(async () => {
+  await new Promise(resolve => standin.server.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const STORES = {
+  memory: () => new MemoryStore({ ttlMs: TTL, now }),
+  file: (name) => new FileStore({ dir: path.join(tempDir, name), ttlMs: TTL, now }),
+  redis: (name) => new RedisStore({ url: redisUrl, prefix: `test:${name}:`, ttlMs: TTL, now })
+};
+
+for (const [kind, createStore] of Object.entries(STORES)) {
+  test(`${kind}: records round-trip as copies`, async () => {
+    const store = createStore('round-trip');
+    try {
+      const record = { messages: [{ role: 'user', content: 'We have 300 users' }], metadata: { language: 'en' }, lastUpdated: clock };
+      await store.set('alice', record);
+      const stored = await store.get('alice');
+      assert.deepEqual(stored, { ...record, userId: 'alice' });
+      stored.messages.push({ role: 'assistant', content: 'changed' });
+      assert.equal((await store.get('alice')).messages.length, 1);
+      assert.deepEqual(await store.keys(), ['alice']);
+
+      await store.delete('alice');
+      assert.equal(await store.get('alice'), null);
+      assert.deepEqual(await store.keys(), []);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${kind}: the manager trims history to maxHistory exchanges before saving`, async () => {
+    const store = createStore('trimming');
+    try {
+      const writer = new ConversationManager({ store, maxHistory: 2, ttlMs: TTL });
+      for (let i = 1; i <= 7; i += 1) {
+        writer.addMessage('bob', i % 2 ? 'user' : 'assistant', `message ${i}`);
+      }
+      await writer.persist('bob');
+
+      const reader = new ConversationManager({ store, maxHistory: 2, ttlMs: TTL });
+      await reader.load('bob');
+      assert.deepEqual(reader.getHistory('bob').map(message => message.content), ['message 4', 'message 5', 'message 6', 'message 7']);
+      assert.equal((await store.get('bob')).messages.length, 4);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${kind}: conversations expire ttlMs after their last update`, async () => {
+    const store = createStore('ttl');
+    try {
+      await store.set('fresh', { messages: [], metadata: {}, lastUpdated: clock });
+      await store.set('stale', { messages: [], metadata: {}, lastUpdated: clock - TTL + 300 });
+      assert.deepEqual((await store.keys()).sort(), ['fresh', 'stale']);
+
+      clock += 400;
+      assert.equal(await store.get('stale'), null);
+      assert.deepEqual(await store.keys(), ['fresh']);
+      await store.cleanup();
+      assert.deepEqual(await store.keys(), ['fresh']);
+
+      // The manager starts over when the stored copy has expired
+      const manager = new ConversationManager({ store, ttlMs: TTL });
+      await manager.load('stale');
+      assert.deepEqual(manager.getHistory('stale'), []);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${kind}: cleanup removes expired records`, async () => {
+    const store = createStore('cleanup');
+    try {
+      await store.set('old', { messages: [], metadata: {}, lastUpdated: clock - TTL + 200 });
+      clock += 300;
+      await store.cleanup();
+      assert.deepEqual(await store.keys(), []);
+      if (kind === 'memory') assert.equal(store.describe().conversations, 0);
+      if (kind === 'file') assert.deepEqual(fs.readdirSync(path.join(tempDir, 'cleanup')), []);
+      if (kind === 'redis') assert.equal(await store.client.command('EXISTS', 'test:cleanup:old'), 0);
+    } finally {
+      await store.close();
+    }
+  });
+}
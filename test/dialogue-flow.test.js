@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectIntent, extractContact, nextState } from '../kb/dialogue-flow.js';
+
+test('emails, and digit runs that look like phone numbers, are contact details', () => {
+  const cases = [
+    ['my email is priya.k@acme.co.id', { email: 'priya.k@acme.co.id', phone: null }],
+    ['call me on 0812 3456 7890', { email: null, phone: '0812 3456 7890' }],
+    ['+65 9123 4567', { email: null, phone: '+65 9123 4567' }],
+    ['91234567', { email: null, phone: '91234567' }],
+    ['reach me at +91 (22) 4567-8901 or raj@x.in', { email: 'raj@x.in', phone: '+91 (22) 4567-8901' }]
+  ];
+  for (const [text, contact] of cases) {
+    assert.deepEqual(extractContact(text), contact, text);
+  }
+});
+
+test('figures in a sizing answer are not phone numbers', () => {
+  for (const text of ['We need 32 64 128 256 GB options', 'We have 12000000 rows in 2024', 'Call me at 555-1234']) {
+    assert.deepEqual(extractContact(text), { email: null, phone: null }, text);
+  }
+});
+
+test('each turn gets one intent, checked in priority order', () => {
+  const cases = [
+    ['I already told you, my number is +65 9123 4567', 'provide_contact'],
+    ['Can I talk to a human?', 'request_human'],
+    ['I already told you, 300 users', 'repeat_complaint'],
+    ['Which server should we buy?', 'request_recommendation'],
+    ['Can you help me size memory for a DL380?', 'technical_question'],
+    ['yes please', 'accept'],
+    ['no thanks', 'decline'],
+    ['Can you help?', 'help'],
+    ['hmm', 'other']
+  ];
+  for (const [text, intent] of cases) {
+    assert.equal(detectIntent(text).intent, intent, text);
+  }
+  // A turn that fills discovery slots is information, unless it asks a product question
+  assert.equal(detectIntent('We run 200 VMs on VMware', { slotsFilled: 2 }).intent, 'provide_info');
+  assert.equal(detectIntent('We run 200 VMs, does the DL380 fit?', { slotsFilled: 1 }).intent, 'technical_question');
+  assert.equal(detectIntent('how do we size it?', { classification: { type: 'knowledge_base' } }).intent, 'technical_question');
+});
+
+test('a conversation moves from greeting to handoff, with product questions as a side branch', () => {
+  const turns = [
+    [{ intent: 'other' }, 'discovery', 'discovery'],
+    [{ intent: 'technical_question' }, 'technical_qa', 'technical'],
+    [{ intent: 'provide_info', readyToRecommend: true }, 'recommendation', 'recommendation'],
+    [{ intent: 'technical_question' }, 'technical_qa', 'technical'],
+    [{ intent: 'accept' }, 'lead_capture', 'leadCapture'],
+    [{ intent: 'provide_contact' }, 'handoff', 'handoff'],
+    [{ intent: 'decline' }, 'handoff', 'handoffClosing']
+  ];
+  let dialogue = {};
+  for (const [context, state, reply] of turns) {
+    const next = nextState(dialogue, context);
+    assert.deepEqual([next.state, next.reply], [state, reply], `${dialogue.state} + ${context.intent}`);
+    dialogue = next;
+  }
+});
+
+test('guards decide between transitions for the same intent', () => {
+  assert.equal(nextState({ state: 'discovery' }, { intent: 'provide_info' }).state, 'discovery');
+  assert.equal(nextState({ state: 'discovery' }, { intent: 'provide_info', readyToRecommend: true }).state, 'recommendation');
+  assert.equal(nextState({ state: 'recommendation' }, { intent: 'accept' }).state, 'lead_capture');
+  assert.equal(nextState({ state: 'recommendation' }, { intent: 'accept', hasContact: true }).state, 'handoff');
+});
+
+test('the side branch returns to where it was entered, and unknown states start over', () => {
+  const entered = nextState({ state: 'recommendation' }, { intent: 'other' });
+  assert.deepEqual(entered, { state: 'technical_qa', previous: 'recommendation', returnTo: 'recommendation', reply: 'technical', intent: 'other' });
+  assert.equal(nextState(entered, { intent: 'decline' }).reply, 'leadDeclined', 'the recommendation transitions apply');
+  assert.equal(nextState({ state: 'technical_qa' }, { intent: 'other' }).state, 'discovery', 'no returnTo');
+
+  assert.deepEqual(nextState({ state: 'bogus' }, { intent: 'repeat_complaint' }), {
+    state: 'discovery', previous: 'greeting', returnTo: null, reply: 'repeat', intent: 'repeat_complaint'
+  });
+});
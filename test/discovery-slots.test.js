@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSlots, factsFromSlots, mergeSlots } from '../kb/discovery-slots.js';
+
+// Apply user turns in order, the way ConversationManager.fillSlots() does
+const converse = (...turns) => turns.reduce(
+  (slots, text, idx) => mergeSlots(slots, extractSlots(text, { previous: slots }), { turn: idx + 1, text }),
+  {}
+);
+
+test('words that merely contain a keyword fill no slots', () => {
+  const cases = [
+    'we maintain everything ourselves',
+    'our team will maintain it',
+    'please hold',
+    'can you hold on a second'
+  ];
+  for (const text of cases) {
+    assert.deepEqual(extractSlots(text).updates, [], text);
+  }
+});
+
+test('quantities are read in digits or words', () => {
+  const cases = [
+    ['2k users', 'users', 2000],
+    ['1.5k VMs', 'vms', 1500],
+    ['five hundred VMs', 'vms', 500],
+    ['two thousand five hundred users', 'users', 2500],
+    ['about 40 TB of storage', 'storageTB', 40],
+    ['a dozen racks', 'racks', 12]
+  ];
+  for (const [text, slot, value] of cases) {
+    const update = extractSlots(text).updates.find(candidate => candidate.slot === slot);
+    assert.equal(update?.value, value, text);
+  }
+});
+
+test('a correction replaces the earlier value and keeps it as previous', () => {
+  const cases = [
+    [['We have 200 users', "actually it's 300 users"], 'users', 300, 200],
+    [['We have 200 users', 'sorry, make that 250'], 'users', 250, 200],
+    [['we run 40 VMs', 'correction: 60 VMs'], 'vms', 60, 40]
+  ];
+  for (const [turns, slot, value, previous] of cases) {
+    const slots = converse(...turns);
+    assert.equal(slots[slot].value, value, turns.join(' / '));
+    assert.equal(slots[slot].corrected, true, turns.join(' / '));
+    assert.equal(slots[slot].previous, previous, turns.join(' / '));
+    assert.equal(slots[slot].turn, 2);
+  }
+  assert.equal(extractSlots("actually it's 300 users").correction, true);
+});
+
+test('a less certain mention does not overwrite a precise one', () => {
+  const slots = converse('We have 320 users', 'so about 300 users in total');
+  assert.equal(slots.users.value, 320);
+});
+
+test('negated keywords do not fill their slot', () => {
+  const cases = [
+    ["we don't need AI", { workloads: [] }],
+    ['we do not use VMware', { virtualization: null }],
+    ['not just AI, also analytics', { workloads: ['analytics', 'ai'] }]
+  ];
+  for (const [text, expected] of cases) {
+    const facts = factsFromSlots(converse(text));
+    for (const [slot, value] of Object.entries(expected)) {
+      assert.deepEqual(facts[slot], value, text);
+    }
+  }
+  assert.deepEqual(extractSlots("we don't need AI").updates, [{ slot: 'workloads', value: 'ai', remove: true }]);
+});
+
+test('a later negation removes a list item stated earlier', () => {
+  const facts = factsFromSlots(converse('We want AI and analytics', "on second thought we don't need AI"));
+  assert.deepEqual(facts.workloads, ['analytics']);
+});
+
+test('slots remember the turn they came from', () => {
+  const slots = converse('I am the CTO of a hospital', 'we run 20 VMs on VMware');
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(slots).map(([slot, state]) => [slot, state.turn])),
+    { role: 1, industry: 1, virtualization: 2, workloads: 2, vms: 2 }
+  );
+  assert.equal(slots.vms.source, 'we run 20 VMs on VMware');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+// faiss-node is a native addon; where its binding is not built these tests are skipped, except
+// with FAISS_REQUIRED set (the CI test job), where a missing binding is a failure.
+// (Probed with require: a failed binding load inside import() takes the process down.)
+const require = createRequire(import.meta.url);
+const skip = (() => {
+  try {
+    require('faiss-node');
+    return false;
+  } catch (error) {
+    return `faiss-node is not available: ${error.message.split('\n')[0]}`;
+  }
+})();
+
+test('the faiss-node binding is built', { skip: !process.env.FAISS_REQUIRED }, () => {
+  assert.equal(skip, false);
+});
+
+const DIMENSION = 16;
+const COUNT = 400;
+
+// Deterministic unit vectors (mulberry32), row-major like the build script passes them
+function vectors(seed = 7) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const rows = [];
+  for (let i = 0; i < COUNT; i += 1) {
+    const row = Array.from({ length: DIMENSION }, () => random() - 0.5);
+    const norm = Math.hypot(...row);
+    rows.push(...row.map(value => value / norm));
+  }
+  return rows;
+}
+
+const row = (flattened, i) => flattened.slice(i * DIMENSION, (i + 1) * DIMENSION);
+
+test('IVF: nprobe is written into the index and searches every list when it equals nlist', { skip }, async () => {
+  const { createIndex, loadIndex, loadWithSearchParams, readSearchParams, resolveIndexParams, writeIndex } = await import('../kb/faiss-index-io.js');
+  const flattened = vectors();
+  const params = resolveIndexParams('ivf', COUNT, { nlist: 8, nprobe: 8 });
+  const index = createIndex('ivf', DIMENSION, flattened, params);
+  assert.deepEqual(readSearchParams(index.toBuffer()), { nlist: 8, nprobe: 8 });
+
+  // With every list probed, IVF finds exactly what the flat index finds
+  const flat = createIndex('flat', DIMENSION, flattened, resolveIndexParams('flat', COUNT));
+  for (let i = 0; i < 20; i += 1) {
+    assert.deepEqual(index.search(row(flattened, i), 5).labels, flat.search(row(flattened, i), 5).labels);
+  }
+
+  assert.equal(readSearchParams(loadWithSearchParams(index.toBuffer(), { nprobe: 2 }).toBuffer()).nprobe, 2);
+  assert.equal(readSearchParams(loadWithSearchParams(index.toBuffer(), { nprobe: 50 }).toBuffer()).nprobe, 8, 'nprobe is capped at nlist');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faiss-index-'));
+  try {
+    const file = path.join(dir, 'vectors.index');
+    writeIndex(index, file);
+    const loaded = loadIndex(file, 'ivf', { nprobe: 3 });
+    assert.deepEqual(loaded.params, { nlist: 8, nprobe: 3 });
+    assert.equal(loaded.index.ntotal(), COUNT);
+    assert.throws(() => loadIndex(file, 'hnsw', {}), /declares hnsw/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('HNSW: efConstruction and efSearch are written into the index and the graph finds each vector', { skip }, async () => {
+  const { createIndex, loadWithSearchParams, readSearchParams, resolveIndexParams } = await import('../kb/faiss-index-io.js');
+  const flattened = vectors(11);
+  const params = resolveIndexParams('hnsw', COUNT, { hnswM: 16, efConstruction: 100, efSearch: 80 });
+  const index = createIndex('hnsw', DIMENSION, flattened, params);
+  assert.deepEqual(readSearchParams(index.toBuffer()), { efConstruction: 100, efSearch: 80 });
+
+  for (let i = 0; i < 20; i += 1) {
+    assert.equal(index.search(row(flattened, i), 1).labels[0], i);
+  }
+
+  const tuned = loadWithSearchParams(index.toBuffer(), { efSearch: 120 });
+  assert.deepEqual(readSearchParams(tuned.toBuffer()), { efConstruction: 100, efSearch: 120 });
+  assert.equal(tuned.search(row(flattened, 3), 1).labels[0], 3);
+});
+
+test('an index whose parameters are not where the layout says is refused', { skip }, async () => {
+  const { createIndex, patchSearchParams, resolveIndexParams } = await import('../kb/faiss-index-io.js');
+  const index = createIndex('ivf', DIMENSION, vectors(), resolveIndexParams('ivf', COUNT, { nlist: 4 }));
+  const buffer = index.toBuffer();
+  // Inner-product header is 37 bytes, then nlist u64 and nprobe u64: make nprobe exceed nlist
+  buffer.writeBigUInt64LE(1000n, 45);
+  assert.throws(() => patchSearchParams(buffer, { nprobe: 2 }), /Unexpected IVF index layout/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GroundednessChecker, { UNGROUNDED_FALLBACK, extractClaims, splitSentences, takeSentences } from '../kb/groundedness.js';
+
+const CONTEXT = [
+  'The DL380 Gen11 supports up to 8 TB of DDR5 memory in 32 DIMM slots. '
+  + 'The 800 W power supply part number is P38995-B21. It takes up to 1024GB per socket.'
+];
+const ANSWER = 'Great question! The DL380 Gen11 supports 8TB of DDR5 memory [1]. '
+  + 'It uses the P38995-B21 800 watt supply. It is 40% faster than the previous generation.';
+
+test('a sentence is only complete once whitespace follows its stop, citations included', () => {
+  assert.deepEqual(takeSentences('It takes up to 8 TB. [1] Memory runs at 2.'), {
+    sentences: ['It takes up to 8 TB. [1]'],
+    rest: 'Memory runs at 2.'
+  });
+  assert.deepEqual(takeSentences('It takes up to 8 TB [1]. Memory runs at 4800 MT/s. [1, 2] And'), {
+    sentences: ['It takes up to 8 TB [1].', 'Memory runs at 4800 MT/s. [1, 2]'],
+    rest: 'And'
+  });
+  assert.deepEqual(splitSentences('Is it 2U? Yes! "Really." Done'), ['Is it 2U?', 'Yes!', '"Really."', 'Done']);
+});
+
+test('CJK and Devanagari stops end a sentence without a space after them', () => {
+  assert.deepEqual(splitSentences('DL380 は 2U サーバーです。[1]最大 8 TB のメモリに対応します。'), [
+    'DL380 は 2U サーバーです。[1]',
+    '最大 8 TB のメモリに対応します。'
+  ]);
+  assert.deepEqual(splitSentences('यह 2U सर्वर है। इसमें 8 TB मेमोरी है।'), ['यह 2U सर्वर है।', 'इसमें 8 TB मेमोरी है।']);
+});
+
+test('claims are compared in one normal form, whatever the spacing, unit spelling or separators', () => {
+  assert.deepEqual(
+    Array.from(extractClaims('P52534-B21 gives 50 percent more, 2× the cores, 1,024 GB, 800 Watts, 32 cores and 8TB').keys()),
+    ['p52534-b21', '50%', '2x', '1024gb', '800w', '32core', '8tb']
+  );
+  assert.deepEqual(Array.from(extractClaims('2x, 8 TB, 1024 GB, 50% and 32 core').keys()).sort(), ['1024gb', '2x', '32core', '50%', '8tb']);
+});
+
+test('rewrite mode drops sentences with claims the context does not back, flag mode only reports them', async () => {
+  const rewriter = new GroundednessChecker({ mode: 'rewrite' });
+  const rewritten = await rewriter.review(ANSWER, rewriter.prepareEvidence(CONTEXT));
+  assert.equal(rewritten.answer, 'Great question! The DL380 Gen11 supports 8TB of DDR5 memory [1]. It uses the P38995-B21 800 watt supply.');
+  assert.equal(rewritten.groundedness.action, 'rewritten');
+  assert.deepEqual(rewritten.groundedness.claims, { total: 4, unsupported: 1 });
+  assert.deepEqual(rewritten.groundedness.flagged, [{ sentence: 'It is 40% faster than the previous generation.', unsupported: ['40%'] }]);
+
+  const flagger = new GroundednessChecker({ mode: 'flag' });
+  const flagged = await flagger.review(ANSWER, flagger.prepareEvidence(CONTEXT));
+  assert.equal(flagged.answer, ANSWER);
+  assert.equal(flagged.groundedness.action, 'flagged');
+  assert.equal(flagged.groundedness.score, rewritten.groundedness.score);
+
+  const off = new GroundednessChecker({ mode: 'off' });
+  assert.deepEqual(await off.review(ANSWER, off.prepareEvidence(CONTEXT)), {
+    answer: ANSWER,
+    groundedness: { score: null, mode: 'off', action: 'none' }
+  });
+});
+
+test('an answer left with only small talk gets the fallback line', async () => {
+  const checker = new GroundednessChecker({ mode: 'rewrite' });
+  const { answer, groundedness } = await checker.review('Sure! The DL380 Gen11 runs 12 TB of memory across 48 DIMMs.', checker.prepareEvidence(CONTEXT));
+  assert.equal(answer, `Sure! ${UNGROUNDED_FALLBACK}`);
+  assert.deepEqual(groundedness.flagged[0].unsupported, ['12 TB', '48 DIMMs']);
+});
+
+test('a streamed answer is checked sentence by sentence and only grounded ones are spoken', async () => {
+  const checker = new GroundednessChecker({ mode: 'rewrite' });
+  const spoken = [];
+  const stream = checker.createStream(checker.prepareEvidence(CONTEXT), { onSentence: sentence => spoken.push(sentence) });
+  for (const delta of ANSWER.match(/.{1,7}/g)) {
+    await stream.push(delta);
+  }
+  assert.deepEqual(spoken, ['Great question!', 'The DL380 Gen11 supports 8TB of DDR5 memory [1].', 'It uses the P38995-B21 800 watt supply.']);
+
+  // The last sentence has no whitespace after it and is only checked on end()
+  const { answer, groundedness } = await stream.end();
+  assert.equal(spoken.length, 3);
+  assert.equal(answer, spoken.join(' '));
+  assert.equal(groundedness.flagged.length, 1);
+});
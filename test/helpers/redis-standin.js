@@ -0,0 +1,102 @@
+import net from 'net';
+import { RedisError, parseReply } from '../../resp-client.js';
+
+/**
+ * Redis stand-in for the store tests: an in-memory key/value server speaking RESP2 with the
+ * commands the conversation store uses (PING, AUTH, SELECT, GET, SET EX/PX, DEL, EXISTS,
+ * PEXPIRE, PTTL, SCAN, KEYS, FLUSHDB, QUIT). Listen on port 0 for a free port; pass `now` to
+ * expire keys on the test's clock.
+ */
+
+const encode = (value) => {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof RedisError) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+};
+
+const OK = { simple: 'OK' };
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+export function createStandin({ now = Date.now } = {}) {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && now() >= entry.expiresAt) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  const liveKeys = (pattern = '*') => {
+    const matcher = globToRegExp(pattern);
+    return Array.from(data.keys()).filter(key => live(key) && matcher.test(key));
+  };
+  const optionOf = (args, name) => {
+    const index = args.findIndex(arg => arg.toUpperCase() === name);
+    return index === -1 ? null : args[index + 1];
+  };
+
+  const commands = {
+    PING: ([message]) => (message === undefined ? { simple: 'PONG' } : message),
+    AUTH: () => OK,
+    SELECT: () => OK,
+    QUIT: () => OK,
+    GET: ([key]) => live(key)?.value ?? null,
+    SET: ([key, value, ...options]) => {
+      const ex = optionOf(options, 'EX');
+      const px = optionOf(options, 'PX');
+      const ttl = px !== null ? Number(px) : ex !== null ? Number(ex) * 1000 : null;
+      if (ttl !== null && !(ttl > 0)) return new RedisError('ERR invalid expire time in set');
+      data.set(key, { value, expiresAt: ttl === null ? null : now() + ttl });
+      return OK;
+    },
+    DEL: (keys) => keys.filter(key => live(key) && data.delete(key)).length,
+    EXISTS: (keys) => keys.filter(key => live(key)).length,
+    PEXPIRE: ([key, ms]) => {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = now() + Number(ms);
+      return 1;
+    },
+    PTTL: ([key]) => {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - now();
+    },
+    // Everything in one batch: the cursor always comes back as 0
+    SCAN: ([, ...options]) => ['0', liveKeys(optionOf(options, 'MATCH') || '*')],
+    KEYS: ([pattern]) => liveKeys(pattern),
+    FLUSHDB: () => {
+      data.clear();
+      return OK;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while ((request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        const [name = '', ...args] = Array.isArray(request.value) ? request.value : [];
+        const handler = commands[String(name).toUpperCase()];
+        const reply = handler
+          ? handler(args)
+          : new RedisError(`ERR unknown command '${name}'`);
+        socket.write(reply?.simple ? `+${reply.simple}\r\n` : encode(reply));
+        if (String(name).toUpperCase() === 'QUIT') socket.end();
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return { server, data };
+}
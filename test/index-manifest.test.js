@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  EMBEDDINGS_FILE,
+  diffDocuments,
+  fingerprintDocuments,
+  hashContent,
+  loadPreviousBuild,
+  writeEmbeddings,
+  writeManifest
+} from '../kb/scripts/index-manifest.js';
+
+const chunk = (documentId, text, extra = {}) => ({
+  id: `${documentId}-${hashContent(text).slice(0, 6)}`,
+  text,
+  content_hash: hashContent(text),
+  document_id: documentId,
+  source: `${documentId}.pdf`,
+  ...extra
+});
+
+const BUILD = [
+  chunk('dl380', 'The DL380 Gen11 is a 2U server.', { product: 'DL380' }),
+  chunk('dl380', 'It takes up to 8 TB of memory.', { product: 'DL380' }),
+  chunk('ml350', 'The ML350 Gen11 is a tower server.', { product: 'ML350' }),
+  chunk('dl360', 'The DL360 Gen11 is a 1U server.', { product: 'DL360' })
+];
+
+test('every document is classified as added, updated, removed or unchanged', () => {
+  const previous = fingerprintDocuments(BUILD);
+  const next = fingerprintDocuments([
+    BUILD[0],
+    chunk('dl380', 'It takes up to 6 TB of memory.', { product: 'DL380' }),
+    { ...BUILD[2], product: 'ML350 Gen11' },
+    chunk('dl20', 'The DL20 Gen11 is an entry server.', { product: 'DL20' })
+  ]);
+  assert.deepEqual(diffDocuments(previous, next), {
+    added: ['dl20'],
+    updated: ['dl380', 'ml350'],
+    removed: ['dl360'],
+    unchanged: []
+  });
+  assert.deepEqual(diffDocuments(previous, fingerprintDocuments(BUILD)).unchanged, ['dl380', 'ml350', 'dl360']);
+  assert.deepEqual(diffDocuments(undefined, previous).added, ['dl380', 'ml350', 'dl360'], 'first build');
+});
+
+test('a retagged document is updated although its chunk hashes, and so its vectors, stay the same', () => {
+  const before = fingerprintDocuments(BUILD).ml350;
+  const after = fingerprintDocuments([{ ...BUILD[2], product: 'ML350 Gen11' }]).ml350;
+  assert.notEqual(after.fingerprint, before.fingerprint);
+  assert.deepEqual(after.chunks, before.chunks);
+});
+
+test('chunks are grouped by document_id, then url, source or id', () => {
+  const fingerprints = fingerprintDocuments([
+    { id: 'a', text: 'x', content_hash: 'h1', metadata: { document_id: 'nested' } },
+    { id: 'b', text: 'y', content_hash: 'h2', url: 'https://www.hpe.com/dl380' },
+    { id: 'c', text: 'z', content_hash: 'h3', source: 'brochure.pdf' },
+    { id: 'd', text: 'w', content_hash: 'h4', source: 'brochure.pdf' },
+    { id: 'e', text: 'v', content_hash: 'h5' }
+  ]);
+  assert.deepEqual(Object.keys(fingerprints), ['nested', 'https://www.hpe.com/dl380', 'brochure.pdf', 'e']);
+  assert.deepEqual(fingerprints['brochure.pdf'].chunks, ['h3', 'h4']);
+});
+
+test('the stored embeddings come back as a content hash → vector map for reuse', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-manifest-'));
+  try {
+    assert.equal(loadPreviousBuild(dir), null, 'nothing stored yet');
+
+    const rows = [...BUILD.map(entry => entry.content_hash), BUILD[0].content_hash];
+    const vectors = rows.map((hash, row) => Float32Array.from([row, row + 0.5, -row]));
+    writeEmbeddings(dir, vectors);
+    writeManifest(dir, { dimension: 3, rows, documents: fingerprintDocuments(BUILD) });
+
+    const previous = loadPreviousBuild(dir);
+    assert.equal(previous.vectors.size, 4, 'a repeated chunk is stored once');
+    assert.deepEqual(Array.from(previous.vectors.get(BUILD[2].content_hash)), [2, 2.5, -2]);
+    assert.deepEqual(Array.from(previous.vectors.get(BUILD[0].content_hash)), [0, 0.5, -0], 'first row wins');
+    assert.deepEqual(previous.manifest.documents, fingerprintDocuments(BUILD));
+    assert.deepEqual(fs.readdirSync(dir).sort(), [EMBEDDINGS_FILE, 'manifest.json'], 'no temp files left behind');
+
+    // Embeddings that no longer line up with the manifest are not reused
+    writeManifest(dir, { dimension: 4, rows, documents: {} });
+    assert.equal(loadPreviousBuild(dir), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
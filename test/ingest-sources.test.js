@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  canonicalUrl,
+  findBoilerplateLines,
+  ingestCrawlerDatasets,
+  ingestPdfDirectory,
+  ingestSources,
+  mergeWithExisting
+} from '../kb/scripts/ingest-sources.js';
+
+const withTempDir = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+  try {
+    return await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('a PDF that fails to parse is reported but not listed as a replaced source', async () => {
+  await withTempDir(async (dir) => {
+    fs.writeFileSync(path.join(dir, 'broken.pdf'), 'not a pdf at all');
+    const { documents, sources, report } = await ingestPdfDirectory({ sourceDir: dir, metadataMap: {} });
+    assert.deepEqual(documents, []);
+    assert.deepEqual(sources, []);
+    assert.deepEqual(report.failed, ['broken.pdf']);
+    assert.equal(report.files[0].file, 'broken.pdf');
+    assert.ok(report.files[0].error);
+  });
+});
+
+test('the next ingest keeps the existing chunks of a PDF that failed to parse', async () => {
+  await withTempDir(async (dir) => {
+    const sourceDir = path.join(dir, 'source-pdfs');
+    const outputPath = path.join(dir, 'processed', 'chunks.json');
+    fs.mkdirSync(sourceDir);
+    fs.mkdirSync(path.dirname(outputPath));
+    fs.writeFileSync(path.join(sourceDir, 'DL380 datasheet.pdf'), '%PDF-1.7 truncated');
+    const existing = [
+      { id: 'dl380-datasheet-p1', text: 'The DL380 Gen12 is a 2U server.', metadata: { source: 'DL380 datasheet.pdf', source_file: 'DL380 datasheet.pdf', page: 1 } }
+    ];
+    fs.writeFileSync(outputPath, JSON.stringify(existing));
+
+    const { documents } = await ingestSources({ sourceDir, outputPath, metadataMap: {} });
+    assert.deepEqual(documents, existing);
+    assert.deepEqual(JSON.parse(fs.readFileSync(outputPath, 'utf8')), existing);
+  });
+});
+
+test('mergeWithExisting replaces only the listed sources', () => {
+  const existing = [
+    { id: 'a-p1', metadata: { source_file: 'a.pdf' } },
+    { id: 'b-p1', metadata: { source_file: 'b.pdf' } },
+    { id: 'web-1', source: 'https://www.hpe.com/page' }
+  ];
+  const fresh = [{ id: 'a-p1-new', metadata: { source_file: 'a.pdf' } }];
+  assert.deepEqual(mergeWithExisting(existing, fresh, ['a.pdf']), {
+    documents: [fresh[0], existing[1], existing[2]],
+    carriedOver: 2
+  });
+});
+
+test('crawled URLs lose their query string, fragment and trailing slash', () => {
+  const cases = [
+    ['https://www.hpe.com/in/en/compute/proliant-dl380.html?emodal=/in/en/contact.html', 'https://www.hpe.com/in/en/compute/proliant-dl380.html'],
+    ['https://www.hpe.com/in/en/compute.html#overview', 'https://www.hpe.com/in/en/compute.html'],
+    ['https://www.hpe.com/in/en/servers/', 'https://www.hpe.com/in/en/servers'],
+    ['not a url?x=1', 'not a url']
+  ];
+  for (const [url, canonical] of cases) {
+    assert.equal(canonicalUrl(url), canonical, url);
+  }
+});
+
+test('lines on at least four pages (and the ratio) count as boilerplate', () => {
+  const page = (body) => ({ text: `Products\nContact sales\n${body}` });
+  const pages = ['DL380 specs', 'ML350 specs', 'DL360 specs', 'Contact sales\nDL20 specs'].map(page);
+  assert.deepEqual(Array.from(findBoilerplateLines(pages)).sort(), ['contact sales', 'products'], 'counted once per page');
+  assert.deepEqual(Array.from(findBoilerplateLines(pages.slice(0, 3))), [], 'fewer than four pages');
+  const others = Array.from({ length: 6 }, (_, i) => ({ text: `Page ${i}` }));
+  assert.deepEqual(Array.from(findBoilerplateLines([...pages, ...others], 0.5)), [], 'on four of ten pages, under half');
+});
+
+test('a crawler dataset becomes one web document per canonical URL without its boilerplate', async () => {
+  await withTempDir(async (dir) => {
+    const nav = 'Products\nServices\nContact sales';
+    const items = [
+      { url: 'https://www.hpe.com/in/en/compute/proliant-dl380-gen11.html', text: `HPE ProLiant DL380 Gen11 | HPE India\n${nav}\nThe DL380 Gen11 is a 2U server for virtualization and databases.` },
+      { url: 'https://www.hpe.com/in/en/compute/proliant-dl380-gen11.html?emodal=/contact', text: `HPE ProLiant DL380 Gen11 | HPE India\n${nav}\nThe same page behind a modal link.` },
+      {
+        url: 'https://www.hpe.com/in/en/compute/proliant-ml350.html',
+        text: `${nav}\nThe ML350 Gen11 tower server suits branch offices and retail stores.`,
+        metadata: { title: 'HPE ProLiant ML350 Gen11 | HPE', languageCode: 'en' },
+        crawl: { loadedTime: '2025-10-01T10:00:00.000Z' }
+      },
+      { url: 'https://www.hpe.com/jp/ja/compute/proliant-dl360.html', text: `${nav}\nHPE ProLiant DL360 Gen11 は 1U ラックサーバーで、高密度のデータセンターと仮想化の用途に向いています。` },
+      { url: 'https://www.hpe.com/in/en/about.html', text: `${nav}\nShort.` }
+    ];
+    const fileName = 'dataset_website-content-crawler_2025-09-30_08-58-49-651.json';
+    fs.writeFileSync(path.join(dir, fileName), JSON.stringify(items));
+
+    const { documents, sources, report } = ingestCrawlerDatasets({ sourceDir: dir, metadataMap: {} });
+    assert.deepEqual(sources, [fileName]);
+    assert.deepEqual(report.datasets, [{ file: fileName, pages: 3, duplicates: 1, boilerplateLines: 3 }]);
+
+    const [dl380, ml350, dl360] = documents;
+    assert.equal(dl380.id, 'web-in-en-compute-proliant-dl380-gen11');
+    assert.equal(dl380.text, 'The DL380 Gen11 is a 2U server for virtualization and databases.');
+    assert.equal(dl380.metadata.title, 'HPE ProLiant DL380 Gen11');
+    assert.equal(dl380.metadata.url, 'https://www.hpe.com/in/en/compute/proliant-dl380-gen11.html');
+    assert.equal(dl380.metadata.source_type, 'web');
+    assert.equal(dl380.metadata.crawled_at, '2025-09-30T08:58:49Z');
+    assert.deepEqual(dl380.metadata.referenced_products, ['DL380']);
+    assert.equal(ml350.metadata.title, 'HPE ProLiant ML350 Gen11');
+    assert.equal(ml350.metadata.crawled_at, '2025-10-01T10:00:00.000Z');
+    assert.equal(dl360.metadata.language, 'ja');
+    assert.deepEqual(dl360.metadata.referenced_products, ['DL360']);
+  });
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, languageName, normalizeLanguage } from '../kb/language.js';
+
+test('turns in a native script are detected by that script, product names aside', () => {
+  const cases = [
+    ['DL380 のメモリは何 TB までですか？', 'ja', 'cjk'],
+    ['DL380 内存最多支持多少？', 'zh', 'cjk'],
+    ['DL380 메모리는 얼마까지 지원하나요?', 'ko', 'hangul'],
+    ['DL380 में कितनी मेमोरी है?', 'hi', 'devanagari']
+  ];
+  for (const [text, language, script] of cases) {
+    assert.deepEqual(detectLanguage(text), { language, detected: true, script }, text);
+  }
+});
+
+test('kanji without kana is Chinese, unless the conversation is already in Japanese', () => {
+  assert.equal(detectLanguage('東京').language, 'zh');
+  assert.equal(detectLanguage('東京', { fallback: 'ja' }).language, 'ja');
+  assert.equal(detectLanguage('東京', { fallback: 'ja-JP' }).language, 'ja');
+});
+
+test('Latin text is told apart by its function words', () => {
+  const cases = [
+    ['What is the price of the DL380?', 'en'],
+    ['Apa itu iLO?', 'id'],
+    ['Berapa harga DL380 untuk kantor kami? Tolong kirim penawaran', 'id'],
+    ['Berapa harga DL380 untuk syarikat kami? Sila hantar sebut harga', 'ms'],
+    ['Is DL380 ok dan bisa untuk kantor?', 'id']
+  ];
+  for (const [text, language] of cases) {
+    assert.deepEqual(detectLanguage(text), { language, detected: true, script: 'latin' }, text);
+  }
+
+  // Words shared by Indonesian and Malay keep whichever of the two the conversation was in
+  assert.equal(detectLanguage('Saya perlu server untuk 300 pengguna').language, 'id');
+  assert.equal(detectLanguage('Saya perlu server untuk 300 pengguna', { fallback: 'ms' }).language, 'ms');
+});
+
+test('turns too short to tell keep the previous language', () => {
+  assert.deepEqual(detectLanguage('DL380?', { fallback: 'ja' }), { language: 'ja', detected: false, script: 'latin' });
+  assert.deepEqual(detectLanguage('ok', { fallback: 'id' }), { language: 'id', detected: false, script: 'latin' });
+  assert.deepEqual(detectLanguage('', { fallback: 'ko' }), { language: 'ko', detected: false, script: null });
+  assert.deepEqual(detectLanguage('DL380?', { fallback: 'fr' }), { language: 'en', detected: false, script: 'latin' }, 'unsupported fallback');
+});
+
+test('language codes and names map to the supported codes', () => {
+  const cases = [['ja-JP', 'ja'], ['in', 'id'], ['Bahasa', 'id'], ['zh_TW', 'zh'], ['Mandarin', 'zh'], ['msa', 'ms'], [' EN ', 'en'], ['fr', null], [null, null]];
+  for (const [value, code] of cases) {
+    assert.equal(normalizeLanguage(value), code, String(value));
+  }
+  assert.equal(languageName('ja'), 'Japanese (日本語)');
+  assert.equal(languageName('en'), 'English');
+  assert.equal(languageName('fr'), 'English');
+});
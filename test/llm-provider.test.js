@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LLMGateway, { LLMUnavailableError, ScriptedProvider, extractiveReply } from '../kb/llm-provider.js';
+import { bestSentences } from '../kb/extractive-answer.js';
+
+const outage = () => Object.assign(new Error('upstream unavailable'), { status: 503 });
+
+const PASSAGE = 'The HPE ProLiant DL380 Gen11 is a 2U rack server. It takes up to two 4th Gen Intel Xeon processors. '
+  + 'Each node supports up to 8 TB of DDR5 memory. iLO 6 handles remote management.';
+
+const answerRequest = {
+  messages: [
+    { role: 'system', content: `Answer from the context only.\n\nContext:\n[1] DL380 Gen11 QuickSpecs, p. 2\n${PASSAGE}\n\n[2] ML350 Gen11 QuickSpecs\nThe ML350 is a tower server.` },
+    { role: 'user', content: 'How much memory does the DL380 Gen11 take?' }
+  ]
+};
+
+test('each route uses its own model, and routes with the same settings share one provider', async () => {
+  const gateway = new LLMGateway({
+    env: { LLM_PROVIDER: 'scripted', LLM_MODEL: 'qwen2.5-7b', LLM_REWRITE_MODEL: 'qwen2.5-0.5b' }
+  });
+  const { provider } = gateway.forRoute('answer');
+  assert.equal(gateway.forRoute('rewrite').provider, provider);
+
+  assert.equal((await gateway.complete('answer', answerRequest)).model, 'qwen2.5-7b');
+  assert.equal((await gateway.complete('rewrite', { messages: [{ role: 'user', content: 'Rewrite: and the ML350?' }] })).model, 'qwen2.5-0.5b');
+  assert.equal((await gateway.complete('answer', { ...answerRequest, model: 'override' })).model, 'override', 'a model named in the request wins');
+  assert.deepEqual(provider.calls.map(call => call.model), ['qwen2.5-7b', 'qwen2.5-0.5b', 'override']);
+
+  const described = gateway.describe();
+  assert.equal(described.answer.model, 'qwen2.5-7b');
+  assert.equal(described.rewrite.model, 'qwen2.5-0.5b');
+  assert.equal(described.answer.fallback, null);
+});
+
+test('the legacy model settings still apply when no LLM_* model is set', () => {
+  const gateway = new LLMGateway({
+    env: { LLM_PROVIDER: 'scripted', RAG_COMPLETION_MODEL: 'gpt-4o-mini', RAG_REWRITE_MODEL: 'gpt-4o-nano' }
+  });
+  assert.equal(gateway.forRoute('answer').model, 'gpt-4o-mini');
+  assert.equal(gateway.forRoute('rewrite').model, 'gpt-4o-nano');
+});
+
+test('the fallback model answers once the primary has failed twice', async () => {
+  const primary = new ScriptedProvider({ script: [{ reply: () => { throw outage(); } }] });
+  const gateway = new LLMGateway({
+    env: { LLM_RETRY_DELAY: '0', LLM_MODEL: 'big', LLM_FALLBACK_MODEL: 'small' },
+    providers: { answer: primary }
+  });
+
+  const result = await gateway.complete('answer', answerRequest);
+  assert.equal(result.model, 'small');
+  assert.deepEqual(primary.calls.map(call => call.model), ['big', 'big'], 'one retry on the primary first');
+
+  // The fallback runs on the primary's provider kind, here a scripted one with the extractive reply
+  const fallback = gateway.providerFor(gateway.routes.answer.fallback);
+  assert.notEqual(fallback, primary);
+  assert.deepEqual(fallback.calls.map(call => call.model), ['small']);
+  assert.equal(result.text, 'The HPE ProLiant DL380 Gen11 is a 2U rack server. It takes up to two 4th Gen Intel Xeon processors. [1]');
+
+  const described = gateway.describe().answer;
+  assert.equal(described.fallback.model, 'small');
+  assert.equal(described.breaker.failures, 1);
+  assert.equal(described.fallback.breaker.state, 'closed');
+});
+
+test('the scripted provider replies from context block [1], or echoes the last line without context', () => {
+  assert.equal(
+    extractiveReply(answerRequest.messages),
+    'The HPE ProLiant DL380 Gen11 is a 2U rack server. It takes up to two 4th Gen Intel Xeon processors. [1]'
+  );
+  assert.equal(
+    extractiveReply([{ role: 'user', content: 'Conversation:\nUser: Tell me about the DL380\n\nLast message: what about the ML350?' }]),
+    'what about the ML350?'
+  );
+  const provider = new ScriptedProvider({ script: [{ match: 'warranty', reply: 'Three years.' }] });
+  assert.equal(provider.reply([{ role: 'user', content: 'What warranty does it have?' }]), 'Three years.');
+  assert.equal(provider.reply(answerRequest.messages), extractiveReply(answerRequest.messages));
+});
+
+test('when every target fails the caller gets LLMUnavailableError and reads from the top chunk', async () => {
+  const failing = { kind: 'scripted', calls: [], async complete(request) { this.calls.push(request); throw outage(); } };
+  const gateway = new LLMGateway({
+    env: { LLM_RETRY_DELAY: '0', LLM_MODEL: 'big', LLM_FALLBACK_MODEL: 'small', LLM_FALLBACK_PROVIDER: 'scripted' },
+    providers: { answer: failing }
+  });
+  const fallback = gateway.providerFor(gateway.routes.answer.fallback);
+  fallback.script = [{ reply: () => { throw outage(); } }];
+
+  const error = await gateway.complete('answer', answerRequest).catch(caught => caught);
+  assert.ok(error instanceof LLMUnavailableError);
+  assert.equal(error.code, 'LLM_UNAVAILABLE');
+  assert.equal(error.route, 'answer');
+  assert.equal(error.cause.status, 503);
+  assert.equal(failing.calls.length, 2);
+  assert.equal(fallback.calls.length, 2);
+
+  // The engine's degraded mode: the sentences of the top chunk that best match the question
+  assert.deepEqual(
+    bestSentences('How much memory does the DL380 Gen11 take?', PASSAGE),
+    ['The HPE ProLiant DL380 Gen11 is a 2U rack server.', 'Each node supports up to 8 TB of DDR5 memory.']
+  );
+});
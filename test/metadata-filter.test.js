@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterError, explainMismatch, matchesFilter, toComparable, validateFilter } from '../kb/metadata-filter.js';
+
+const chunk = {
+  id: 'gen12-family-guide_3',
+  product: 'DL380',
+  topics: ['virtualization', 'ai-inference'],
+  metadata: { source_type: 'web', generation: 'gen12', published: '2025-03' }
+};
+
+test('equality matches plain fields, array elements and the nested metadata', () => {
+  assert.equal(matchesFilter(chunk, { product: 'DL380' }), true);
+  assert.equal(matchesFilter(chunk, { product: 'DL360' }), false);
+  assert.equal(matchesFilter(chunk, { topics: 'virtualization' }), true);
+  assert.equal(matchesFilter(chunk, { source_type: 'web' }), true);
+  assert.equal(matchesFilter(chunk, { 'metadata.generation': 'gen12' }), true);
+  assert.equal(matchesFilter(chunk, null), true);
+});
+
+test('field operators', () => {
+  const cases = [
+    [{ product: { $in: ['DL360', 'DL380'] } }, true],
+    [{ product: { $nin: ['DL380'] } }, false],
+    [{ topics: { $ne: 'ai-inference' } }, false],
+    [{ category: { $exists: false } }, true],
+    [{ product: { $not: { $in: ['DL20'] } } }, true],
+    [{ published: { $gte: '2025' } }, true],
+    [{ published: { $gte: 2025, $lt: '2025-04' } }, true],
+    [{ published: { $lt: '2024-2025' } }, false]
+  ];
+  for (const [filter, expected] of cases) {
+    assert.equal(matchesFilter(chunk, validateFilter(filter)), expected, JSON.stringify(filter));
+  }
+});
+
+test('logical operators', () => {
+  assert.equal(matchesFilter(chunk, { $or: [{ product: 'DL20' }, { source_type: 'web' }] }), true);
+  assert.equal(matchesFilter(chunk, { $and: [{ product: 'DL380' }, { topics: 'edge' }] }), false);
+  assert.equal(matchesFilter(chunk, { $nor: [{ product: 'DL20' }, { product: 'ML30' }] }), true);
+  assert.equal(matchesFilter(chunk, { $not: { product: 'DL380' } }), false);
+});
+
+test('dates and years share one number line', () => {
+  assert.equal(toComparable('2025-09'), Date.UTC(2025, 8, 1));
+  assert.equal(toComparable('2024-2025'), Date.UTC(2025, 0, 1));
+  assert.equal(toComparable('12.5'), 12.5);
+  assert.equal(toComparable('gen12'), null);
+});
+
+test('invalid filters throw a FilterError naming the path', () => {
+  const invalid = [
+    [{ $where: 'x' }, /\$where/],
+    [{ product: { $in: 'DL380' } }, /product\.\$in/],
+    [{ published: { $gte: 'soon' } }, /published\.\$gte/],
+    [{ $or: [] }, /non-empty array/],
+    [{ category: { $exists: 'yes' } }, /true or false/],
+    ['DL380', /expected an object/]
+  ];
+  for (const [filter, message] of invalid) {
+    assert.throws(() => validateFilter(filter), error => error instanceof FilterError && message.test(error.message));
+  }
+});
+
+test('explainMismatch says which condition failed', () => {
+  assert.equal(explainMismatch(chunk, { product: 'DL380' }), null);
+  assert.equal(explainMismatch(chunk, { product: 'DL360' }), 'product is "DL380", wanted "DL360"');
+  assert.match(explainMismatch(chunk, { $or: [{ product: 'DL20' }, { topics: 'edge' }] }), /^no \$or branch matched/);
+});
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import LLMGateway from '../kb/llm-provider.js';
+
+// The engine imports faiss-node at load time; see faiss-index-io.test.js for why this probes
+// with require and skips where the binding is not built. The tests themselves run on a
+// stand-in index, so they do not depend on the binding's search.
+const require = createRequire(import.meta.url);
+const skip = (() => {
+  try {
+    require('faiss-node');
+    return false;
+  } catch (error) {
+    return `faiss-node is not available: ${error.message.split('\n')[0]}`;
+  }
+})();
+
+// Cosine of each chunk to every query: the ML350 chunk is below the default minScore of 0.45
+const CHUNKS = [
+  { id: 'dl380-1', product: 'DL380', text: 'The DL380 Gen11 is a 2U server.', score: 0.9 },
+  { id: 'dl380-2', product: 'DL380', text: 'The DL380 Gen11 takes 8 TB of memory.', score: 0.8 },
+  { id: 'dl360-1', product: 'DL360', text: 'The DL360 Gen11 is a 1U server.', score: 0.6 },
+  { id: 'ml350-1', product: 'ML350', text: 'The ML350 Gen11 is a tower server.', score: 0.3 }
+];
+
+// A snapshot as loadKnowledgeBase() returns it, over a stand-in index that scores chunks as listed
+function snapshotOf(chunks) {
+  return {
+    index: {
+      search: (vector, k) => ({
+        labels: chunks.map((chunk, row) => row).slice(0, k),
+        distances: chunks.map(chunk => chunk.score).slice(0, k)
+      })
+    },
+    params: {},
+    metadata: chunks.map(({ score, ...metadata }) => metadata),
+    keywordIndex: null,
+    chunkIndex: null,
+    config: { type: 'flat', dimension: 3, model: 'test-embedder' },
+    loadedAt: new Date().toISOString()
+  };
+}
+
+async function createEngine() {
+  const { default: OptimizedRAGEngine } = await import('../kb/optimized-rag-engine.js');
+  const engine = new OptimizedRAGEngine({ llm: new LLMGateway({ env: { LLM_PROVIDER: 'scripted' } }) });
+  engine.embeddingModelId = 'test-embedder';
+  engine.applyKnowledgeBase(snapshotOf(CHUNKS));
+  engine.isInitialized = true;
+  engine.getQueryEmbedding = async () => [1, 0, 0];
+  return engine;
+}
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+test('retrieve() reports whether a filter was applied but never relaxes it', { skip }, async () => {
+  const engine = await createEngine();
+  const options = { topK: 3, hybrid: false };
+
+  const unfiltered = await engine.retrieve('tell me about the servers', options);
+  assert.equal(unfiltered.filter.status, 'none');
+  assert.deepEqual(unfiltered.results.map(hit => hit.id), ['dl380-1', 'dl380-2', 'dl360-1']);
+
+  const filtered = await engine.retrieve('DL380 memory', { ...options, filter: { product: 'DL380' } });
+  assert.equal(filtered.filter.status, 'honoured');
+  assert.deepEqual(filtered.results.map(hit => hit.id), ['dl380-1', 'dl380-2']);
+
+  // Nothing for the ML350 clears minScore: no results, and the filter still stands
+  const empty = await engine.retrieve('ML350 tower', { ...options, filter: { product: 'ML350' } });
+  assert.deepEqual(empty.results, []);
+  assert.equal(empty.filter.status, 'honoured');
+  assert.equal(empty.filter.scanned, CHUNKS.length);
+});
+
+test('retrieveForAnswer() drops a filter nothing relevant matches and reports it as relaxed', { skip }, async () => {
+  const engine = await createEngine();
+  const options = { topK: 2, hybrid: false };
+
+  const relaxed = await engine.retrieveForAnswer('ML350 tower', { ...options, filter: { product: 'ML350' } });
+  assert.equal(relaxed.filterStatus, 'relaxed');
+  assert.equal(relaxed.retriedUnfiltered, true);
+  assert.deepEqual(relaxed.results.map(hit => hit.id), ['dl380-1', 'dl380-2']);
+
+  const honoured = await engine.retrieveForAnswer('DL360', { ...options, filter: { product: 'DL360' } });
+  assert.equal(honoured.filterStatus, 'honoured');
+  assert.equal(honoured.retriedUnfiltered, false);
+});
+
+test('a reload loads the new snapshot off to the side and swaps it in whole', { skip }, async () => {
+  const engine = await createEngine();
+  const options = { topK: 2, hybrid: false };
+  const ids = async (query) => (await engine.search(query, options)).map(hit => hit.id);
+  const load = deferred();
+  let loads = 0;
+  engine.loadKnowledgeBase = () => {
+    loads += 1;
+    return load.promise;
+  };
+  const reloads = [];
+  engine.on('reload', result => reloads.push(result));
+
+  assert.deepEqual(await ids('servers'), ['dl380-1', 'dl380-2']);
+  assert.equal(engine.retrievalCache.size, 1);
+
+  const first = engine.reloadKnowledgeBase();
+  const second = engine.reloadKnowledgeBase();
+  assert.equal(loads, 1, 'concurrent reloads share one load');
+
+  // Until the load completes, queries keep running on the live snapshot
+  assert.deepEqual(await ids('servers again'), ['dl380-1', 'dl380-2']);
+  assert.equal(engine.kbVersion, 1);
+
+  // A query that started before the swap finishes on the snapshot it started on
+  const embedding = deferred();
+  engine.getQueryEmbedding = () => embedding.promise;
+  const inFlight = engine.search('in flight', options);
+
+  load.resolve(snapshotOf([{ id: 'dl20-1', product: 'DL20', text: 'The DL20 Gen11 is an entry server.', score: 0.95 }]));
+  const result = await first;
+  assert.equal(await second, result);
+  assert.equal(result.version, 2);
+  assert.equal(result.vectors, 1);
+  assert.equal(result.previousVectors, CHUNKS.length);
+  assert.deepEqual(reloads, [result]);
+
+  embedding.resolve([1, 0, 0]);
+  assert.deepEqual((await inFlight).map(hit => hit.id), ['dl380-1', 'dl380-2']);
+  assert.equal(engine.retrievalCache.size, 0, 'caches are flushed, and the stale result is not cached');
+  assert.deepEqual(await ids('servers'), ['dl20-1']);
+});
+
+test('a reload that fails to load keeps the current snapshot', { skip }, async () => {
+  const engine = await createEngine();
+  engine.loadKnowledgeBase = async () => {
+    throw new Error('Index holds 3 vectors but metadata.json has 4 entries.');
+  };
+
+  await assert.rejects(engine.reloadKnowledgeBase(), /metadata.json has 4 entries/);
+  assert.equal(engine.kbVersion, 1);
+  assert.equal(engine.vectorMetadata.length, CHUNKS.length);
+
+  engine.loadKnowledgeBase = async () => snapshotOf(CHUNKS.slice(0, 2));
+  assert.equal((await engine.reloadKnowledgeBase()).vectors, 2, 'a failed reload does not block the next one');
+});
+
+test('a burst of build writes triggers one reload once index-config.json settles', { skip }, async (t) => {
+  const engine = await createEngine();
+  engine.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-watch-'));
+  let reloads = 0;
+  engine.reloadKnowledgeBase = async () => {
+    reloads += 1;
+  };
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const watcher = engine.watchKnowledgeBase({ debounceMs: 2000 });
+  try {
+    assert.equal(engine.watchKnowledgeBase(), watcher, 'one watcher per engine');
+
+    // fs.watch reports on its 'change' event; emitting it directly keeps the test off the disk
+    watcher.emit('change', 'rename', 'vectors.index');
+    t.mock.timers.tick(5000);
+    assert.equal(reloads, 0, 'only index-config.json, written last, signals a finished build');
+
+    for (let i = 0; i < 3; i += 1) {
+      watcher.emit('change', 'change', 'index-config.json');
+      t.mock.timers.tick(1500);
+    }
+    assert.equal(reloads, 0);
+    t.mock.timers.tick(500);
+    assert.equal(reloads, 1);
+  } finally {
+    watcher.close();
+    fs.rmSync(engine.dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PolicyGuard from '../kb/policy-guard.js';
+
+const guard = new PolicyGuard({ auditLog: 'off' });
+
+test('discovery and product turns that mention money words are allowed', () => {
+  const allowed = [
+    'We are a finance company with 300 users',
+    'I work in the finance team',
+    'How can Gen12 reduce costs?',
+    'Our cost per VM is too high',
+    'Can you quote the benchmark numbers?',
+    'we need to sign a contract soon, which server?',
+    'Our lease on the data centre ends next year',
+    'What is the total cost of ownership of a DL380 over five years?',
+    'How much memory does the DL380 support?',
+    'How much power does the ML350 draw?',
+    'Does iLO 7 lower our operating costs?'
+  ];
+  for (const text of allowed) {
+    assert.deepEqual(guard.checkInput(text), { action: 'allow' }, text);
+  }
+});
+
+test('price, discount and contract questions get the callback offer', () => {
+  const blocked = [
+    ['What is the price of a DL380 Gen12?', 'pricing'],
+    ['How much does the DL360 cost?', 'pricing'],
+    ['how much is it?', 'pricing'],
+    ['What would a DL380 cost us?', 'pricing'],
+    ['What is the cost of the ML350?', 'pricing'],
+    ['Can you send me a quote for 10 servers?', 'pricing'],
+    ['Do you have financing options?', 'pricing'],
+    ['Is there a discount for 20 units?', 'discounts'],
+    ['What are the contract terms?', 'contracts'],
+    ['Can we agree payment terms of 60 days?', 'contracts'],
+    ['DL380の価格は？', 'pricing']
+  ];
+  for (const [text, topic] of blocked) {
+    const decision = guard.checkInput(text);
+    assert.equal(decision.action, 'callback', text);
+    assert.equal(decision.topic, topic, text);
+  }
+});
+
+test('other product lines and competitors are redirected', () => {
+  assert.equal(guard.checkInput('Tell me about Synergy frames').topic, 'non-proliant');
+  assert.deepEqual(guard.checkInput('Can Synergy manage a DL380?'), { action: 'allow' });
+  assert.equal(guard.checkInput('How does it compare to a Dell PowerEdge?').topic, 'competitor');
+});
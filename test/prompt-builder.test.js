@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitHistory, formatHistory } from '../kb/prompt-builder.js';
+import { estimateTokens } from '../kb/context-builder.js';
+
+const turns = (count) => Array.from({ length: count }, (_, idx) => ({
+  role: idx % 2 === 0 ? 'user' : 'assistant',
+  content: `Turn ${idx + 1}: ${'we run a mixed virtualization and database estate '.repeat(3).trim()}`
+}));
+
+test('history that fits is kept verbatim', () => {
+  const messages = turns(4);
+  const fitted = fitHistory(messages, 1000);
+  assert.equal(fitted.text, formatHistory(messages));
+  assert.deepEqual({ kept: fitted.kept, summarized: fitted.summarized, dropped: fitted.dropped }, { kept: 4, summarized: 0, dropped: 0 });
+});
+
+test('older turns are summarised to stay within the budget', () => {
+  const messages = turns(12);
+  const fitted = fitHistory(messages, 250);
+  assert.ok(fitted.tokens <= 250, `${fitted.tokens} tokens`);
+  assert.equal(fitted.tokens, estimateTokens(fitted.text));
+  assert.ok(fitted.kept > 0 && fitted.kept < messages.length);
+  assert.ok(fitted.summarized > 0);
+  assert.match(fitted.text, /\(Earlier, the user said: "Turn \d+:/);
+  assert.match(fitted.text, /Turn 12:/);
+  assert.equal(fitted.kept + fitted.summarized + fitted.dropped, messages.length);
+});
+
+test('the summary is left out when even it does not fit', () => {
+  const messages = turns(12);
+  const lastTurn = estimateTokens(formatHistory(messages.slice(-1)));
+  const fitted = fitHistory(messages, lastTurn);
+  assert.equal(fitted.kept, 1);
+  assert.equal(fitted.summarized, 0);
+  assert.equal(fitted.dropped, 11);
+  assert.doesNotMatch(fitted.text, /Earlier, the user said/);
+});
+
+test('no history or no budget gives an empty block', () => {
+  assert.deepEqual(fitHistory([], 400), { text: '', tokens: 0, kept: 0, summarized: 0, dropped: 0 });
+  assert.equal(fitHistory(turns(3), 0).dropped, 3);
+  assert.equal(fitHistory(turns(3), 5).text, '');
+});
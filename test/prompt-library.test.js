@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import PromptLibrary from '../kb/prompt-library.js';
+
+const MESSAGES = [
+  'greeting', 'noResults', 'clarify', 'error', 'repeatWithFacts', 'repeatWithoutFacts', 'ungrounded', 'extractiveLead', 'answerLanguage',
+  'discoveryBank', 'discoveryHelp', 'discoveryPerformance', 'discoveryServer', 'discoveryOpening',
+  'recommendation', 'recommendLargeAI', 'recommendMidAI', 'recommendVirtualization', 'recommendGeneral',
+  'leadCapture', 'leadDeclined', 'handoff', 'handoffClosing'
+];
+
+// A version with every required message, in English only unless a test adds locales
+function writeVersion(dir, version, { locales = {}, messages = {} } = {}) {
+  const versionDir = path.join(dir, version);
+  fs.mkdirSync(path.join(versionDir, 'locales'), { recursive: true });
+  fs.writeFileSync(path.join(versionDir, 'system.txt'), 'You are the {{company}} SDR.\n\nContext:\n{{context}}\n');
+  for (const [language, translated] of Object.entries(locales)) {
+    fs.writeFileSync(path.join(versionDir, 'locales', `${language}.json`), JSON.stringify({ messages: translated }));
+  }
+  fs.writeFileSync(path.join(versionDir, 'prompt.json'), JSON.stringify({
+    persona: { company: 'HPE' },
+    templates: { system: 'system.txt' },
+    locales: Object.fromEntries(Object.keys(locales).map(language => [language, `locales/${language}.json`])),
+    messages: {
+      ...Object.fromEntries(MESSAGES.map(name => [name, `${name} line`])),
+      greeting: 'Hi, I am the {{company}} SDR.',
+      ...messages
+    }
+  }));
+}
+
+function withPrompts(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-library-'));
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('every shipped locale loads and renders each of its messages', () => {
+  const library = new PromptLibrary({ version: 'sdr-v1' });
+  assert.deepEqual(library.languages, ['en', 'ja', 'ko', 'zh', 'hi', 'id', 'ms']);
+  const runtime = { context: 'x', citationInstructions: 'x', facts: 'x', languageName: 'x', recommendation: 'x' };
+  for (const language of library.languages) {
+    for (const name of MESSAGES) {
+      assert.ok(library.render(name, runtime, { language }).length, `${language}/${name}`);
+    }
+  }
+});
+
+test('lines a locale leaves out are rendered in English', () => withPrompts((dir) => {
+  writeVersion(dir, 'v1', { locales: { ja: { greeting: 'こんにちは、{{company}} の SDR です。' } } });
+  const library = new PromptLibrary({ version: 'v1', dir });
+  assert.equal(library.render('greeting', {}, { language: 'ja' }), 'こんにちは、HPE の SDR です。');
+  assert.equal(library.render('clarify', {}, { language: 'ja' }), 'clarify line');
+  assert.equal(library.render('greeting', {}, { language: 'fr' }), 'Hi, I am the HPE SDR.', 'unknown languages use English');
+  assert.deepEqual(library.fallbackMessages(), ['noResults line', 'clarify line', 'error line', 'noResults line', 'clarify line', 'error line']);
+}));
+
+test('locales that translate unknown messages or use undefined variables fail at load', () => withPrompts((dir) => {
+  writeVersion(dir, 'unknown-message', { locales: { ko: { greeting: '안녕하세요', farewell: '안녕히 가세요' } } });
+  assert.throws(
+    () => new PromptLibrary({ version: 'unknown-message', dir }),
+    { message: 'Prompt locale "unknown-message/ko" translates unknown message(s): farewell' }
+  );
+
+  writeVersion(dir, 'unknown-variable', { locales: { zh: { greeting: '您好，我是 {{company}} 的 {{title}}。' } } });
+  assert.throws(
+    () => new PromptLibrary({ version: 'unknown-variable', dir }),
+    { message: 'Prompt "unknown-variable/zh/greeting" uses undefined variable(s): title' }
+  );
+
+  // Runtime variables are only known to the template they belong to
+  writeVersion(dir, 'misplaced', { locales: { hi: { greeting: 'नमस्ते {{facts}}' } } });
+  assert.throws(() => new PromptLibrary({ version: 'misplaced', dir }), /"misplaced\/hi\/greeting" uses undefined variable\(s\): facts/);
+}));
+
+test('unknown versions and versions missing messages fail at load', () => withPrompts((dir) => {
+  writeVersion(dir, 'v1');
+  writeVersion(dir, 'v2', { messages: { handoff: undefined } });
+  assert.throws(() => new PromptLibrary({ version: 'v3', dir }), { message: `Prompt version "v3" not found in ${dir} (available: v1, v2)` });
+  assert.throws(() => new PromptLibrary({ version: 'v2', dir }), { message: 'Prompt version "v2" is missing: handoff' });
+}));
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QueryRewriter from '../kb/query-rewriter.js';
+import SmartRouter from '../kb/smart-router.js';
+import LLMGateway, { ScriptedProvider } from '../kb/llm-provider.js';
+
+const router = new SmartRouter();
+const detectProducts = (text) => router.detectProducts(text);
+const rewriter = new QueryRewriter({ detectProducts, mode: 'heuristic' });
+const history = [
+  { role: 'user', content: 'Tell me about the DL380 Gen11' },
+  { role: 'assistant', content: 'The DL380 Gen11 is a 2U rack server for virtualization and databases.' }
+];
+
+test('standalone questions with "it", "they" or "IT" are not rewritten', async () => {
+  const standalone = [
+    'Which server suits our IT team?',
+    'Is IT automation part of iLO?',
+    'Our IT department runs 200 VMs, what fits?',
+    'If a drive fails, can I replace it without downtime?',
+    'We have 300 users and they all need VDI',
+    'Our admins say they want remote management',
+    'GPU support matrix'
+  ];
+  for (const query of standalone) {
+    assert.equal(rewriter.isFollowUp(query), false, query);
+    const result = await rewriter.rewrite(query, { history });
+    assert.equal(result.rewritten, query, query);
+    assert.equal(result.reason, 'standalone', query);
+  }
+});
+
+test('pronouns without a noun phrase of their own and leading cues are follow-ups', async () => {
+  const followUps = [
+    ['Does it support GPUs?', 'Does the DL380 support GPUs?'],
+    ['It has iLO 7, right?', 'the DL380 has iLO 7, right?'],
+    ['what is its max memory?', "what is the DL380's max memory?"],
+    ['How much memory can they take?', 'DL380 How much memory can they take?'],
+    ['what about power supplies?', 'DL380 what about power supplies?']
+  ];
+  for (const [query, rewritten] of followUps) {
+    assert.equal(rewriter.isFollowUp(query), true, query);
+    const result = await rewriter.rewrite(query, { history });
+    assert.equal(result.rewritten, rewritten, query);
+    assert.equal(result.product, 'DL380', query);
+  }
+});
+
+const comparison = [
+  { role: 'user', content: 'Compare the DL380 Gen11 and the DL360 Gen11' },
+  { role: 'assistant', content: 'The DL380 is 2U and the DL360 is 1U. For a tower, look at the ML350.' }
+];
+
+test('products the user named come first, the last one named leading', () => {
+  assert.deepEqual(rewriter.productsInHistory(comparison), ['DL360', 'DL380', 'ML350']);
+});
+
+test('"the 1U one" picks the product by form factor and repeats the previous question for it', async () => {
+  const previousQuery = 'How much memory does the DL380 Gen11 take?';
+  const cases = [
+    ['and the 1U one?', 'How much memory does the DL360 Gen11 take?', 'DL360'],
+    ['and the tower one?', 'How much memory does the ML350 Gen11 take?', 'ML350'],
+    ['what about the other one?', previousQuery, 'DL380']
+  ];
+  for (const [query, rewritten, product] of cases) {
+    const result = await rewriter.rewrite(query, { history: comparison, previousQuery });
+    assert.deepEqual([result.rewritten, result.product, result.method], [rewritten, product, 'heuristic'], query);
+  }
+  // A previous question without a product to swap gets the product in front
+  const unnamed = await rewriter.rewrite('and the 1U one?', { history: comparison, previousQuery: 'What warranty comes with it?' });
+  assert.equal(unnamed.rewritten, 'DL360 What warranty comes with it?');
+});
+
+test('in llm mode the rewrite route writes the query, and the heuristic takes over when it fails', async () => {
+  const provider = new ScriptedProvider({ script: [{ reply: '"DL360 Gen11 maximum memory"' }] });
+  const llm = new LLMGateway({ env: { LLM_PROVIDER: 'scripted' }, providers: { rewrite: provider } });
+  const result = await new QueryRewriter({ detectProducts, llm, mode: 'llm' }).rewrite('what about its memory?', { history: comparison });
+  assert.deepEqual([result.rewritten, result.product, result.method], ['DL360 Gen11 maximum memory', 'DL360', 'llm']);
+  assert.match(provider.calls[0].messages[1].content, /Last message: what about its memory\?$/);
+
+  const failing = new ScriptedProvider({ script: [{ reply: () => { throw new Error('bad request'); } }] });
+  const broken = new LLMGateway({ env: { LLM_PROVIDER: 'scripted', LLM_RETRY_DELAY: '0' }, providers: { rewrite: failing } });
+  const fallback = await new QueryRewriter({ detectProducts, llm: broken, mode: 'llm' }).rewrite('what about its memory?', { history: comparison });
+  assert.deepEqual([fallback.rewritten, fallback.method], ["what about the DL360's memory?", 'heuristic']);
+});
+
+test('the query is left alone when rewriting is off, there is no history or no product to carry', async () => {
+  const cases = [
+    [new QueryRewriter({ detectProducts, mode: 'off' }), comparison, 'disabled'],
+    [rewriter, [], 'no history'],
+    [rewriter, [{ role: 'user', content: 'We need a server for 300 users' }], 'no product in history'],
+    [rewriter, comparison, 'standalone', 'thanks!']
+  ];
+  for (const [instance, turns, reason, query = 'what about its memory?'] of cases) {
+    const result = await instance.rewrite(query, { history: turns });
+    assert.deepEqual([result.rewritten, result.method, result.reason], [query, 'none', reason], reason);
+  }
+  assert.equal(new QueryRewriter({ mode: 'sometimes' }).mode, 'heuristic', 'unknown modes fall back to heuristic');
+});
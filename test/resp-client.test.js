@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import RespClient, { RedisError, encodeCommand, parseReply } from '../resp-client.js';
+
+test('commands are encoded and replies parsed as RESP2', () => {
+  assert.equal(encodeCommand(['SET', 'k', 'é']), '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$2\r\né\r\n');
+  assert.deepEqual(parseReply(Buffer.from('*2\r\n$1\r\na\r\n:7\r\n')), { value: ['a', 7], offset: 15 });
+  assert.equal(parseReply(Buffer.from('$5\r\nhel')), null, 'incomplete bulk string');
+  assert.ok(parseReply(Buffer.from('-ERR wrong type\r\n')).value instanceof RedisError);
+  assert.throws(() => parseReply(Buffer.from('!oops\r\n')), /Unexpected reply type "!"/);
+});
+
+test('an unexpected reply type rejects the pending commands and drops the connection', async () => {
+  const sockets = [];
+  let replies = ['!oops\r\n'];
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    socket.on('data', () => socket.write(replies.shift() || '+PONG\r\n'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = new RespClient(`redis://127.0.0.1:${server.address().port}`, { timeout: 1000 });
+  try {
+    await assert.rejects(client.command('PING'), /Unexpected reply type "!"/);
+    assert.equal(client.socket, null);
+    assert.equal(client.pending.length, 0);
+
+    // The next command opens a fresh connection
+    replies = [];
+    assert.equal(await client.command('PING'), 'PONG');
+    assert.equal(sockets.length, 2);
+  } finally {
+    await client.close();
+    for (const socket of sockets) socket.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
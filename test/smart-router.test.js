@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SmartRouter from '../kb/smart-router.js';
+
+const router = new SmartRouter();
+
+test('comparisons split into one sub-query per product, filtered to that product', () => {
+  const comparison = router.detectComparison('What is the difference between DL360 and DL380 memory?');
+  assert.deepEqual(comparison.products, ['DL360', 'DL380']);
+  assert.equal(comparison.aspect, 'memory');
+  assert.deepEqual(comparison.queries, [
+    { product: 'DL360', query: 'DL360 memory', filter: { $or: [{ product: 'DL360' }, { referenced_products: { $in: ['DL360'] } }] } },
+    { product: 'DL380', query: 'DL380 memory', filter: { $or: [{ product: 'DL380' }, { referenced_products: { $in: ['DL380'] } }] } }
+  ]);
+
+  // Without an aspect, or with only a generation, the sub-queries ask for an overview
+  assert.deepEqual(router.detectComparison('Compare DL380 vs DL384').queries.map(entry => entry.query), [
+    'DL380 key features specifications use cases',
+    'DL384 key features specifications use cases'
+  ]);
+  assert.equal(router.detectComparison('DL384 vs DL380 Gen12').queries[0].query, 'DL384 Gen12 key features specifications use cases');
+});
+
+test('"X or Y" only compares when there is a choice to make', () => {
+  const comparisons = [
+    'Compare DL380 vs DL384',
+    'DL380 versus ML350 for a branch office',
+    'Which is better, DL380 or DL360?',
+    'Is the DL380 better than the ML350 for VDI?',
+    'Should we buy the DL360 or the DL380?'
+  ];
+  for (const query of comparisons) {
+    assert.equal(router.detectComparison(query)?.products.length, 2, query);
+  }
+
+  const notComparisons = [
+    'a DL380 with DL360 or ML350 nodes',
+    'Can the DL380 or DL360 take GPUs?',
+    'Compare the DL380 Gen11 with our current setup',
+    'Tell me about the DL380'
+  ];
+  for (const query of notComparisons) {
+    assert.equal(router.detectComparison(query), null, query);
+  }
+});
+
+test('the product filter keeps every compared product, and only the first product otherwise', () => {
+  const productFilter = (products) => ({
+    $or: [{ product: { $in: products } }, { product: 'all' }, { referenced_products: { $in: products } }]
+  });
+  assert.deepEqual(router.extractProductFilter('Compare DL380 vs DL384 memory'), productFilter(['DL380', 'DL384']));
+  assert.deepEqual(router.extractProductFilter('DL380 with DL360 or ML350 nodes'), productFilter(['DL380']));
+  assert.deepEqual(router.extractProductFilter('DL380 vs DL360 Gen12'), {
+    $and: [
+      productFilter(['DL380', 'DL360']),
+      { $or: [{ 'metadata.generation': { $in: ['gen12', 'all'] } }, { 'metadata.generation': { $exists: false } }] }
+    ]
+  });
+  assert.equal(router.extractProductFilter('DL380 vs DL360 case studies'), null, 'case studies search every document');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStructuredResponse, repairMessages, structureFromText, validateStructuredResponse } from '../kb/structured-response.js';
+
+const valid = {
+  spokenText: 'The DL380 Gen11 fits your VDI plans.',
+  displayText: 'The DL380 Gen11 supports up to 8 GPUs [1].',
+  followUpQuestion: 'How many users will connect?',
+  recommendation: { family: 'DL380 Gen11', skus: ['P84627-375'] },
+  citations: [1],
+  discoveryFacts: { users: 300, workloads: ['vdi'] }
+};
+
+test('bare, fenced and prose-wrapped JSON all parse', () => {
+  const json = JSON.stringify(valid);
+  for (const raw of [json, `\`\`\`json\n${json}\n\`\`\``, `Here you go: ${json} Hope that helps.`]) {
+    assert.deepEqual(parseStructuredResponse(raw), { value: valid, errors: [] });
+  }
+});
+
+test('missing optional keys are filled in', () => {
+  const { value, errors } = parseStructuredResponse('{"spokenText": "Hi.", "displayText": "Hi."}');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { spokenText: 'Hi.', displayText: 'Hi.', followUpQuestion: null, recommendation: null, citations: [], discoveryFacts: {} });
+});
+
+test('invalid output reports what to repair', () => {
+  assert.deepEqual(parseStructuredResponse('no json here'), { value: null, errors: ['no JSON object found'] });
+  assert.match(parseStructuredResponse('{"spokenText": }').errors[0], /^invalid JSON/);
+
+  const { value, errors } = parseStructuredResponse(JSON.stringify({ ...valid, spokenText: '', citations: ['1'], extra: true }));
+  assert.equal(value, null);
+  assert.deepEqual(errors, [
+    'spokenText must be a non-empty string',
+    'citations must be an array of integers',
+    'unexpected keys: extra'
+  ]);
+  assert.deepEqual(validateStructuredResponse({ ...valid, discoveryFacts: { users: { count: 3 } } }), [
+    'discoveryFacts.users must be a string, number, boolean, string array or null'
+  ]);
+});
+
+test('the repair request carries the problems and the original output', () => {
+  const messages = repairMessages('{"spokenText": ""}', ['spokenText must be a non-empty string']);
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /"spokenText"/);
+  assert.equal(messages[1].content, 'Problems: spokenText must be a non-empty string\n\n{"spokenText": ""}');
+});
+
+test('the text fallback derives the structure from plain answer text', () => {
+  const structured = structureFromText('The dl380 gen11 takes P84627-375 memory kits [1]. It is 2U. It has iLO 6. Need GPUs?');
+  assert.equal(structured.spokenText, 'The dl380 gen11 takes P84627-375 memory kits. It is 2U. It has iLO 6.');
+  assert.equal(structured.followUpQuestion, 'Need GPUs?');
+  assert.deepEqual(structured.recommendation, { family: 'DL380 Gen11', skus: ['P84627-375'] });
+  assert.deepEqual(validateStructuredResponse(structured), []);
+});
+
+test('the text fallback salvages displayText from broken JSON', () => {
+  const structured = structureFromText('{"spokenText": "Short.", "displayText": "The \\"ML350\\" is a tower [2].", "citations": [2');
+  assert.equal(structured.displayText, 'The "ML350" is a tower [2].');
+  assert.equal(structured.spokenText, 'The "ML350" is a tower.');
+});